@@ -0,0 +1,194 @@
+/*
+  admin.js
+
+  Admin dashboard (admin.html): aggregate answer stats and the conversations users
+  reported, read from the Worker's analytics (worker/analytics.js) through
+  GET /admin/stats and GET /admin/flagged. "Clear reply cache" empties the Worker's
+  response cache (worker/cache.js) through POST /admin/cache/purge.
+
+  The Worker checks the password (its ADMIN_PASSWORD secret). The password is kept in
+  sessionStorage, so it is forgotten when the tab is closed. To browse local data,
+  point WORKER_URL (config.js or secrets.js) at `wrangler dev`.
+
+  ES module loaded by admin.html.
+*/
+
+export const PASSWORD_KEY = 'loreal_admin_password';
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = String(text);
+  return node;
+};
+
+const percent = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`);
+const millis = (ms) => (Number.isFinite(ms) ? `${ms} ms` : '—');
+const count = (n) => (Number.isFinite(n) ? n.toLocaleString() : '—');
+
+// Error with the HTTP status, so a wrong password can be told apart from other failures
+function adminError(message, status = 0) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Call an admin route (`stats`, `flagged` or `cache/purge` with POST) on the Worker at `workerUrl`
+export async function fetchAdmin(workerUrl, path, password, method = 'GET') {
+  const res = await fetch(new URL(`admin/${path}`, workerUrl).toString(), {
+    method,
+    headers: { Authorization: `Bearer ${password}` }
+  }).catch(() => {
+    throw adminError('Could not reach the Worker. Check WORKER_URL and that it is running.');
+  });
+  let data = null;
+  try { data = await res.json(); } catch (e) { /* not JSON */ }
+  if (!res.ok) throw adminError((data && data.message) || `Worker error: ${res.status}`, res.status);
+  return data;
+}
+
+// Stat tiles and a per-day table from GET /admin/stats
+export function renderStats(container, stats) {
+  container.innerHTML = '';
+  const tiles = el('div', 'admin-tiles');
+  [
+    ['Answered turns', count(stats.turns - stats.refusals - stats.errors)],
+    ['Refusal rate', percent(stats.refusal_rate)],
+    ['Failure rate', percent(stats.error_rate)],
+    ['Stopped or broken-off replies', count(stats.interrupted)],
+    ['Answered from cache', percent(stats.cache_hit_rate)],
+    ['Helpful rate', percent(stats.feedback.helpful_rate)],
+    ['Reports', count(stats.feedback.reports)],
+    ['Median latency', millis(stats.latency_ms.median)],
+    ['95th percentile latency', millis(stats.latency_ms.p95)],
+    ['Tokens per turn', count(stats.tokens.average_per_turn)],
+    ['Total tokens', count(stats.tokens.total)]
+  ].forEach(([label, value]) => {
+    const tile = el('div', 'admin-tile');
+    tile.appendChild(el('span', 'admin-tile-value', value));
+    tile.appendChild(el('span', 'admin-tile-label', label));
+    tiles.appendChild(tile);
+  });
+  container.appendChild(tiles);
+
+  if (!stats.days.length) {
+    container.appendChild(el('p', 'admin-empty', 'No turns recorded yet.'));
+    return;
+  }
+  const table = el('table', 'admin-table');
+  table.appendChild(el('caption', '', 'By day (UTC)'));
+  const head = table.createTHead().insertRow();
+  ['Date', 'Turns', 'Refusals', 'Failures', 'Helpful', 'Not helpful', 'Reports'].forEach((h) => {
+    const th = el('th', '', h);
+    th.scope = 'col';
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  [...stats.days].reverse().forEach((d) => {
+    const row = body.insertRow();
+    [d.date, d.turns, d.refusals, d.errors, d.up, d.down, d.reports].forEach((value) => row.insertCell().textContent = String(value));
+  });
+  container.appendChild(table);
+}
+
+// Reported conversations from GET /admin/flagged, newest first. Message text is shown
+// as plain text (never as HTML).
+export function renderFlagged(container, { reports, total }) {
+  container.innerHTML = '';
+  if (!reports.length) {
+    container.appendChild(el('p', 'admin-empty', 'No reported conversations.'));
+    return;
+  }
+  if (total > reports.length) {
+    container.appendChild(el('p', 'admin-note', `Showing the newest ${reports.length} of ${total} reports.`));
+  }
+  reports.forEach((report) => {
+    const item = el('article', 'flagged-item');
+    item.appendChild(el('h3', 'flagged-comment', report.comment || 'No comment'));
+
+    const turn = report.turn || {};
+    const facts = [
+      new Date(report.at).toLocaleString(),
+      turn.mode === 'routine' ? 'routine' : 'chat',
+      turn.language ? `language: ${turn.language}` : '',
+      turn.photo ? 'with photo' : '',
+      Number.isFinite(turn.latency_ms) ? `${turn.latency_ms} ms` : '',
+      Number.isFinite(turn.total_tokens) ? `${turn.total_tokens} tokens` : '',
+      report.rating ? (report.rating.rating === 'up' ? 'rated helpful' : 'rated not helpful') : ''
+    ].filter(Boolean);
+    item.appendChild(el('p', 'flagged-meta', facts.join(' · ')));
+
+    const details = el('details', 'flagged-details');
+    details.appendChild(el('summary', '', `Conversation (${report.messages.length} messages)`));
+    const transcript = el('ol', 'flagged-transcript');
+    report.messages.forEach((m) => {
+      const li = el('li', `flagged-message ${m.role}`);
+      li.appendChild(el('strong', '', m.role === 'user' ? 'User' : 'Assistant'));
+      li.appendChild(el('p', '', m.content));
+      transcript.appendChild(li);
+    });
+    details.appendChild(transcript);
+    item.appendChild(details);
+    container.appendChild(item);
+  });
+}
+
+/* Page wiring (admin.html only) */
+const loginForm = document.getElementById('adminLogin');
+if (loginForm) {
+  const passwordInput = document.getElementById('adminPassword');
+  const dashboard = document.getElementById('adminDashboard');
+  const statsPanel = document.getElementById('adminStats');
+  const flaggedPanel = document.getElementById('adminFlagged');
+  const status = document.getElementById('adminStatus');
+  // config.js declares WORKER_URL with a top-level const, which never becomes a window property
+  const workerUrl = () => (typeof WORKER_URL !== 'undefined' && WORKER_URL) || localStorage.getItem('loreal_worker_url') || '';
+
+  const showLogin = (message = '') => {
+    sessionStorage.removeItem(PASSWORD_KEY);
+    dashboard.hidden = true;
+    loginForm.hidden = false;
+    status.textContent = message;
+    passwordInput.focus();
+  };
+
+  const load = async (password) => {
+    status.textContent = 'Loading…';
+    try {
+      const [stats, flagged] = await Promise.all([
+        fetchAdmin(workerUrl(), 'stats', password),
+        fetchAdmin(workerUrl(), 'flagged', password)
+      ]);
+      sessionStorage.setItem(PASSWORD_KEY, password);
+      loginForm.hidden = true;
+      dashboard.hidden = false;
+      renderStats(statsPanel, stats);
+      renderFlagged(flaggedPanel, flagged);
+      status.textContent = `Updated ${new Date().toLocaleTimeString()}.`;
+    } catch (err) {
+      if (err.status === 401) showLogin(err.message);
+      else status.textContent = err.message;
+    }
+  };
+
+  loginForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (passwordInput.value) load(passwordInput.value);
+  });
+  document.getElementById('adminRefresh').addEventListener('click', () => load(sessionStorage.getItem(PASSWORD_KEY) || ''));
+  document.getElementById('adminSignOut').addEventListener('click', () => showLogin('Signed out.'));
+  document.getElementById('adminPurgeCache').addEventListener('click', async () => {
+    if (!confirm('Clear every cached reply? Common questions will call the model again until they are cached anew.')) return;
+    try {
+      const { purged } = await fetchAdmin(workerUrl(), 'cache/purge', sessionStorage.getItem(PASSWORD_KEY) || '', 'POST');
+      status.textContent = `Cleared ${purged} cached ${purged === 1 ? 'reply' : 'replies'}.`;
+    } catch (err) {
+      if (err.status === 401) showLogin(err.message);
+      else status.textContent = err.message;
+    }
+  });
+
+  const saved = sessionStorage.getItem(PASSWORD_KEY);
+  if (!workerUrl()) status.textContent = 'Set WORKER_URL in config.js or secrets.js first.';
+  else if (saved) load(saved);
+}
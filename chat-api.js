@@ -0,0 +1,211 @@
+/*
+  chat-api.js
+
+  Talking to the Cloudflare Worker: building the request payload, reading the
+  streamed reply and turning error responses into friendly messages.
+
+  ES module imported by script.js.
+*/
+
+import { routineToText } from './routine.js';
+import { ingredientReportToText } from './ingredients.js';
+import { t, hasTranslation } from './i18n.js';
+
+// Text sent for a saved message: saved routines and ingredient checks are added as
+// short text so follow-up questions can refer to them. Earlier photos are not sent
+// again, only noted.
+function messageContent(m) {
+  const parts = [m.content];
+  if (m.image) parts.push('(I shared a photo here.)');
+  if (m.routine) parts.push(routineToText(m.routine));
+  if (m.ingredientCheck) parts.push(ingredientReportToText(m.ingredientCheck));
+  return parts.join('\n\n');
+}
+
+// Request body for the Worker from a thread (see threads.js) and the saved profile.
+// Timestamps and other extra fields are stripped so only role + content is sent, and
+// messages already folded into the conversation summary are replaced by the summary.
+// Saved routines and ingredient checks are sent as text (see messageContent).
+// `mode: 'routine'` asks for a structured routine plan, which is never streamed.
+// `image` (a data URL from photos.js) is sent with the latest user message as
+// OpenAI content parts: [{ type: 'text' }, { type: 'image_url' }].
+// `language` (a code from i18n.js) asks the Worker to reply in that language.
+export function buildChatPayload(thread, profile, { mode, image, language } = {}) {
+  const summary = thread.summary;
+  const covered = (summary && summary.covered) || 0;
+  const recent = thread.messages.slice(covered);
+  const lastUser = recent.map((m) => m.role).lastIndexOf('user');
+  const messages = recent.map((m, i) => (image && i === lastUser
+    ? { role: m.role, content: [{ type: 'text', text: m.content }, { type: 'image_url', image_url: { url: image } }] }
+    : { role: m.role, content: messageContent(m) }));
+  // The beauty profile travels with every request; the Worker adds it to the system context
+  const payload = { messages, stream: mode !== 'routine', profile };
+  if (mode === 'routine') payload.mode = 'routine';
+  if (summary && summary.text) payload.memory = summary.text;
+  if (language) payload.language = language;
+  return payload;
+}
+
+// Read a server-sent events stream of chat completion chunks.
+// Calls onDelta(fullTextSoFar) every time a new piece of text arrives and
+// resolves with { text, products, memory, ingredientCheck, turnId } once the stream ends.
+// `products` (and an updated conversation summary, `memory`, an ingredient check, or the
+// reply's `turn_id` for feedback) come from the extra event the Worker sends just
+// before [DONE]. Rejects with a chatError if the Worker reports that the reply broke off.
+export async function readChatStream(res, onDelta) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  let products = [];
+  let memory = null;
+  let ingredientCheck = null;
+  let turnId = null;
+
+  while (true) {
+    let read;
+    try {
+      read = await reader.read();
+    } catch (err) {
+      if (err && err.name === 'AbortError') throw err;
+      throw chatError(t('error.streamDropped'), { code: 'network_error', retryable: true });
+    }
+    const { value, done } = read;
+    if (done) break;
+
+    // Events are separated by newlines; keep any incomplete line for the next chunk
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return { text: fullText, products, memory, ingredientCheck, turnId };
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (e) {
+        continue; // ignore keep-alive or malformed lines
+      }
+      // The Worker ends a broken stream with an error event ({ error: { code, message, retryable } })
+      if (chunk.error) throw chatError(workerMessage(chunk.error) || t('error.interrupted'), chunk.error);
+      if (Array.isArray(chunk.products)) products = chunk.products;
+      if (chunk.memory) memory = chunk.memory;
+      if (chunk.ingredient_check) ingredientCheck = chunk.ingredient_check;
+      if (chunk.turn_id) turnId = chunk.turn_id;
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        fullText += delta;
+        onDelta(fullText);
+      }
+    }
+  }
+  return { text: fullText, products, memory, ingredientCheck, turnId };
+}
+
+// Ask the Worker's ingredient checker (POST /ingredients, next to the chat endpoint at
+// `workerUrl`) about `items` (product names or ingredient lists). Resolves to the
+// report or throws a chatError.
+export async function requestIngredientCheck(workerUrl, items, signal) {
+  const url = new URL('ingredients', workerUrl).toString();
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Session-Id': getSessionId() },
+    body: JSON.stringify({ items }),
+    signal
+  }).catch((err) => {
+    if (err && err.name === 'AbortError') throw err;
+    throw chatError(t('error.network'), { code: 'network_error', retryable: true });
+  });
+  if (!res.ok) throw await describeWorkerError(res);
+  return res.json();
+}
+
+// Transcribe a voice recording with the Worker (POST /transcribe, next to the chat
+// endpoint). The clip is sent as the raw body. Resolves to the text or throws a chatError.
+export async function requestTranscription(workerUrl, audio, signal) {
+  const url = new URL('transcribe', workerUrl).toString();
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': audio.type || 'audio/webm', 'X-Session-Id': getSessionId() },
+    body: audio,
+    signal
+  }).catch((err) => {
+    if (err && err.name === 'AbortError') throw err;
+    throw chatError(t('error.network'), { code: 'network_error', retryable: true });
+  });
+  if (!res.ok) throw await describeWorkerError(res);
+  const data = await res.json();
+  return typeof data.text === 'string' ? data.text : '';
+}
+
+// Send feedback on a reply to the Worker (POST /feedback): { turn_id, rating } with
+// rating 'up', 'down' or 'none', or a report ({ rating: 'report', comment, messages }).
+// Throws a chatError when it was not recorded.
+export async function sendFeedback(workerUrl, feedback) {
+  const url = new URL('feedback', workerUrl).toString();
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Session-Id': getSessionId() },
+    body: JSON.stringify(feedback)
+  }).catch(() => {
+    throw chatError(t('error.network'), { code: 'network_error', retryable: true });
+  });
+  if (!res.ok) throw await describeWorkerError(res);
+}
+
+// Random ID for this browser so the Worker can rate limit per session (sent as X-Session-Id)
+export const SESSION_KEY = 'loreal_session_id';
+export function getSessionId() {
+  try {
+    let id = localStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : `s-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  } catch (e) {
+    return '';
+  }
+}
+
+// Error with the details of the Worker's error envelope: `code` and `retryable`
+// (whether sending the same request again may work; the reply bubble then offers Retry)
+export function chatError(message, { code = '', retryable = false } = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.retryable = retryable;
+  return err;
+}
+
+// The Worker's message for an error envelope, in the interface language when the
+// catalog has a translation for its code (error.<code>)
+function workerMessage(data) {
+  if (!data) return '';
+  if (data.code && hasTranslation(`error.${data.code}`)) return t(`error.${data.code}`);
+  return data.message || '';
+}
+
+// Turn a Worker error response into a chatError with a friendly message.
+// The Worker sends { code, message, retryable } (plus retry_after and a Retry-After
+// header when rate limited).
+export async function describeWorkerError(res) {
+  let data = null;
+  try { data = await res.json(); } catch (e) { /* not JSON */ }
+  const detail = workerMessage(data);
+  // Gateways in front of the Worker answer without the envelope; server errors may pass on retry
+  const retryable = data && typeof data.retryable === 'boolean' ? data.retryable : res.status >= 500;
+  const code = (data && data.code) || '';
+
+  if (res.status === 429 && code !== 'upstream_rate_limited') {
+    const retryAfter = Number(res.headers.get('Retry-After')) || (data && data.retry_after);
+    return chatError(retryAfter
+      ? t('error.rateLimitedIn', { seconds: retryAfter })
+      : t('error.rateLimited'), { code, retryable: true });
+  }
+  if (res.status === 413) return chatError(detail || t('error.tooLong'), { code, retryable });
+  if (res.status === 403) return chatError(detail || t('error.forbidden'), { code, retryable });
+  return chatError(detail || t('error.worker', { status: res.status, statusText: res.statusText }), { code, retryable });
+}
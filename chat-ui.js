@@ -0,0 +1,234 @@
+/*
+  chat-ui.js
+
+  Chat window rendering: user and assistant bubbles, product cards, timestamps
+  and the "Latest question" line. Assistant text goes through the safe Markdown
+  renderer (markdown.js).
+
+  ES module imported by script.js (and threads.js for formatTime).
+*/
+
+import { setMarkdownContent } from './markdown.js';
+import { t, getLanguage } from './i18n.js';
+
+const chatWindow = document.getElementById('chatWindow');
+
+// `image` is the saved photo preview ({ thumbnail, width, height }, see photos.js), if any
+export function appendUserBubble(text, ts, image) {
+  const row = document.createElement('div');
+  row.className = 'message-row user';
+  const bubble = document.createElement('div');
+  bubble.className = 'bubble user';
+  if (image && image.thumbnail) {
+    const img = document.createElement('img');
+    img.className = 'bubble-photo';
+    img.src = image.thumbnail;
+    img.alt = t('photo.sent');
+    if (image.width && image.height) {
+      img.width = image.width;
+      img.height = image.height;
+    }
+    bubble.appendChild(img);
+  }
+  bubble.appendChild(document.createTextNode(text));
+
+  // timestamp (if provided as second arg)
+  if (ts) {
+    const timeEl = document.createElement('div');
+    timeEl.className = 'msg-time';
+    timeEl.textContent = formatTime(ts);
+    bubble.appendChild(timeEl);
+  }
+
+  row.appendChild(bubble);
+  chatWindow.appendChild(row);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+}
+
+export function appendAssistantBubble(text, options = {}) {
+  const row = document.createElement('div');
+  row.className = 'message-row assistant';
+
+  const bubble = document.createElement('div');
+  bubble.className = 'bubble assistant';
+  if (options.refusal) {
+    markRefusal(bubble);
+  }
+  if (options.loading) {
+    bubble.classList.add('loading');
+    bubble.textContent = text;
+  } else {
+    // allow text + optional timestamp
+    bubble.innerHTML = '';
+    const textNode = document.createElement('div');
+    // Assistant replies may contain Markdown (lists, bold product names...)
+    setMarkdownContent(textNode, text);
+    bubble.appendChild(textNode);
+    if (options.timestamp) {
+      const timeEl = document.createElement('div');
+      timeEl.className = 'msg-time';
+      timeEl.textContent = formatTime(options.timestamp);
+      bubble.appendChild(timeEl);
+    }
+  }
+
+  row.appendChild(bubble);
+  renderProductCards(bubble, options.products);
+  chatWindow.appendChild(row);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+
+  return bubble; // return element so caller can update later
+}
+
+// Style a bubble as a topic refusal from the Worker guardrail (not a normal answer)
+export function markRefusal(bubble) {
+  bubble.classList.add('refusal');
+  bubble.setAttribute('role', 'note');
+  bubble.setAttribute('aria-label', t('chat.refusal'));
+}
+
+// Render the recommended products as cards under an assistant bubble.
+// Each product: { id, name, brand, category, reason, image, url } (from the Worker catalog).
+export function renderProductCards(bubble, products) {
+  // Material icon shown on a card when the catalog has no product photo
+  const categoryIcons = {
+    skincare: 'spa',
+    makeup: 'brush',
+    haircare: 'content_cut',
+    fragrance: 'local_florist',
+    men: 'face'
+  };
+
+  const row = bubble.parentElement;
+  if (!row) return;
+  const old = row.querySelector('.product-cards');
+  if (old) old.remove();
+  if (!Array.isArray(products) || !products.length) return;
+
+  const list = document.createElement('ul');
+  list.className = 'product-cards';
+  list.setAttribute('aria-label', t('products.label'));
+
+  products.forEach((p) => {
+    const item = document.createElement('li');
+    const card = document.createElement('article');
+    card.className = 'product-card';
+    const titleId = `product-${p.id}-${Math.random().toString(36).slice(2, 8)}`;
+    card.setAttribute('aria-labelledby', titleId);
+
+    // Photo if the catalog has one, otherwise a category icon
+    if (p.image) {
+      const img = document.createElement('img');
+      img.className = 'product-card-media';
+      img.src = p.image;
+      img.alt = '';
+      img.loading = 'lazy';
+      card.appendChild(img);
+    } else {
+      const icon = document.createElement('span');
+      icon.className = 'product-card-media material-icons';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = categoryIcons[p.category] || 'shopping_bag';
+      card.appendChild(icon);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'product-card-body';
+
+    const title = document.createElement('h3');
+    title.className = 'product-card-title';
+    title.id = titleId;
+    title.textContent = p.name;
+    body.appendChild(title);
+
+    const meta = document.createElement('p');
+    meta.className = 'product-card-meta';
+    meta.textContent = [p.brand, p.category].filter(Boolean).join(' · ');
+    body.appendChild(meta);
+
+    if (p.reason) {
+      const reason = document.createElement('p');
+      reason.className = 'product-card-reason';
+      reason.textContent = p.reason;
+      body.appendChild(reason);
+    }
+
+    if (p.url) {
+      const link = document.createElement('a');
+      link.className = 'product-card-link';
+      link.href = p.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = t('products.view');
+      link.setAttribute('aria-label', t('products.viewLabel', { name: p.name, brand: p.brand }));
+      body.appendChild(link);
+    }
+
+    card.appendChild(body);
+    item.appendChild(card);
+    list.appendChild(item);
+  });
+
+  row.appendChild(list);
+}
+
+export function formatTime(ts) {
+  try {
+    const d = new Date(Number(ts));
+    // show local time with short date
+    return d.toLocaleString(getLanguage(), { hour: 'numeric', minute: '2-digit', month: 'short', day: 'numeric' });
+  } catch (e) {
+    return '';
+  }
+}
+
+export function updateLatestQuestionDisplay(text) {
+  // Remove existing latest-question if present
+  const existing = document.querySelector('.latest-question');
+  if (existing) existing.remove();
+
+  const p = document.createElement('p');
+  p.className = 'latest-question';
+  p.textContent = t('chat.latestQuestion', { text });
+  chatWindow.appendChild(p);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+}
+
+// Replace the contents of an assistant bubble with text (+ optional timestamp and product cards)
+export function renderAssistantReply(bubble, text, timestamp, products) {
+  bubble.classList.remove('loading');
+  bubble.innerHTML = '';
+  const textNode = document.createElement('div');
+  setMarkdownContent(textNode, text);
+  bubble.appendChild(textNode);
+  if (timestamp) {
+    const timeEl = document.createElement('div');
+    timeEl.className = 'msg-time';
+    timeEl.textContent = formatTime(timestamp);
+    bubble.appendChild(timeEl);
+  }
+  renderProductCards(bubble, products);
+  chatWindow.scrollTop = chatWindow.scrollHeight;
+}
+
+// Show a failed reply in its bubble. With `onRetry`, a Retry button sends the
+// question again (the user's message is still in the conversation).
+export function showReplyError(bubble, message, onRetry) {
+  bubble.classList.remove('loading');
+  bubble.classList.add('error');
+  bubble.setAttribute('role', 'alert');
+  bubble.textContent = message;
+  if (!onRetry) return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'retry-btn';
+  btn.innerHTML = '<span class="material-icons" aria-hidden="true">refresh</span> ';
+  btn.append(t('chat.retry'));
+  btn.addEventListener('click', onRetry);
+  bubble.appendChild(btn);
+}
+
+// Retry only makes sense for the latest question; drop older Retry buttons
+export function removeRetryButtons() {
+  chatWindow.querySelectorAll('.retry-btn').forEach((btn) => btn.remove());
+}
@@ -0,0 +1,182 @@
+/*
+  contrast.js
+
+  WCAG contrast helpers for the theme colors. Every foreground/background pair of
+  color tokens the stylesheet uses (CONTRAST_PAIRS) is checked against AA and AAA,
+  and failing pairs get fix suggestions: the closest lighter or darker shade of
+  either color that reaches the target ratio. The theme editor (themes.js) shows
+  the audit and applies the fixes the user picks; nothing here changes the page.
+
+  ES module imported by themes.js.
+*/
+
+// Color tokens (CSS custom properties) a theme sets, with their :root values in style.css
+export const DEFAULT_COLORS = {
+  '--brand-black': '#000000',
+  '--brand-white': '#ffffff',
+  '--brand-red': '#ff003b',
+  '--brand-gold': '#e3a535',
+  '--brand-muted': '#f7f4ef',
+  '--text': '#222222',
+  '--muted': '#575757',
+  '--assistant-bg': '#f3f1ee',
+  '--assistant-border': '#ece7dd',
+  '--user-bg': '#000000',
+  '--user-text': '#ffffff',
+  '--user-muted': '#bdbdbd'
+};
+export const COLOR_TOKENS = Object.keys(DEFAULT_COLORS);
+
+// Minimum ratios (WCAG 2.x). Icons are not text: they need 3:1 (SC 1.4.11), and we hold
+// them to the large-text ratio for AAA.
+export const LEVELS = ['AA', 'AAA'];
+const TEXT_RATIOS = { AA: 4.5, AAA: 7 };
+const NON_TEXT_RATIOS = { AA: 3, AAA: 4.5 };
+
+// Foreground/background token pairs used together in style.css
+export const CONTRAST_PAIRS = [
+  { id: 'body', fg: '--text', bg: '--brand-white' },
+  { id: 'replies', fg: '--text', bg: '--assistant-bg' },
+  { id: 'panels', fg: '--text', bg: '--brand-muted' },
+  { id: 'secondary', fg: '--muted', bg: '--brand-white' },
+  { id: 'replyTime', fg: '--muted', bg: '--assistant-bg' },
+  { id: 'user', fg: '--user-text', bg: '--user-bg' },
+  { id: 'userTime', fg: '--user-muted', bg: '--user-bg' },
+  { id: 'goldButton', fg: '--brand-black', bg: '--brand-gold' },
+  { id: 'darkButton', fg: '--brand-white', bg: '--brand-black' },
+  { id: 'warning', fg: '--brand-red', bg: '--brand-white', nonText: true },
+  { id: 'goldIcon', fg: '--brand-gold', bg: '--brand-white', nonText: true }
+];
+
+export function hexToRgb(hex) {
+  const h = hex.replace('#','').trim();
+  const bigint = parseInt(h, 16);
+  if (h.length === 3) {
+    return [parseInt(h[0]+h[0],16), parseInt(h[1]+h[1],16), parseInt(h[2]+h[2],16)];
+  }
+  return [(bigint >> 16) & 255, (bigint >> 8) & 255, bigint & 255];
+}
+
+export function relativeLuminance(rgb) {
+  const srgb = rgb.map(v => v/255).map((c)=> c <= 0.03928 ? c/12.92 : Math.pow((c+0.055)/1.055,2.4));
+  return 0.2126*srgb[0] + 0.7152*srgb[1] + 0.0722*srgb[2];
+}
+
+export function contrastRatio(hexA, hexB) {
+  try {
+    const a = relativeLuminance(hexToRgb(hexA));
+    const b = relativeLuminance(hexToRgb(hexB));
+    const L1 = Math.max(a,b);
+    const L2 = Math.min(a,b);
+    return ((L1+0.05)/(L2+0.05));
+  } catch (e) { return null; }
+}
+
+export function rgbToHex([r,g,b]){
+  return '#' + [r,g,b].map(v=>v.toString(16).padStart(2,'0')).join('');
+}
+
+function clamp(v, a=0, b=255){ return Math.max(a, Math.min(b, Math.round(v))); }
+
+export function lerpColor(hexA, hexB, t){
+  const a = hexToRgb(hexA); const b = hexToRgb(hexB);
+  return rgbToHex([clamp(a[0]+(b[0]-a[0])*t), clamp(a[1]+(b[1]-a[1])*t), clamp(a[2]+(b[2]-a[2])*t)]);
+}
+
+// "#ABC" or "#aabbcc" as "#aabbcc"; null for anything else
+export function normalizeHex(value) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const h = match[1].length === 3 ? match[1].split('').map((c) => c + c).join('') : match[1];
+  return `#${h.toLowerCase()}`;
+}
+
+// The theme colors in effect on `el` (inline edits included), as { token: "#rrggbb" }
+export function readThemeColors(el = document.body) {
+  const style = getComputedStyle(el);
+  return Object.fromEntries(COLOR_TOKENS.map((token) => [token, normalizeHex(style.getPropertyValue(token)) || DEFAULT_COLORS[token]]));
+}
+
+export function requiredRatio(pair, level = 'AA') {
+  return (pair.nonText ? NON_TEXT_RATIOS : TEXT_RATIOS)[level];
+}
+
+// Contrast of every pair: [{ ...pair, fgColor, bgColor, ratio, AA, AAA }] where AA and
+// AAA are booleans. Ratios are not rounded before comparing (4.49 fails AA).
+export function auditColors(colors) {
+  return CONTRAST_PAIRS.map((pair) => {
+    const fgColor = colors[pair.fg];
+    const bgColor = colors[pair.bg];
+    const ratio = contrastRatio(fgColor, bgColor) || 0;
+    return { ...pair, fgColor, bgColor, ratio, AA: ratio >= requiredRatio(pair, 'AA'), AAA: ratio >= requiredRatio(pair, 'AAA') };
+  });
+}
+
+const distance = (hexA, hexB) => {
+  const a = hexToRgb(hexA);
+  const b = hexToRgb(hexB);
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+};
+
+// Closest mix of `hex` toward `toward` (black or white) that reaches `target` against
+// `other`, or null when not even pure black/white does. Once the mix passes `other`'s
+// lightness the ratio only grows, so a binary search finds the smallest step.
+function nearestShade(hex, toward, other, target) {
+  if (contrastRatio(toward, other) < target) return null;
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (contrastRatio(lerpColor(hex, toward, mid), other) >= target) high = mid;
+    else low = mid;
+  }
+  const shade = lerpColor(hex, toward, high);
+  // Rounding to whole RGB values can land just short of the target
+  return contrastRatio(shade, other) >= target ? shade : toward;
+}
+
+// Ways to make `pair` reach `level`: the closest passing shade of the foreground and of
+// the background, each lighter or darker, whichever changes it least.
+// [{ token, role: 'fg' | 'bg', value, direction: 'darker' | 'lighter', ratio }]
+export function suggestFixes(colors, pair, level = 'AA') {
+  const target = requiredRatio(pair, level);
+  const fixes = [];
+  [['fg', pair.fg, pair.bg], ['bg', pair.bg, pair.fg]].forEach(([role, token, otherToken]) => {
+    const current = colors[token];
+    const other = colors[otherToken];
+    const options = [['darker', '#000000'], ['lighter', '#ffffff']]
+      .map(([direction, toward]) => {
+        const value = nearestShade(current, toward, other, target);
+        return value && { token, role, value, direction, ratio: contrastRatio(value, other) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => distance(current, a.value) - distance(current, b.value));
+    if (options.length) fixes.push(options[0]);
+  });
+  return fixes;
+}
+
+// Fix the pairs that fail `level`, preferring to change foreground colors so brand
+// backgrounds stay put. A token can be in several pairs, so a fix is only kept when
+// fewer pairs fail with it; pairs that pull a color both ways (gold behind black text
+// and gold icons on white, for AAA) stay as they are.
+// Returns the changed tokens ({ token: color }).
+export function autoFixColors(colors, level = 'AA') {
+  const failures = (candidate) => auditColors(candidate).filter((result) => !result[level]);
+  const fixed = { ...colors };
+  const changed = {};
+  for (let pass = 0; pass < 5; pass++) {
+    let improved = false;
+    failures(fixed).forEach((result) => {
+      const before = failures(fixed).length;
+      const fixes = suggestFixes(fixed, result, level).sort((a, b) => (a.role === 'fg' ? -1 : 0) - (b.role === 'fg' ? -1 : 0));
+      const fix = fixes.find((f) => failures({ ...fixed, [f.token]: f.value }).length < before);
+      if (!fix) return;
+      fixed[fix.token] = fix.value;
+      changed[fix.token] = fix.value;
+      improved = true;
+    });
+    if (!improved) break;
+  }
+  return changed;
+}
@@ -0,0 +1,73 @@
+/*
+  feedback.js
+
+  Feedback controls under each assistant reply: thumbs up / down and "Report".
+  Only replies the Worker answered carry a `turnId` (see worker/analytics.js), and
+  only those get controls. The choice is saved on the assistant message:
+    message.feedback  'up' | 'down' (absent when not rated)
+    message.reported  true once the reply was reported
+
+  A report shares the conversation up to the reported reply (text only, no photos)
+  so the site team can review it in the admin dashboard (admin.html).
+
+  ES module imported by script.js.
+*/
+
+import { t } from './i18n.js';
+
+// Latest messages shared with a report (the Worker caps the conversation size too)
+export const MAX_REPORT_MESSAGES = 20;
+
+const BUTTONS = [
+  { rating: 'up', icon: 'thumb_up', label: 'feedback.helpful' },
+  { rating: 'down', icon: 'thumb_down', label: 'feedback.notHelpful' }
+];
+
+function iconButton(className, icon, label) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `feedback-btn ${className}`;
+  btn.title = label;
+  btn.setAttribute('aria-label', label);
+  btn.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+  return btn;
+}
+
+// Draw (or redraw) the controls under `bubble` for `message`.
+// `onRate(rating)` gets 'up' or 'down' (pressing the current rating again clears it);
+// `onReport()` is called from the Report button.
+export function renderFeedbackControls(bubble, message, { onRate, onReport }) {
+  const row = bubble.parentElement;
+  if (!row || !message.turnId) return null;
+  const old = row.querySelector('.feedback-bar');
+  if (old) old.remove();
+
+  const bar = document.createElement('div');
+  bar.className = 'feedback-bar';
+  bar.setAttribute('role', 'group');
+  bar.setAttribute('aria-label', t('feedback.label'));
+
+  BUTTONS.forEach(({ rating, icon, label }) => {
+    const btn = iconButton(`feedback-${rating}`, icon, t(label));
+    btn.setAttribute('aria-pressed', String(message.feedback === rating));
+    btn.addEventListener('click', () => onRate(rating));
+    bar.appendChild(btn);
+  });
+
+  const report = iconButton('feedback-report', 'flag', t(message.reported ? 'feedback.reported' : 'feedback.report'));
+  report.disabled = Boolean(message.reported);
+  report.addEventListener('click', () => onReport());
+  bar.appendChild(report);
+
+  row.appendChild(bar);
+  return bar;
+}
+
+// The conversation shared with a report: the latest messages up to and including
+// `message`, as plain { role, content } turns
+export function reportTranscript(conversation, message) {
+  const end = conversation.indexOf(message) + 1;
+  return conversation
+    .slice(Math.max(0, end - MAX_REPORT_MESSAGES), end)
+    .map((m) => ({ role: m.role, content: m.content }));
+}
@@ -0,0 +1,107 @@
+/*
+  i18n.js
+
+  Interface language: message catalogs (locales/*.js), the language picker's
+  choice and translation of the static page.
+
+  The language is picked from, in order: the saved choice (LANGUAGE_KEY), the
+  browser's languages (navigator.languages), then English. It is also sent to the
+  Worker with every question so replies come back in the same language.
+
+  Static elements are translated with data attributes:
+    <span data-i18n="sidebar.newChat">New chat</span>
+    <input data-i18n-attr="placeholder:chat.placeholder;aria-label:chat.inputLabel">
+  Strings set from JavaScript use t('key', { name: value }).
+
+  ES module imported by script.js and the client modules that render text.
+*/
+
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import es from './locales/es.js';
+import de from './locales/de.js';
+
+// Language codes with a catalog, and their names in that language (for the picker)
+export const LANGUAGES = { en: 'English', fr: 'Français', es: 'Español', de: 'Deutsch' };
+export const DEFAULT_LANGUAGE = 'en';
+export const LANGUAGE_KEY = 'loreal_language';
+
+const CATALOGS = { en, fr, es, de };
+
+// Region used for speech when the browser's own locale is for another language
+const SPEECH_LOCALES = { en: 'en-US', fr: 'fr-FR', es: 'es-ES', de: 'de-DE' };
+
+let current = DEFAULT_LANGUAGE;
+
+const supported = (code) => typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+
+// First supported language in `preferred` ("fr-CA" counts as "fr"), or English
+export function detectLanguage(preferred = navigator.languages || [navigator.language]) {
+  const match = (preferred || [])
+    .map((tag) => String(tag || '').toLowerCase().split('-')[0])
+    .find(supported);
+  return match || DEFAULT_LANGUAGE;
+}
+
+// Saved choice, or the browser's language
+export function loadLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (supported(saved)) return saved;
+  } catch (e) {}
+  return detectLanguage();
+}
+
+export function getLanguage() {
+  return current;
+}
+
+// Switch the interface language (unknown codes fall back to English). With `save`,
+// the choice is remembered in this browser.
+export function setLanguage(code, { save = false } = {}) {
+  current = supported(code) ? code : DEFAULT_LANGUAGE;
+  document.documentElement.lang = current;
+  if (save) {
+    try { localStorage.setItem(LANGUAGE_KEY, current); } catch (e) {}
+  }
+  return current;
+}
+
+// Translated string for `key`, with {name} placeholders filled from `vars`.
+// Missing translations fall back to English, then to the key itself.
+export function t(key, vars = {}) {
+  const text = CATALOGS[current][key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in vars ? String(vars[name]) : placeholder));
+}
+
+// Whether `key` has a translation (used for optional strings such as error codes)
+export function hasTranslation(key) {
+  return key in CATALOGS[DEFAULT_LANGUAGE];
+}
+
+// Plural form of `key`: looks up `key.one`, `key.other`... for `count`
+export function tn(key, count, vars = {}) {
+  const form = new Intl.PluralRules(current).select(count);
+  const full = hasTranslation(`${key}.${form}`) ? `${key}.${form}` : `${key}.other`;
+  return t(full, { count, ...vars });
+}
+
+// BCP 47 locale for speech recognition and read-aloud: the browser's own region
+// when it matches the interface language, e.g. "fr-CA"
+export function speechLocale() {
+  const browser = navigator.language || '';
+  return browser.toLowerCase().split('-')[0] === current ? browser : SPEECH_LOCALES[current];
+}
+
+// Translate the static page (elements with data-i18n / data-i18n-attr)
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+    el.dataset.i18nAttr.split(';').forEach((pair) => {
+      const [attr, key] = pair.split(':').map((s) => s.trim());
+      if (attr && key) el.setAttribute(attr, t(key));
+    });
+  });
+}
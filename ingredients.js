@@ -0,0 +1,216 @@
+/*
+  ingredients.js
+
+  Ingredient conflict checker: the report the Worker builds from its local
+  ingredient knowledge base (worker/ingredients.js), shown in the chat as a
+  warning panel under the assistant reply.
+
+  A report comes from POST /ingredients (the "Ingredients" form) or with a chat
+  reply (`ingredient_check`) when a question is about layering or pregnancy. It is
+  saved on its assistant message as `message.ingredientCheck`:
+    { items: [{ label, product, ingredients: [{ id, name }], unknown }],
+      conflicts: [{ severity, items: [i, j], ingredients: [a, b], message, advice }],
+      allergens: [{ item, ingredient, message }],
+      pregnancy: [{ item, ingredient, message }],
+      summary, disclaimer }
+
+  The findings' messages come from the Worker's knowledge base; the panel's own
+  labels are translated (i18n.js).
+
+  ES module imported by script.js, chat-api.js and transcript.js.
+*/
+
+import { t } from './i18n.js';
+
+// Label keys are ingredients.severity.<severity>
+const SEVERITIES = {
+  avoid: { icon: 'block' },
+  caution: { icon: 'warning' },
+  info: { icon: 'info' }
+};
+
+const MAX_ITEMS = 6;
+const MAX_FINDINGS = 30;
+
+const str = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+const list = (value, max) => (Array.isArray(value) ? value.slice(0, max) : []);
+const isIndex = (value, count) => Number.isInteger(value) && value >= 0 && value < count;
+
+// Keep only a well-formed report (from the Worker, localStorage or an imported file).
+// Returns null when there is nothing to show.
+export function normalizeIngredientReport(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const items = list(raw.items, MAX_ITEMS).filter((item) => item && str(item.label, 120)).map((item) => ({
+    label: str(item.label, 120),
+    product: item.product && typeof item.product.name === 'string'
+      ? { id: str(item.product.id, 80), name: str(item.product.name, 200), brand: str(item.product.brand, 200) }
+      : null,
+    ingredients: list(item.ingredients, 60)
+      .filter((ing) => ing && typeof ing.name === 'string')
+      .map((ing) => ({ id: str(ing.id, 80), name: str(ing.name, 120) })),
+    unknown: list(item.unknown, 20).map((u) => str(u, 80)).filter(Boolean)
+  }));
+  if (!items.length) return null;
+
+  const flags = (value) => list(value, MAX_FINDINGS)
+    .filter((f) => f && isIndex(f.item, items.length) && str(f.ingredient, 120))
+    .map((f) => ({ item: f.item, ingredient: str(f.ingredient, 120), message: str(f.message, 300) }));
+
+  return {
+    items,
+    conflicts: list(raw.conflicts, MAX_FINDINGS)
+      .filter((c) => c && SEVERITIES[c.severity] && Array.isArray(c.items) && c.items.length === 2
+        && c.items.every((i) => isIndex(i, items.length)) && Array.isArray(c.ingredients))
+      .map((c) => ({
+        severity: c.severity,
+        items: [...c.items],
+        ingredients: c.ingredients.slice(0, 2).map((name) => str(name, 120)),
+        message: str(c.message, 300),
+        advice: str(c.advice, 300)
+      })),
+    allergens: flags(raw.allergens),
+    pregnancy: flags(raw.pregnancy),
+    summary: str(raw.summary, 4000),
+    disclaimer: str(raw.disclaimer, 300)
+  };
+}
+
+// Short plain text sent to the Worker with the conversation (follow-up questions).
+// It is model context, so it stays in English whatever the interface language.
+export function ingredientReportToText(report) {
+  return `Ingredient check results:\n${report.summary}`.slice(0, 1500);
+}
+
+// Report as Markdown (for the Markdown export and the print view)
+export function ingredientReportToMarkdown(report) {
+  const lines = [`#### ${t('ingredients.title')}`, '', report.summary || `- ${t('ingredients.noWarnings')}`];
+  if (report.disclaimer) lines.push('', `_${report.disclaimer}_`);
+  lines.push('');
+  return lines.join('\n');
+}
+
+// —— Warning panel ——
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+};
+
+const itemLabel = (report, index) => report.items[index].label;
+
+function findingList(title, className, entries) {
+  const section = el('div', `ingredient-section ${className}`);
+  section.appendChild(el('h4', 'ingredient-section-title', title));
+  const ul = el('ul');
+  entries.forEach((entry) => ul.appendChild(entry));
+  section.appendChild(ul);
+  return section;
+}
+
+// Render `report` as a warning panel under the assistant bubble
+export function renderIngredientReport(bubble, report) {
+  const row = bubble.parentElement;
+  if (!row) return null;
+  const old = row.querySelector('.ingredient-report');
+  if (old) old.remove();
+
+  const panel = el('section', 'ingredient-report');
+  const titleId = `ingredients-${Math.random().toString(36).slice(2, 8)}`;
+  panel.setAttribute('aria-labelledby', titleId);
+  const worst = report.conflicts[0] ? report.conflicts[0].severity : '';
+  if (worst) panel.classList.add(`has-${worst}`);
+
+  const heading = el('h3', 'ingredient-title');
+  heading.id = titleId;
+  heading.innerHTML = '<span class="material-icons" aria-hidden="true">science</span>';
+  heading.appendChild(document.createTextNode(t('ingredients.title')));
+  panel.appendChild(heading);
+
+  if (report.conflicts.length) {
+    panel.appendChild(findingList(t('ingredients.layering'), 'ingredient-conflicts', report.conflicts.map((c) => {
+      const { icon } = SEVERITIES[c.severity];
+      const li = el('li', `ingredient-conflict severity-${c.severity}`);
+      const badge = el('span', 'severity-badge');
+      badge.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+      badge.appendChild(document.createTextNode(t(`ingredients.severity.${c.severity}`)));
+      li.appendChild(badge);
+      li.appendChild(el('strong', 'ingredient-pair', c.ingredients.join(' + ')));
+      const sources = c.items.map((i) => itemLabel(report, i));
+      if (sources.join(' + ') !== c.ingredients.join(' + ')) {
+        li.appendChild(el('span', 'ingredient-sources', t('ingredients.sources', { first: sources[0], second: sources[1] })));
+      }
+      li.appendChild(el('p', '', c.message));
+      if (c.advice) li.appendChild(el('p', 'ingredient-advice', c.advice));
+      return li;
+    })));
+  } else if (report.items.length > 1) {
+    panel.appendChild(el('p', 'ingredient-ok', t('ingredients.noConflicts')));
+  }
+
+  const flagItem = (f) => {
+    const li = el('li');
+    li.appendChild(el('strong', '', f.ingredient));
+    if (itemLabel(report, f.item) !== f.ingredient) li.appendChild(el('span', 'ingredient-sources', itemLabel(report, f.item)));
+    li.appendChild(el('p', '', f.message));
+    return li;
+  };
+  if (report.allergens.length) panel.appendChild(findingList(t('ingredients.allergens'), 'ingredient-allergens', report.allergens.map(flagItem)));
+  if (report.pregnancy.length) panel.appendChild(findingList(t('ingredients.pregnancy'), 'ingredient-pregnancy', report.pregnancy.map(flagItem)));
+
+  // What was recognized in each product or list
+  const checked = el('details', 'ingredient-items');
+  checked.appendChild(el('summary', '', t('ingredients.checked')));
+  const ul = el('ul');
+  report.items.forEach((item) => {
+    const li = el('li');
+    li.appendChild(el('strong', '', item.product ? `${item.product.name} (${item.product.brand})` : item.label));
+    const names = item.ingredients.map((ing) => ing.name).join(', ');
+    li.appendChild(document.createTextNode(`: ${names || t('ingredients.noneKnown')}`));
+    if (item.unknown.length) li.appendChild(el('p', 'ingredient-unknown', t('ingredients.unknown', { names: item.unknown.join(', ') })));
+    ul.appendChild(li);
+  });
+  checked.appendChild(ul);
+  panel.appendChild(checked);
+
+  if (report.disclaimer) panel.appendChild(el('p', 'ingredient-disclaimer', report.disclaimer));
+
+  // Product cards (if any) stay below the panel
+  row.insertBefore(panel, row.querySelector('.product-cards'));
+  return panel;
+}
+
+// —— Checker form ——
+
+// Add one "product or ingredient list" field to the form (up to MAX_ITEMS)
+export function addIngredientField(container, value = '') {
+  const count = container.querySelectorAll('textarea').length;
+  if (count >= MAX_ITEMS) return null;
+  const id = `ingredientItem${count + 1}`;
+  const label = el('label');
+  label.htmlFor = id;
+  const field = el('textarea', 'ingredient-field');
+  field.id = id;
+  field.rows = 2;
+  field.maxLength = 4000;
+  field.value = value;
+  container.appendChild(label);
+  container.appendChild(field);
+  translateIngredientFields(container);
+  return field;
+}
+
+// Label and placeholder of every field in the current language (after a language switch)
+export function translateIngredientFields(container) {
+  container.querySelectorAll('textarea').forEach((field, i) => {
+    const label = container.querySelector(`label[for="${field.id}"]`);
+    if (label) label.textContent = t('ingredients.field', { number: i + 1 });
+    field.placeholder = t('ingredients.fieldPlaceholder');
+  });
+}
+
+// Non-empty field values of the form
+export function ingredientFieldValues(container) {
+  return [...container.querySelectorAll('textarea')].map((f) => f.value.trim()).filter(Boolean);
+}
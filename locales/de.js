@@ -0,0 +1,268 @@
+// German UI strings (keys as in en.js; missing keys fall back to English)
+
+export default {
+  // Header
+  'app.subtitle': 'Produktberater',
+  'app.tagline': 'Persönliche Produktempfehlungen und Tipps für deine Pflegeroutine',
+  'theme.label': 'Farbschema wählen',
+  'theme.classic': 'Klassisch',
+  'theme.warm': 'Warmes Gold',
+  'theme.deep': 'Tiefschwarz',
+  'language.label': 'Sprache',
+  'readAloud.label': 'Antworten vorlesen',
+
+  // Theme editor
+  'themeEditor.open': 'Themenfarben bearbeiten',
+  'themeEditor.title': 'Themen-Editor: {name}',
+  'themeEditor.colors': 'Farben',
+  'themeEditor.contrast': 'Kontrastprüfung',
+  'themeEditor.target': 'Zielstufe',
+  'themeEditor.summaryPass': 'Alle {count} Farbpaare erfüllen {level}.',
+  'themeEditor.summaryFail': '{failed} von {count} Farbpaaren erfüllen {level} nicht.',
+  'themeEditor.ratio': '{ratio}:1',
+  'themeEditor.needs': 'benötigt {ratio}:1',
+  'themeEditor.pass': '{level} bestanden',
+  'themeEditor.fail': '{level} nicht bestanden',
+  'themeEditor.darker': '{token} dunkler: {color} ({ratio})',
+  'themeEditor.lighter': '{token} heller: {color} ({ratio})',
+  'themeEditor.fixAll': 'Alles für {level} korrigieren',
+  'themeEditor.saveAs': 'Als neues Thema speichern',
+  'themeEditor.namePrompt': 'Name des Themas:',
+  'themeEditor.defaultName': 'Mein Thema',
+  'themeEditor.reset': 'Änderungen zurücksetzen',
+  'themeEditor.resetConfirm': 'Ihre Farbänderungen an {name} zurücksetzen?',
+  'themeEditor.delete': 'Thema löschen',
+  'themeEditor.deleteConfirm': 'Das Thema „{name}“ löschen?',
+  'themeEditor.customThemes': 'Eigene Themen',
+  'themeEditor.token.brand-black': 'Schwarz',
+  'themeEditor.token.brand-white': 'Weiß',
+  'themeEditor.token.brand-red': 'Rot',
+  'themeEditor.token.brand-gold': 'Gold',
+  'themeEditor.token.brand-muted': 'Hintergrund der Bereiche',
+  'themeEditor.token.text': 'Haupttext',
+  'themeEditor.token.muted': 'Nebentext',
+  'themeEditor.token.assistant-bg': 'Hintergrund der Antworten',
+  'themeEditor.token.assistant-border': 'Rahmen der Antworten',
+  'themeEditor.token.user-bg': 'Hintergrund Ihrer Nachrichten',
+  'themeEditor.token.user-text': 'Text Ihrer Nachrichten',
+  'themeEditor.token.user-muted': 'Uhrzeit Ihrer Nachrichten',
+  'themeEditor.pair.body': 'Haupttext auf der Seite',
+  'themeEditor.pair.replies': 'Antworten des Assistenten',
+  'themeEditor.pair.panels': 'Text in Bereichen',
+  'themeEditor.pair.secondary': 'Nebentext',
+  'themeEditor.pair.replyTime': 'Uhrzeit der Antworten',
+  'themeEditor.pair.user': 'Ihre Nachrichten',
+  'themeEditor.pair.userTime': 'Uhrzeit Ihrer Nachrichten',
+  'themeEditor.pair.goldButton': 'Goldene Schaltflächen',
+  'themeEditor.pair.darkButton': 'Dunkle Schaltflächen und Abzeichen',
+  'themeEditor.pair.warning': 'Warnsymbole',
+  'themeEditor.pair.goldIcon': 'Goldene Symbole',
+
+  // Beauty profile
+  'profile.heading': 'Mein Beauty-Profil:',
+  'profile.intro': 'Erzähl uns ein wenig über dich, dann wird jede Antwort auf deine Bedürfnisse abgestimmt.',
+  'profile.notSet': 'Nicht festgelegt',
+  'profile.notSpecified': 'Keine Angabe',
+  'profile.skinType': 'Hauttyp',
+  'profile.hairType': 'Haartyp',
+  'profile.budget': 'Budget',
+  'profile.concerns': 'Anliegen',
+  'profile.save': 'Profil speichern',
+  'profile.reset': 'Zurücksetzen',
+  'profile.resetConfirm': 'Dein Beauty-Profil zurücksetzen?',
+  'profile.skinSummary': 'Haut: {type}',
+  'profile.hairSummary': 'Haar: {type}',
+  'profile.skinType.normal': 'normal',
+  'profile.skinType.dry': 'trocken',
+  'profile.skinType.oily': 'fettig',
+  'profile.skinType.combination': 'gemischt',
+  'profile.skinType.sensitive': 'empfindlich',
+  'profile.hairType.straight': 'glatt',
+  'profile.hairType.wavy': 'wellig',
+  'profile.hairType.curly': 'lockig',
+  'profile.hairType.coily': 'kraus',
+  'profile.concerns.acne': 'Akne',
+  'profile.concerns.aging': 'Hautalterung',
+  'profile.concerns.dark-spots': 'Pigmentflecken',
+  'profile.concerns.dryness': 'Trockenheit',
+  'profile.concerns.dullness': 'fahler Teint',
+  'profile.concerns.redness': 'Rötungen',
+  'profile.concerns.frizz': 'Frizz',
+  'profile.concerns.damage': 'Haarschäden',
+  'profile.concerns.color-care': 'Farbpflege',
+  'profile.budget.1': 'Drogerie ($)',
+  'profile.budget.2': 'Mittelklasse ($$)',
+  'profile.budget.3': 'Prestige ($$$)',
+
+  // Conversation sidebar
+  'sidebar.label': 'Unterhaltungen',
+  'sidebar.newChat': 'Neuer Chat',
+  'sidebar.search': 'Unterhaltungen durchsuchen',
+  'sidebar.searchPlaceholder': 'Chats durchsuchen…',
+  'thread.renamePrompt': 'Unterhaltung umbenennen:',
+  'thread.deleteConfirm': '„{title}“ löschen? Die Nachrichten werden aus diesem Browser entfernt.',
+  'sidebar.empty': 'Keine Unterhaltungen gefunden.',
+  'thread.rename': 'Umbenennen',
+  'thread.delete': 'Löschen',
+  'thread.renameLabel': '„{title}“ umbenennen',
+  'thread.deleteLabel': '„{title}“ löschen',
+
+  // Toolbar, summary, export and import
+  'toolbar.summary': 'Zusammenfassung',
+  'toolbar.ingredients': 'Inhaltsstoffe',
+  'toolbar.ingredientsTitle': 'Prüfen, ob sich Produkte kombinieren lassen',
+  'toolbar.markdown': 'Markdown',
+  'toolbar.markdownTitle': 'Diese Unterhaltung als Markdown herunterladen',
+  'toolbar.json': 'JSON',
+  'toolbar.jsonTitle': 'Diese Unterhaltung als JSON-Datei herunterladen, die du später importieren kannst',
+  'toolbar.print': 'Drucken',
+  'toolbar.printTitle': 'Deine Routine drucken oder als PDF speichern',
+  'toolbar.import': 'Importieren',
+  'toolbar.importTitle': 'Unterhaltungen aus einem JSON-Export importieren',
+  'memory.heading': 'Zusammenfassung der ersten {count} Nachrichten (wird stattdessen gesendet, damit Antworten schnell bleiben):',
+  'memory.empty': 'Noch keine Zusammenfassung.',
+  'memory.emptyHelp': 'Wenn eine Unterhaltung lang wird, werden ältere Nachrichten automatisch zusammengefasst. Die Zusammenfassung erscheint dann hier.',
+  'export.empty': 'Diese Unterhaltung ist leer. Stelle zuerst eine Frage und exportiere sie dann.',
+  'import.done.one': '{count} Unterhaltung importiert.',
+  'import.done.other': '{count} Unterhaltungen importiert.',
+  'import.skipped': '{count} bereits in diesem Browser gespeichert.',
+  'import.failed': 'Import fehlgeschlagen: {message}',
+  'import.imported': '{title} (importiert)',
+  'import.fileEmpty': 'Die Datei ist leer.',
+  'import.fileTooLarge': 'Die Datei ist zu groß für den Import.',
+  'import.invalidJson': 'Die Datei ist kein gültiges JSON.',
+  'import.newerVersion': 'Diese Datei wurde mit einer neueren Version der App exportiert.',
+  'import.notExport': 'Das ist kein L’Oréal-Chat-Export.',
+  'import.noMessages': 'Die Datei enthält keine Nachrichten.',
+  'export.exportedOn': 'Exportiert aus dem L’Oréal Produktberater am {date}',
+  'export.products': 'Empfohlene Produkte',
+  'export.conversation': 'Unterhaltung',
+  'export.you': 'Du',
+  'export.advisor': 'L’Oréal-Berater',
+  'export.photo': '(Foto angehängt)',
+  'print.heading': 'Deine L’Oréal-Beauty-Routine',
+  'print.prepared': 'Erstellt am {date}',
+  'print.profile': 'Profil: {profile}',
+  'print.advice': 'Ratschläge',
+
+  // Ingredient checker
+  'ingredients.help': 'Gib Produktnamen ein oder füge Inhaltsstofflisten ein, um unverträgliche Kombinationen, Allergene und Hinweise für die Schwangerschaft zu prüfen.',
+  'ingredients.add': 'Produkt hinzufügen',
+  'ingredients.check': 'Prüfen',
+  'ingredients.question': 'Inhaltsstoff-Check: {items}',
+  'ingredients.checking': 'Inhaltsstoffe werden geprüft...',
+  'ingredients.noResults': 'Der Inhaltsstoff-Check hat keine Ergebnisse geliefert.',
+  'ingredients.found': 'Das hat der Inhaltsstoff-Check ergeben.',
+  'ingredients.foundWarnings': 'Das hat der Inhaltsstoff-Check ergeben. Bitte lies die Warnungen, bevor du diese Produkte kombinierst.',
+  'ingredients.field': 'Produkt {number}',
+  'ingredients.fieldPlaceholder': 'Produktname (z. B. Effaclar Duo) oder füge die Inhaltsstoffliste ein',
+  'ingredients.title': 'Inhaltsstoff-Check',
+  'ingredients.severity.avoid': 'Vermeiden',
+  'ingredients.severity.caution': 'Vorsicht',
+  'ingredients.severity.info': 'Gut zu wissen',
+  'ingredients.layering': 'Kombinieren',
+  'ingredients.noConflicts': 'Keine bekannten Konflikte beim Kombinieren dieser Produkte.',
+  'ingredients.sources': '{first} mit {second}',
+  'ingredients.allergens': 'Allergene',
+  'ingredients.pregnancy': 'Schwangerschaft und Stillzeit',
+  'ingredients.checked': 'Was geprüft wurde',
+  'ingredients.noneKnown': 'keine bekannten Inhaltsstoffe',
+  'ingredients.unknown': 'Nicht in der Wissensdatenbank: {names}',
+  'ingredients.noWarnings': 'Keine Warnungen.',
+
+  // Chat
+  'chat.greeting': '👋 Hallo! Frag mich nach L’Oréal-Produkten, Pflegeroutinen oder Empfehlungen.',
+  'chat.inputLabel': 'Nachricht',
+  'chat.placeholder': 'Frag mich nach Produkten oder Routinen…',
+  'chat.routinePlaceholder': 'Beschreibe deine Ziele, z. B. „eine einfache Routine für fettige Haut“…',
+  'chat.send': 'Senden',
+  'chat.stop': 'Stopp',
+  'chat.clear': 'Leeren',
+  'chat.clearConfirm': 'Diese Unterhaltung leeren? Die gespeicherten Nachrichten werden aus diesem Browser entfernt.',
+  'chat.thinking': 'Einen Moment...',
+  'chat.buildingRoutine': 'Deine Routine wird erstellt...',
+  'chat.stopped': 'Gestoppt.',
+  'chat.noAnswer': 'Leider konnte ich keine Antwort bekommen.',
+  'chat.error': 'Fehler: {message}',
+  'chat.requestFailed': 'Anfrage fehlgeschlagen',
+  'chat.missingConfig': 'Konfiguration fehlt: Trage die URL deines Cloudflare Workers als WORKER_URL in secrets.js ein.',
+  'chat.refusal': 'Themenfremde Frage abgelehnt',
+  'chat.latestQuestion': 'Letzte Frage: {text}',
+  'chat.retry': 'Erneut versuchen',
+  'routine.toggle': 'Routine-Modus',
+  'routine.toggleTitle': 'Eine persönliche Morgen- und Abendroutine erstellen',
+  'routine.defaultTitle': 'Deine Routine',
+  'routine.am': 'Morgens (AM)',
+  'routine.pm': 'Abends (PM)',
+  'routine.steps': 'Schritte: {part}',
+  'routine.addStep': '{part}-Schritt hinzufügen',
+  'routine.cautions': 'Hinweise',
+  'routine.stepName': 'Schritt',
+  'routine.howToUse': 'Anwendung',
+  'routine.howOften': 'Wie oft',
+  'routine.save': 'Speichern',
+  'routine.cancel': 'Abbrechen',
+  'routine.editStep': 'Schritt {number} bearbeiten: {step}',
+  'routine.removeStep': 'Schritt {number} entfernen: {step}',
+  'routine.frequency.daily': 'täglich',
+  'routine.frequency.every-other-day': 'jeden zweiten Tag',
+  'routine.frequency.2-3-times-a-week': '2–3 Mal pro Woche',
+  'routine.frequency.weekly': 'wöchentlich',
+  'routine.frequency.as-needed': 'bei Bedarf',
+
+  // Product cards
+  'products.label': 'Empfohlene Produkte',
+  'products.view': 'Produkt ansehen',
+  'products.viewLabel': '{name} auf der Website von {brand} ansehen (öffnet in neuem Tab)',
+
+  // Photos
+  'photo.attach': 'Foto anhängen',
+  'photo.attachTitle': 'Ein Foto deiner Haut oder Haare anhängen',
+  'photo.attached': 'Foto angehängt',
+  'photo.preview': 'Zu sendendes Foto',
+  'photo.sent': 'Angehängtes Foto',
+  'photo.remove': 'Foto entfernen',
+  'photo.type': 'Bitte wähle ein JPEG-, PNG- oder WebP-Foto.',
+  'photo.size': 'Dieses Foto ist zu groß. Bitte wähle eines unter 15 MB.',
+  'photo.unreadable': 'Dieses Foto konnte nicht geöffnet werden. Bitte versuche ein anderes.',
+  'photo.failed': 'Dieses Foto kann nicht verwendet werden. Bitte versuche ein anderes.',
+
+  // Voice
+  'voice.ask': 'Per Sprache fragen',
+  'voice.stop': 'Zuhören beenden',
+  'voice.transcribing': 'Wird umgewandelt…',
+  'voice.blocked': 'Der Mikrofonzugriff ist blockiert. Erlaube ihn in den Browsereinstellungen, um per Sprache zu fragen.',
+  'voice.noMicrophone': 'Es wurde kein Mikrofon gefunden.',
+  'voice.noSpeech': 'Ich habe nichts gehört. Bitte versuche es noch einmal.',
+  'voice.offline': 'Die Spracheingabe braucht eine Internetverbindung. Bitte tippe deine Frage.',
+  'voice.failed': 'Die Spracheingabe funktioniert nicht mehr. Bitte tippe deine Frage.',
+
+  // Feedback on replies
+  'feedback.label': 'Diese Antwort bewerten',
+  'feedback.helpful': 'Hilfreich',
+  'feedback.notHelpful': 'Nicht hilfreich',
+  'feedback.report': 'Diese Antwort melden',
+  'feedback.reported': 'Gemeldet',
+  'feedback.reportPrompt': 'Was stimmt mit dieser Antwort nicht? (optional)\nDie Unterhaltung bis zu dieser Antwort wird zur Prüfung an das Team der Website weitergegeben.',
+  'feedback.reportDone': 'Danke, die Antwort wurde gemeldet.',
+  'feedback.failed': 'Deine Meldung konnte nicht gesendet werden: {message}',
+
+  // Errors
+  'error.network': 'Der Assistent ist nicht erreichbar. Prüfe deine Verbindung und versuche es noch einmal.',
+  'error.streamDropped': 'Die Verbindung ist während der Antwort abgebrochen. Bitte versuche es noch einmal.',
+  'error.interrupted': 'Die Antwort wurde unterbrochen.',
+  'error.rateLimitedIn': 'Du sendest zu schnell Nachrichten. Bitte versuche es in {seconds} Sekunden noch einmal.',
+  'error.rateLimited': 'Du sendest zu schnell Nachrichten. Bitte warte einen Moment und versuche es noch einmal.',
+  'error.tooLong': 'Diese Unterhaltung ist zu lang. Bitte leere sie und beginne neu.',
+  'error.forbidden': 'Diese Website darf den Assistenten nicht verwenden.',
+  'error.worker': 'Worker-Fehler: {status} {statusText}',
+  'error.upstream_rate_limited': 'Der Assistent ist gerade ausgelastet. Bitte versuche es gleich noch einmal.',
+  'error.upstream_timeout': 'Der Assistent hat zu lange für die Antwort gebraucht. Bitte versuche es noch einmal.',
+  'error.upstream_unavailable': 'Der Assistent ist vorübergehend nicht verfügbar. Bitte versuche es noch einmal.',
+  'error.upstream_unreachable': 'Der Assistent ist nicht erreichbar. Bitte versuche es noch einmal.',
+  'error.upstream_interrupted': 'Die Antwort wurde unterbrochen. Bitte versuche es noch einmal.',
+  'error.upstream_invalid_response': 'Der Assistent hat eine unerwartete Antwort gesendet. Bitte versuche es noch einmal.',
+  'error.upstream_config': 'Der Assistent ist nicht richtig eingerichtet. Bitte wende dich an den Betreiber der Website.',
+  'error.invalid_routine': 'Der Assistent konnte diesmal keine Routine erstellen. Bitte versuche es noch einmal.',
+  'error.no_speech': 'Ich habe leider keine Frage gehört. Bitte versuche es noch einmal.'
+};
@@ -0,0 +1,269 @@
+// English UI strings (the reference catalog: every key must exist here).
+// Keys are grouped by the part of the page they belong to; {name} is a placeholder.
+
+export default {
+  // Header
+  'app.subtitle': 'Product Advisor',
+  'app.tagline': 'Personalized product recommendations & routine tips',
+  'theme.label': 'Choose color theme',
+  'theme.classic': 'Classic',
+  'theme.warm': 'Warm Gold',
+  'theme.deep': 'Deep Noir',
+  'language.label': 'Language',
+  'readAloud.label': 'Read replies aloud',
+
+  // Theme editor
+  'themeEditor.open': 'Edit theme colors',
+  'themeEditor.title': 'Theme editor: {name}',
+  'themeEditor.colors': 'Colors',
+  'themeEditor.contrast': 'Contrast check',
+  'themeEditor.target': 'Target',
+  'themeEditor.summaryPass': 'All {count} color pairs meet {level}.',
+  'themeEditor.summaryFail': '{failed} of {count} color pairs fail {level}.',
+  'themeEditor.ratio': '{ratio}:1',
+  'themeEditor.needs': 'needs {ratio}:1',
+  'themeEditor.pass': '{level} pass',
+  'themeEditor.fail': '{level} fail',
+  'themeEditor.darker': 'Darker {token}: {color} ({ratio})',
+  'themeEditor.lighter': 'Lighter {token}: {color} ({ratio})',
+  'themeEditor.fixAll': 'Fix all for {level}',
+  'themeEditor.saveAs': 'Save as new theme',
+  'themeEditor.namePrompt': 'Name your theme:',
+  'themeEditor.defaultName': 'My theme',
+  'themeEditor.reset': 'Reset changes',
+  'themeEditor.resetConfirm': 'Undo your color changes to {name}?',
+  'themeEditor.delete': 'Delete theme',
+  'themeEditor.deleteConfirm': 'Delete the theme “{name}”?',
+  'themeEditor.customThemes': 'Custom themes',
+  'themeEditor.token.brand-black': 'Black',
+  'themeEditor.token.brand-white': 'White',
+  'themeEditor.token.brand-red': 'Red',
+  'themeEditor.token.brand-gold': 'Gold',
+  'themeEditor.token.brand-muted': 'Panel background',
+  'themeEditor.token.text': 'Body text',
+  'themeEditor.token.muted': 'Secondary text',
+  'themeEditor.token.assistant-bg': 'Reply background',
+  'themeEditor.token.assistant-border': 'Reply border',
+  'themeEditor.token.user-bg': 'Your message background',
+  'themeEditor.token.user-text': 'Your message text',
+  'themeEditor.token.user-muted': 'Your message timestamps',
+  'themeEditor.pair.body': 'Body text on the page',
+  'themeEditor.pair.replies': 'Assistant replies',
+  'themeEditor.pair.panels': 'Text in panels',
+  'themeEditor.pair.secondary': 'Secondary text',
+  'themeEditor.pair.replyTime': 'Timestamps in replies',
+  'themeEditor.pair.user': 'Your messages',
+  'themeEditor.pair.userTime': 'Timestamps in your messages',
+  'themeEditor.pair.goldButton': 'Gold buttons',
+  'themeEditor.pair.darkButton': 'Dark buttons and badges',
+  'themeEditor.pair.warning': 'Warning icons',
+  'themeEditor.pair.goldIcon': 'Gold icons',
+
+  // Beauty profile
+  'profile.heading': 'My beauty profile:',
+  'profile.intro': 'Tell us a little about you and every answer will be tailored to your needs.',
+  'profile.notSet': 'Not set',
+  'profile.notSpecified': 'Not specified',
+  'profile.skinType': 'Skin type',
+  'profile.hairType': 'Hair type',
+  'profile.budget': 'Budget',
+  'profile.concerns': 'Concerns',
+  'profile.save': 'Save profile',
+  'profile.reset': 'Reset',
+  'profile.resetConfirm': 'Reset your beauty profile?',
+  'profile.skinSummary': '{type} skin',
+  'profile.hairSummary': '{type} hair',
+  'profile.skinType.normal': 'normal',
+  'profile.skinType.dry': 'dry',
+  'profile.skinType.oily': 'oily',
+  'profile.skinType.combination': 'combination',
+  'profile.skinType.sensitive': 'sensitive',
+  'profile.hairType.straight': 'straight',
+  'profile.hairType.wavy': 'wavy',
+  'profile.hairType.curly': 'curly',
+  'profile.hairType.coily': 'coily',
+  'profile.concerns.acne': 'acne',
+  'profile.concerns.aging': 'aging',
+  'profile.concerns.dark-spots': 'dark spots',
+  'profile.concerns.dryness': 'dryness',
+  'profile.concerns.dullness': 'dullness',
+  'profile.concerns.redness': 'redness',
+  'profile.concerns.frizz': 'frizz',
+  'profile.concerns.damage': 'damage',
+  'profile.concerns.color-care': 'color care',
+  'profile.budget.1': 'Drugstore ($)',
+  'profile.budget.2': 'Mid-range ($$)',
+  'profile.budget.3': 'Prestige ($$$)',
+
+  // Conversation sidebar
+  'sidebar.label': 'Conversations',
+  'sidebar.newChat': 'New chat',
+  'sidebar.search': 'Search conversations',
+  'sidebar.searchPlaceholder': 'Search chats…',
+  'thread.renamePrompt': 'Rename conversation:',
+  'thread.deleteConfirm': 'Delete "{title}"? This will remove its messages from this browser.',
+  'sidebar.empty': 'No conversations found.',
+  'thread.rename': 'Rename',
+  'thread.delete': 'Delete',
+  'thread.renameLabel': 'Rename "{title}"',
+  'thread.deleteLabel': 'Delete "{title}"',
+
+  // Toolbar, summary, export and import
+  'toolbar.summary': 'Summary',
+  'toolbar.ingredients': 'Ingredients',
+  'toolbar.ingredientsTitle': 'Check whether products can be layered',
+  'toolbar.markdown': 'Markdown',
+  'toolbar.markdownTitle': 'Download this conversation as Markdown',
+  'toolbar.json': 'JSON',
+  'toolbar.jsonTitle': 'Download this conversation as a JSON file you can import later',
+  'toolbar.print': 'Print',
+  'toolbar.printTitle': 'Print your routine or save it as PDF',
+  'toolbar.import': 'Import',
+  'toolbar.importTitle': 'Import conversations from a JSON export',
+  'memory.heading': 'Summary of the first {count} messages (sent instead of them to keep answers fast):',
+  'memory.empty': 'No summary yet.',
+  'memory.emptyHelp': 'When a conversation gets long, older messages are summarized automatically and the summary will appear here.',
+  'export.empty': 'This conversation is empty. Ask a question first, then export it.',
+  'import.done.one': 'Imported {count} conversation.',
+  'import.done.other': 'Imported {count} conversations.',
+  'import.skipped': '{count} already saved in this browser.',
+  'import.failed': 'Import failed: {message}',
+  'import.imported': '{title} (imported)',
+  'import.fileEmpty': 'The file is empty.',
+  'import.fileTooLarge': 'The file is too large to import.',
+  'import.invalidJson': 'The file is not valid JSON.',
+  'import.newerVersion': 'This file was exported by a newer version of the app.',
+  'import.notExport': "This is not a L'Oréal chat export.",
+  'import.noMessages': 'The file does not contain any messages.',
+  'export.exportedOn': "Exported from the L'Oréal Product Advisor on {date}",
+  'export.products': 'Recommended products',
+  'export.conversation': 'Conversation',
+  'export.you': 'You',
+  'export.advisor': "L'Oréal Advisor",
+  'export.photo': '(photo attached)',
+  'print.heading': "Your L'Oréal beauty routine",
+  'print.prepared': 'Prepared {date}',
+  'print.profile': 'Profile: {profile}',
+  'print.advice': 'Advice',
+
+  // Ingredient checker
+  'ingredients.help': 'Enter product names or paste ingredient lists to check for layering conflicts, allergens and pregnancy cautions.',
+  'ingredients.add': 'Add product',
+  'ingredients.check': 'Check',
+  'ingredients.question': 'Ingredient check: {items}',
+  'ingredients.checking': 'Checking ingredients...',
+  'ingredients.noResults': 'The ingredient check returned no results.',
+  'ingredients.found': 'Here is what the ingredient check found.',
+  'ingredients.foundWarnings': 'Here is what the ingredient check found. Please read the warnings before layering these.',
+  'ingredients.field': 'Product {number}',
+  'ingredients.fieldPlaceholder': 'Product name (e.g. Effaclar Duo) or paste its ingredient list',
+  'ingredients.title': 'Ingredient check',
+  'ingredients.severity.avoid': 'Avoid',
+  'ingredients.severity.caution': 'Caution',
+  'ingredients.severity.info': 'Good to know',
+  'ingredients.layering': 'Layering',
+  'ingredients.noConflicts': 'No known layering conflicts between these.',
+  'ingredients.sources': '{first} with {second}',
+  'ingredients.allergens': 'Allergens',
+  'ingredients.pregnancy': 'Pregnancy & breastfeeding',
+  'ingredients.checked': 'What was checked',
+  'ingredients.noneKnown': 'no known ingredients',
+  'ingredients.unknown': 'Not in the knowledge base: {names}',
+  'ingredients.noWarnings': 'No warnings.',
+
+  // Chat
+  'chat.greeting': "👋 Hi — ask me about L'Oréal products, routines, or recommendations.",
+  'chat.inputLabel': 'Message',
+  'chat.placeholder': 'Ask me about products or routines…',
+  'chat.routinePlaceholder': 'Describe your goals, e.g. "a simple routine for oily skin"…',
+  'chat.send': 'Send',
+  'chat.stop': 'Stop',
+  'chat.clear': 'Clear',
+  'chat.clearConfirm': 'Clear this conversation? This will remove its saved messages from this browser.',
+  'chat.thinking': 'Thinking...',
+  'chat.buildingRoutine': 'Building your routine...',
+  'chat.stopped': 'Stopped.',
+  'chat.noAnswer': 'Sorry, I could not get an answer.',
+  'chat.error': 'Error: {message}',
+  'chat.requestFailed': 'Request failed',
+  'chat.missingConfig': 'Configuration missing: set WORKER_URL in secrets.js to your Cloudflare Worker URL.',
+  'chat.refusal': 'Off-topic question declined',
+  'chat.latestQuestion': 'Latest question: {text}',
+  'chat.retry': 'Retry',
+  'routine.toggle': 'Routine builder mode',
+  'routine.toggleTitle': 'Build a personalized AM/PM routine',
+  'routine.defaultTitle': 'Your routine',
+  'routine.am': 'Morning (AM)',
+  'routine.pm': 'Evening (PM)',
+  'routine.steps': '{part} steps',
+  'routine.addStep': 'Add {part} step',
+  'routine.cautions': 'Cautions',
+  'routine.stepName': 'Step',
+  'routine.howToUse': 'How to use',
+  'routine.howOften': 'How often',
+  'routine.save': 'Save',
+  'routine.cancel': 'Cancel',
+  'routine.editStep': 'Edit step {number}: {step}',
+  'routine.removeStep': 'Remove step {number}: {step}',
+  'routine.frequency.daily': 'daily',
+  'routine.frequency.every-other-day': 'every other day',
+  'routine.frequency.2-3-times-a-week': '2-3 times a week',
+  'routine.frequency.weekly': 'weekly',
+  'routine.frequency.as-needed': 'as needed',
+
+  // Product cards
+  'products.label': 'Recommended products',
+  'products.view': 'View product',
+  'products.viewLabel': 'View {name} on the {brand} website (opens in a new tab)',
+
+  // Photos
+  'photo.attach': 'Attach photo',
+  'photo.attachTitle': 'Attach a photo of your skin or hair',
+  'photo.attached': 'Photo attached',
+  'photo.preview': 'Photo to send',
+  'photo.sent': 'Attached photo',
+  'photo.remove': 'Remove photo',
+  'photo.type': 'Please choose a JPEG, PNG or WebP photo.',
+  'photo.size': 'This photo is too large. Please choose one under 15 MB.',
+  'photo.unreadable': 'This photo could not be opened. Please try another one.',
+  'photo.failed': 'This photo could not be used. Please try another one.',
+
+  // Voice
+  'voice.ask': 'Ask by voice',
+  'voice.stop': 'Stop listening',
+  'voice.transcribing': 'Transcribing…',
+  'voice.blocked': 'Microphone access is blocked. Allow it in your browser settings to ask by voice.',
+  'voice.noMicrophone': 'No microphone was found.',
+  'voice.noSpeech': "I didn't hear anything. Please try again.",
+  'voice.offline': 'Voice input needs an internet connection. Please type your question instead.',
+  'voice.failed': 'Voice input stopped working. Please type your question instead.',
+
+  // Feedback on replies
+  'feedback.label': 'Rate this reply',
+  'feedback.helpful': 'Helpful',
+  'feedback.notHelpful': 'Not helpful',
+  'feedback.report': 'Report this reply',
+  'feedback.reported': 'Reported',
+  'feedback.reportPrompt': 'What is wrong with this reply? (optional)\nThe conversation up to this reply will be shared with the site team for review.',
+  'feedback.reportDone': 'Thanks, the reply was reported.',
+  'feedback.failed': 'Your report could not be sent: {message}',
+
+  // Errors (error.<code> entries replace the Worker's English message for that code)
+  'error.network': 'Could not reach the assistant. Check your connection and try again.',
+  'error.streamDropped': 'The connection dropped while the reply was arriving. Please try again.',
+  'error.interrupted': 'The reply was interrupted.',
+  'error.rateLimitedIn': "You're sending messages too quickly. Please try again in {seconds} seconds.",
+  'error.rateLimited': "You're sending messages too quickly. Please wait a moment and try again.",
+  'error.tooLong': 'This conversation is too long. Please clear it and start again.',
+  'error.forbidden': 'This site is not allowed to use the assistant.',
+  'error.worker': 'Worker error: {status} {statusText}',
+  'error.upstream_rate_limited': 'The assistant is busy right now. Please try again in a moment.',
+  'error.upstream_timeout': 'The assistant took too long to answer. Please try again.',
+  'error.upstream_unavailable': 'The assistant is temporarily unavailable. Please try again.',
+  'error.upstream_unreachable': 'Could not reach the assistant. Please try again.',
+  'error.upstream_interrupted': 'The reply was interrupted. Please try again.',
+  'error.upstream_invalid_response': 'The assistant sent an unexpected response. Please try again.',
+  'error.upstream_config': 'The assistant is not configured correctly. Please contact the site owner.',
+  'error.invalid_routine': 'The assistant could not build a routine this time. Please try again.',
+  'error.no_speech': "Sorry, I couldn't hear a question. Please try again."
+};
@@ -0,0 +1,268 @@
+// Spanish UI strings (keys as in en.js; missing keys fall back to English)
+
+export default {
+  // Header
+  'app.subtitle': 'Asesor de productos',
+  'app.tagline': 'Recomendaciones de productos personalizadas y consejos de rutina',
+  'theme.label': 'Elegir tema de color',
+  'theme.classic': 'Clásico',
+  'theme.warm': 'Oro cálido',
+  'theme.deep': 'Negro intenso',
+  'language.label': 'Idioma',
+  'readAloud.label': 'Leer las respuestas en voz alta',
+
+  // Theme editor
+  'themeEditor.open': 'Editar los colores del tema',
+  'themeEditor.title': 'Editor de temas: {name}',
+  'themeEditor.colors': 'Colores',
+  'themeEditor.contrast': 'Comprobación de contraste',
+  'themeEditor.target': 'Nivel objetivo',
+  'themeEditor.summaryPass': 'Los {count} pares de colores cumplen {level}.',
+  'themeEditor.summaryFail': '{failed} de {count} pares de colores no cumplen {level}.',
+  'themeEditor.ratio': '{ratio}:1',
+  'themeEditor.needs': 'requiere {ratio}:1',
+  'themeEditor.pass': '{level} cumple',
+  'themeEditor.fail': '{level} no cumple',
+  'themeEditor.darker': '{token} más oscuro: {color} ({ratio})',
+  'themeEditor.lighter': '{token} más claro: {color} ({ratio})',
+  'themeEditor.fixAll': 'Corregir todo para {level}',
+  'themeEditor.saveAs': 'Guardar como tema nuevo',
+  'themeEditor.namePrompt': 'Nombre del tema:',
+  'themeEditor.defaultName': 'Mi tema',
+  'themeEditor.reset': 'Deshacer cambios',
+  'themeEditor.resetConfirm': '¿Deshacer tus cambios de color en {name}?',
+  'themeEditor.delete': 'Eliminar tema',
+  'themeEditor.deleteConfirm': '¿Eliminar el tema «{name}»?',
+  'themeEditor.customThemes': 'Temas personalizados',
+  'themeEditor.token.brand-black': 'Negro',
+  'themeEditor.token.brand-white': 'Blanco',
+  'themeEditor.token.brand-red': 'Rojo',
+  'themeEditor.token.brand-gold': 'Dorado',
+  'themeEditor.token.brand-muted': 'Fondo de los paneles',
+  'themeEditor.token.text': 'Texto principal',
+  'themeEditor.token.muted': 'Texto secundario',
+  'themeEditor.token.assistant-bg': 'Fondo de las respuestas',
+  'themeEditor.token.assistant-border': 'Borde de las respuestas',
+  'themeEditor.token.user-bg': 'Fondo de tus mensajes',
+  'themeEditor.token.user-text': 'Texto de tus mensajes',
+  'themeEditor.token.user-muted': 'Hora de tus mensajes',
+  'themeEditor.pair.body': 'Texto principal en la página',
+  'themeEditor.pair.replies': 'Respuestas del asistente',
+  'themeEditor.pair.panels': 'Texto en los paneles',
+  'themeEditor.pair.secondary': 'Texto secundario',
+  'themeEditor.pair.replyTime': 'Hora de las respuestas',
+  'themeEditor.pair.user': 'Tus mensajes',
+  'themeEditor.pair.userTime': 'Hora de tus mensajes',
+  'themeEditor.pair.goldButton': 'Botones dorados',
+  'themeEditor.pair.darkButton': 'Botones e insignias oscuros',
+  'themeEditor.pair.warning': 'Iconos de advertencia',
+  'themeEditor.pair.goldIcon': 'Iconos dorados',
+
+  // Beauty profile
+  'profile.heading': 'Mi perfil de belleza:',
+  'profile.intro': 'Cuéntanos un poco sobre ti y cada respuesta se adaptará a tus necesidades.',
+  'profile.notSet': 'Sin definir',
+  'profile.notSpecified': 'Sin especificar',
+  'profile.skinType': 'Tipo de piel',
+  'profile.hairType': 'Tipo de cabello',
+  'profile.budget': 'Presupuesto',
+  'profile.concerns': 'Preocupaciones',
+  'profile.save': 'Guardar perfil',
+  'profile.reset': 'Restablecer',
+  'profile.resetConfirm': '¿Restablecer tu perfil de belleza?',
+  'profile.skinSummary': 'piel {type}',
+  'profile.hairSummary': 'cabello {type}',
+  'profile.skinType.normal': 'normal',
+  'profile.skinType.dry': 'seca',
+  'profile.skinType.oily': 'grasa',
+  'profile.skinType.combination': 'mixta',
+  'profile.skinType.sensitive': 'sensible',
+  'profile.hairType.straight': 'liso',
+  'profile.hairType.wavy': 'ondulado',
+  'profile.hairType.curly': 'rizado',
+  'profile.hairType.coily': 'afro',
+  'profile.concerns.acne': 'acné',
+  'profile.concerns.aging': 'envejecimiento',
+  'profile.concerns.dark-spots': 'manchas oscuras',
+  'profile.concerns.dryness': 'sequedad',
+  'profile.concerns.dullness': 'falta de luminosidad',
+  'profile.concerns.redness': 'rojeces',
+  'profile.concerns.frizz': 'encrespamiento',
+  'profile.concerns.damage': 'daño',
+  'profile.concerns.color-care': 'cuidado del color',
+  'profile.budget.1': 'Droguería ($)',
+  'profile.budget.2': 'Gama media ($$)',
+  'profile.budget.3': 'Prestigio ($$$)',
+
+  // Conversation sidebar
+  'sidebar.label': 'Conversaciones',
+  'sidebar.newChat': 'Nuevo chat',
+  'sidebar.search': 'Buscar conversaciones',
+  'sidebar.searchPlaceholder': 'Buscar chats…',
+  'thread.renamePrompt': 'Cambiar el nombre de la conversación:',
+  'thread.deleteConfirm': '¿Eliminar «{title}»? Sus mensajes se borrarán de este navegador.',
+  'sidebar.empty': 'No se encontraron conversaciones.',
+  'thread.rename': 'Cambiar nombre',
+  'thread.delete': 'Eliminar',
+  'thread.renameLabel': 'Cambiar nombre de «{title}»',
+  'thread.deleteLabel': 'Eliminar «{title}»',
+
+  // Toolbar, summary, export and import
+  'toolbar.summary': 'Resumen',
+  'toolbar.ingredients': 'Ingredientes',
+  'toolbar.ingredientsTitle': 'Comprobar si se pueden combinar productos',
+  'toolbar.markdown': 'Markdown',
+  'toolbar.markdownTitle': 'Descargar esta conversación en Markdown',
+  'toolbar.json': 'JSON',
+  'toolbar.jsonTitle': 'Descargar esta conversación como archivo JSON para importarla más tarde',
+  'toolbar.print': 'Imprimir',
+  'toolbar.printTitle': 'Imprimir tu rutina o guardarla como PDF',
+  'toolbar.import': 'Importar',
+  'toolbar.importTitle': 'Importar conversaciones desde una exportación JSON',
+  'memory.heading': 'Resumen de los primeros {count} mensajes (se envía en su lugar para responder más rápido):',
+  'memory.empty': 'Todavía no hay resumen.',
+  'memory.emptyHelp': 'Cuando una conversación se alarga, los mensajes más antiguos se resumen automáticamente y el resumen aparece aquí.',
+  'export.empty': 'Esta conversación está vacía. Haz primero una pregunta y luego expórtala.',
+  'import.done.one': 'Se importó {count} conversación.',
+  'import.done.other': 'Se importaron {count} conversaciones.',
+  'import.skipped': '{count} ya estaban guardadas en este navegador.',
+  'import.failed': 'Error al importar: {message}',
+  'import.imported': '{title} (importada)',
+  'import.fileEmpty': 'El archivo está vacío.',
+  'import.fileTooLarge': 'El archivo es demasiado grande para importarlo.',
+  'import.invalidJson': 'El archivo no es un JSON válido.',
+  'import.newerVersion': 'Este archivo se exportó con una versión más reciente de la aplicación.',
+  'import.notExport': 'Esto no es una exportación de chat de L’Oréal.',
+  'import.noMessages': 'El archivo no contiene ningún mensaje.',
+  'export.exportedOn': 'Exportado desde el Asesor de productos de L’Oréal el {date}',
+  'export.products': 'Productos recomendados',
+  'export.conversation': 'Conversación',
+  'export.you': 'Tú',
+  'export.advisor': 'Asesor de L’Oréal',
+  'export.photo': '(foto adjunta)',
+  'print.heading': 'Tu rutina de belleza L’Oréal',
+  'print.prepared': 'Preparada el {date}',
+  'print.profile': 'Perfil: {profile}',
+  'print.advice': 'Consejos',
+
+  // Ingredient checker
+  'ingredients.help': 'Escribe nombres de productos o pega listas de ingredientes para detectar combinaciones a evitar, alérgenos y precauciones durante el embarazo.',
+  'ingredients.add': 'Añadir producto',
+  'ingredients.check': 'Comprobar',
+  'ingredients.question': 'Comprobación de ingredientes: {items}',
+  'ingredients.checking': 'Comprobando ingredientes...',
+  'ingredients.noResults': 'La comprobación de ingredientes no devolvió resultados.',
+  'ingredients.found': 'Esto es lo que encontró la comprobación de ingredientes.',
+  'ingredients.foundWarnings': 'Esto es lo que encontró la comprobación de ingredientes. Lee las advertencias antes de combinar estos productos.',
+  'ingredients.field': 'Producto {number}',
+  'ingredients.fieldPlaceholder': 'Nombre del producto (p. ej., Effaclar Duo) o pega su lista de ingredientes',
+  'ingredients.title': 'Comprobación de ingredientes',
+  'ingredients.severity.avoid': 'Evitar',
+  'ingredients.severity.caution': 'Precaución',
+  'ingredients.severity.info': 'Conviene saber',
+  'ingredients.layering': 'Combinaciones',
+  'ingredients.noConflicts': 'No hay conflictos conocidos al combinar estos productos.',
+  'ingredients.sources': '{first} con {second}',
+  'ingredients.allergens': 'Alérgenos',
+  'ingredients.pregnancy': 'Embarazo y lactancia',
+  'ingredients.checked': 'Qué se ha comprobado',
+  'ingredients.noneKnown': 'ningún ingrediente conocido',
+  'ingredients.unknown': 'No está en la base de conocimientos: {names}',
+  'ingredients.noWarnings': 'Sin advertencias.',
+
+  // Chat
+  'chat.greeting': '👋 Hola: pregúntame por productos de L’Oréal, rutinas o recomendaciones.',
+  'chat.inputLabel': 'Mensaje',
+  'chat.placeholder': 'Pregúntame por productos o rutinas…',
+  'chat.routinePlaceholder': 'Describe tus objetivos, p. ej. «una rutina sencilla para piel grasa»…',
+  'chat.send': 'Enviar',
+  'chat.stop': 'Detener',
+  'chat.clear': 'Borrar',
+  'chat.clearConfirm': '¿Borrar esta conversación? Sus mensajes guardados se eliminarán de este navegador.',
+  'chat.thinking': 'Pensando...',
+  'chat.buildingRoutine': 'Creando tu rutina...',
+  'chat.stopped': 'Detenido.',
+  'chat.noAnswer': 'Lo siento, no pude obtener una respuesta.',
+  'chat.error': 'Error: {message}',
+  'chat.requestFailed': 'La solicitud falló',
+  'chat.missingConfig': 'Falta la configuración: define WORKER_URL en secrets.js con la URL de tu Cloudflare Worker.',
+  'chat.refusal': 'Pregunta fuera de tema rechazada',
+  'chat.latestQuestion': 'Última pregunta: {text}',
+  'chat.retry': 'Reintentar',
+  'routine.toggle': 'Modo de creación de rutina',
+  'routine.toggleTitle': 'Crear una rutina personalizada de mañana y noche',
+  'routine.defaultTitle': 'Tu rutina',
+  'routine.am': 'Mañana (AM)',
+  'routine.pm': 'Noche (PM)',
+  'routine.steps': 'Pasos: {part}',
+  'routine.addStep': 'Añadir paso {part}',
+  'routine.cautions': 'Precauciones',
+  'routine.stepName': 'Paso',
+  'routine.howToUse': 'Cómo usarlo',
+  'routine.howOften': 'Frecuencia',
+  'routine.save': 'Guardar',
+  'routine.cancel': 'Cancelar',
+  'routine.editStep': 'Editar paso {number}: {step}',
+  'routine.removeStep': 'Quitar paso {number}: {step}',
+  'routine.frequency.daily': 'a diario',
+  'routine.frequency.every-other-day': 'cada dos días',
+  'routine.frequency.2-3-times-a-week': '2-3 veces por semana',
+  'routine.frequency.weekly': 'una vez por semana',
+  'routine.frequency.as-needed': 'cuando haga falta',
+
+  // Product cards
+  'products.label': 'Productos recomendados',
+  'products.view': 'Ver producto',
+  'products.viewLabel': 'Ver {name} en el sitio web de {brand} (se abre en una pestaña nueva)',
+
+  // Photos
+  'photo.attach': 'Adjuntar foto',
+  'photo.attachTitle': 'Adjuntar una foto de tu piel o tu cabello',
+  'photo.attached': 'Foto adjunta',
+  'photo.preview': 'Foto para enviar',
+  'photo.sent': 'Foto adjunta',
+  'photo.remove': 'Quitar foto',
+  'photo.type': 'Elige una foto JPEG, PNG o WebP.',
+  'photo.size': 'Esta foto es demasiado grande. Elige una de menos de 15 MB.',
+  'photo.unreadable': 'No se pudo abrir esta foto. Prueba con otra.',
+  'photo.failed': 'No se pudo usar esta foto. Prueba con otra.',
+
+  // Voice
+  'voice.ask': 'Preguntar por voz',
+  'voice.stop': 'Dejar de escuchar',
+  'voice.transcribing': 'Transcribiendo…',
+  'voice.blocked': 'El acceso al micrófono está bloqueado. Permítelo en los ajustes del navegador para preguntar por voz.',
+  'voice.noMicrophone': 'No se encontró ningún micrófono.',
+  'voice.noSpeech': 'No he oído nada. Inténtalo de nuevo.',
+  'voice.offline': 'La entrada por voz necesita conexión a internet. Escribe tu pregunta.',
+  'voice.failed': 'La entrada por voz dejó de funcionar. Escribe tu pregunta.',
+
+  // Feedback on replies
+  'feedback.label': 'Valorar esta respuesta',
+  'feedback.helpful': 'Útil',
+  'feedback.notHelpful': 'No útil',
+  'feedback.report': 'Denunciar esta respuesta',
+  'feedback.reported': 'Denunciada',
+  'feedback.reportPrompt': '¿Qué falla en esta respuesta? (opcional)\nLa conversación hasta esta respuesta se compartirá con el equipo del sitio para revisarla.',
+  'feedback.reportDone': 'Gracias, la respuesta se ha denunciado.',
+  'feedback.failed': 'No se pudo enviar tu denuncia: {message}',
+
+  // Errors
+  'error.network': 'No se pudo contactar con el asistente. Comprueba tu conexión e inténtalo de nuevo.',
+  'error.streamDropped': 'La conexión se cortó mientras llegaba la respuesta. Inténtalo de nuevo.',
+  'error.interrupted': 'La respuesta se interrumpió.',
+  'error.rateLimitedIn': 'Estás enviando mensajes demasiado rápido. Inténtalo de nuevo en {seconds} segundos.',
+  'error.rateLimited': 'Estás enviando mensajes demasiado rápido. Espera un momento e inténtalo de nuevo.',
+  'error.tooLong': 'Esta conversación es demasiado larga. Bórrala y empieza de nuevo.',
+  'error.forbidden': 'Este sitio no tiene permiso para usar el asistente.',
+  'error.worker': 'Error del Worker: {status} {statusText}',
+  'error.upstream_rate_limited': 'El asistente está muy ocupado. Inténtalo de nuevo en un momento.',
+  'error.upstream_timeout': 'El asistente tardó demasiado en responder. Inténtalo de nuevo.',
+  'error.upstream_unavailable': 'El asistente no está disponible en este momento. Inténtalo de nuevo.',
+  'error.upstream_unreachable': 'No se pudo contactar con el asistente. Inténtalo de nuevo.',
+  'error.upstream_interrupted': 'La respuesta se interrumpió. Inténtalo de nuevo.',
+  'error.upstream_invalid_response': 'El asistente envió una respuesta inesperada. Inténtalo de nuevo.',
+  'error.upstream_config': 'El asistente no está bien configurado. Ponte en contacto con el responsable del sitio.',
+  'error.invalid_routine': 'El asistente no pudo crear una rutina esta vez. Inténtalo de nuevo.',
+  'error.no_speech': 'Lo siento, no he oído ninguna pregunta. Inténtalo de nuevo.'
+};
@@ -0,0 +1,268 @@
+// French UI strings (keys as in en.js; missing keys fall back to English)
+
+export default {
+  // Header
+  'app.subtitle': 'Conseiller produits',
+  'app.tagline': 'Recommandations de produits personnalisées et conseils de routine',
+  'theme.label': 'Choisir le thème de couleurs',
+  'theme.classic': 'Classique',
+  'theme.warm': 'Or chaud',
+  'theme.deep': 'Noir profond',
+  'language.label': 'Langue',
+  'readAloud.label': 'Lire les réponses à voix haute',
+
+  // Theme editor
+  'themeEditor.open': 'Modifier les couleurs du thème',
+  'themeEditor.title': 'Éditeur de thème : {name}',
+  'themeEditor.colors': 'Couleurs',
+  'themeEditor.contrast': 'Contrôle du contraste',
+  'themeEditor.target': 'Niveau visé',
+  'themeEditor.summaryPass': 'Les {count} paires de couleurs respectent {level}.',
+  'themeEditor.summaryFail': '{failed} paires de couleurs sur {count} ne respectent pas {level}.',
+  'themeEditor.ratio': '{ratio}:1',
+  'themeEditor.needs': '{ratio}:1 requis',
+  'themeEditor.pass': '{level} réussi',
+  'themeEditor.fail': '{level} échoué',
+  'themeEditor.darker': '{token} plus foncé : {color} ({ratio})',
+  'themeEditor.lighter': '{token} plus clair : {color} ({ratio})',
+  'themeEditor.fixAll': 'Tout corriger pour {level}',
+  'themeEditor.saveAs': 'Enregistrer comme nouveau thème',
+  'themeEditor.namePrompt': 'Nom du thème :',
+  'themeEditor.defaultName': 'Mon thème',
+  'themeEditor.reset': 'Annuler les modifications',
+  'themeEditor.resetConfirm': 'Annuler vos modifications de couleurs de {name} ?',
+  'themeEditor.delete': 'Supprimer le thème',
+  'themeEditor.deleteConfirm': 'Supprimer le thème « {name} » ?',
+  'themeEditor.customThemes': 'Thèmes personnalisés',
+  'themeEditor.token.brand-black': 'Noir',
+  'themeEditor.token.brand-white': 'Blanc',
+  'themeEditor.token.brand-red': 'Rouge',
+  'themeEditor.token.brand-gold': 'Or',
+  'themeEditor.token.brand-muted': 'Fond des panneaux',
+  'themeEditor.token.text': 'Texte principal',
+  'themeEditor.token.muted': 'Texte secondaire',
+  'themeEditor.token.assistant-bg': 'Fond des réponses',
+  'themeEditor.token.assistant-border': 'Bordure des réponses',
+  'themeEditor.token.user-bg': 'Fond de vos messages',
+  'themeEditor.token.user-text': 'Texte de vos messages',
+  'themeEditor.token.user-muted': 'Heure de vos messages',
+  'themeEditor.pair.body': 'Texte principal sur la page',
+  'themeEditor.pair.replies': 'Réponses de l’assistant',
+  'themeEditor.pair.panels': 'Texte dans les panneaux',
+  'themeEditor.pair.secondary': 'Texte secondaire',
+  'themeEditor.pair.replyTime': 'Heure des réponses',
+  'themeEditor.pair.user': 'Vos messages',
+  'themeEditor.pair.userTime': 'Heure de vos messages',
+  'themeEditor.pair.goldButton': 'Boutons dorés',
+  'themeEditor.pair.darkButton': 'Boutons et badges sombres',
+  'themeEditor.pair.warning': 'Icônes d’avertissement',
+  'themeEditor.pair.goldIcon': 'Icônes dorées',
+
+  // Beauty profile
+  'profile.heading': 'Mon profil beauté :',
+  'profile.intro': 'Parlez-nous un peu de vous et chaque réponse sera adaptée à vos besoins.',
+  'profile.notSet': 'Non renseigné',
+  'profile.notSpecified': 'Non précisé',
+  'profile.skinType': 'Type de peau',
+  'profile.hairType': 'Type de cheveux',
+  'profile.budget': 'Budget',
+  'profile.concerns': 'Préoccupations',
+  'profile.save': 'Enregistrer le profil',
+  'profile.reset': 'Réinitialiser',
+  'profile.resetConfirm': 'Réinitialiser votre profil beauté ?',
+  'profile.skinSummary': 'peau {type}',
+  'profile.hairSummary': 'cheveux {type}',
+  'profile.skinType.normal': 'normale',
+  'profile.skinType.dry': 'sèche',
+  'profile.skinType.oily': 'grasse',
+  'profile.skinType.combination': 'mixte',
+  'profile.skinType.sensitive': 'sensible',
+  'profile.hairType.straight': 'raides',
+  'profile.hairType.wavy': 'ondulés',
+  'profile.hairType.curly': 'bouclés',
+  'profile.hairType.coily': 'crépus',
+  'profile.concerns.acne': 'acné',
+  'profile.concerns.aging': 'rides',
+  'profile.concerns.dark-spots': 'taches pigmentaires',
+  'profile.concerns.dryness': 'sécheresse',
+  'profile.concerns.dullness': 'teint terne',
+  'profile.concerns.redness': 'rougeurs',
+  'profile.concerns.frizz': 'frisottis',
+  'profile.concerns.damage': 'cheveux abîmés',
+  'profile.concerns.color-care': 'soin de la couleur',
+  'profile.budget.1': 'Grande distribution ($)',
+  'profile.budget.2': 'Milieu de gamme ($$)',
+  'profile.budget.3': 'Prestige ($$$)',
+
+  // Conversation sidebar
+  'sidebar.label': 'Conversations',
+  'sidebar.newChat': 'Nouvelle discussion',
+  'sidebar.search': 'Rechercher dans les conversations',
+  'sidebar.searchPlaceholder': 'Rechercher…',
+  'thread.renamePrompt': 'Renommer la conversation :',
+  'thread.deleteConfirm': 'Supprimer « {title} » ? Ses messages seront effacés de ce navigateur.',
+  'sidebar.empty': 'Aucune conversation trouvée.',
+  'thread.rename': 'Renommer',
+  'thread.delete': 'Supprimer',
+  'thread.renameLabel': 'Renommer « {title} »',
+  'thread.deleteLabel': 'Supprimer « {title} »',
+
+  // Toolbar, summary, export and import
+  'toolbar.summary': 'Résumé',
+  'toolbar.ingredients': 'Ingrédients',
+  'toolbar.ingredientsTitle': 'Vérifier si des produits peuvent être associés',
+  'toolbar.markdown': 'Markdown',
+  'toolbar.markdownTitle': 'Télécharger cette conversation en Markdown',
+  'toolbar.json': 'JSON',
+  'toolbar.jsonTitle': 'Télécharger cette conversation dans un fichier JSON à importer plus tard',
+  'toolbar.print': 'Imprimer',
+  'toolbar.printTitle': 'Imprimer votre routine ou l’enregistrer en PDF',
+  'toolbar.import': 'Importer',
+  'toolbar.importTitle': 'Importer des conversations depuis un export JSON',
+  'memory.heading': 'Résumé des {count} premiers messages (envoyé à leur place pour des réponses plus rapides) :',
+  'memory.empty': 'Pas encore de résumé.',
+  'memory.emptyHelp': 'Quand une conversation devient longue, les messages les plus anciens sont résumés automatiquement et le résumé apparaît ici.',
+  'export.empty': 'Cette conversation est vide. Posez d’abord une question, puis exportez-la.',
+  'import.done.one': '{count} conversation importée.',
+  'import.done.other': '{count} conversations importées.',
+  'import.skipped': '{count} déjà enregistrée(s) dans ce navigateur.',
+  'import.failed': 'Échec de l’import : {message}',
+  'import.imported': '{title} (importée)',
+  'import.fileEmpty': 'Le fichier est vide.',
+  'import.fileTooLarge': 'Le fichier est trop volumineux pour être importé.',
+  'import.invalidJson': 'Le fichier n’est pas un JSON valide.',
+  'import.newerVersion': 'Ce fichier a été exporté par une version plus récente de l’application.',
+  'import.notExport': 'Ce n’est pas un export de discussion L’Oréal.',
+  'import.noMessages': 'Le fichier ne contient aucun message.',
+  'export.exportedOn': 'Exporté depuis le Conseiller produits L’Oréal le {date}',
+  'export.products': 'Produits recommandés',
+  'export.conversation': 'Conversation',
+  'export.you': 'Vous',
+  'export.advisor': 'Conseiller L’Oréal',
+  'export.photo': '(photo jointe)',
+  'print.heading': 'Votre routine beauté L’Oréal',
+  'print.prepared': 'Préparée le {date}',
+  'print.profile': 'Profil : {profile}',
+  'print.advice': 'Conseils',
+
+  // Ingredient checker
+  'ingredients.help': 'Saisissez des noms de produits ou collez des listes d’ingrédients pour repérer les associations à éviter, les allergènes et les précautions pendant la grossesse.',
+  'ingredients.add': 'Ajouter un produit',
+  'ingredients.check': 'Vérifier',
+  'ingredients.question': 'Vérification des ingrédients : {items}',
+  'ingredients.checking': 'Vérification des ingrédients...',
+  'ingredients.noResults': 'La vérification des ingrédients n’a donné aucun résultat.',
+  'ingredients.found': 'Voici le résultat de la vérification des ingrédients.',
+  'ingredients.foundWarnings': 'Voici le résultat de la vérification des ingrédients. Lisez les avertissements avant d’associer ces produits.',
+  'ingredients.field': 'Produit {number}',
+  'ingredients.fieldPlaceholder': 'Nom du produit (par ex. Effaclar Duo) ou sa liste d’ingrédients',
+  'ingredients.title': 'Vérification des ingrédients',
+  'ingredients.severity.avoid': 'À éviter',
+  'ingredients.severity.caution': 'Prudence',
+  'ingredients.severity.info': 'Bon à savoir',
+  'ingredients.layering': 'Associations',
+  'ingredients.noConflicts': 'Aucune association à éviter connue entre ces produits.',
+  'ingredients.sources': '{first} avec {second}',
+  'ingredients.allergens': 'Allergènes',
+  'ingredients.pregnancy': 'Grossesse et allaitement',
+  'ingredients.checked': 'Ce qui a été vérifié',
+  'ingredients.noneKnown': 'aucun ingrédient connu',
+  'ingredients.unknown': 'Absent de la base de connaissances : {names}',
+  'ingredients.noWarnings': 'Aucun avertissement.',
+
+  // Chat
+  'chat.greeting': '👋 Bonjour — posez-moi vos questions sur les produits L’Oréal, les routines ou mes recommandations.',
+  'chat.inputLabel': 'Message',
+  'chat.placeholder': 'Posez une question sur les produits ou les routines…',
+  'chat.routinePlaceholder': 'Décrivez vos objectifs, par ex. « une routine simple pour peau grasse »…',
+  'chat.send': 'Envoyer',
+  'chat.stop': 'Arrêter',
+  'chat.clear': 'Effacer',
+  'chat.clearConfirm': 'Effacer cette conversation ? Ses messages enregistrés seront supprimés de ce navigateur.',
+  'chat.thinking': 'Réflexion...',
+  'chat.buildingRoutine': 'Création de votre routine...',
+  'chat.stopped': 'Arrêté.',
+  'chat.noAnswer': 'Désolé, je n’ai pas pu obtenir de réponse.',
+  'chat.error': 'Erreur : {message}',
+  'chat.requestFailed': 'La requête a échoué',
+  'chat.missingConfig': 'Configuration manquante : indiquez l’URL de votre Cloudflare Worker dans WORKER_URL (secrets.js).',
+  'chat.refusal': 'Question hors sujet refusée',
+  'chat.latestQuestion': 'Dernière question : {text}',
+  'chat.retry': 'Réessayer',
+  'routine.toggle': 'Mode création de routine',
+  'routine.toggleTitle': 'Créer une routine matin et soir personnalisée',
+  'routine.defaultTitle': 'Votre routine',
+  'routine.am': 'Matin (AM)',
+  'routine.pm': 'Soir (PM)',
+  'routine.steps': 'Étapes : {part}',
+  'routine.addStep': 'Ajouter une étape {part}',
+  'routine.cautions': 'Précautions',
+  'routine.stepName': 'Étape',
+  'routine.howToUse': 'Utilisation',
+  'routine.howOften': 'Fréquence',
+  'routine.save': 'Enregistrer',
+  'routine.cancel': 'Annuler',
+  'routine.editStep': 'Modifier l’étape {number} : {step}',
+  'routine.removeStep': 'Supprimer l’étape {number} : {step}',
+  'routine.frequency.daily': 'tous les jours',
+  'routine.frequency.every-other-day': 'un jour sur deux',
+  'routine.frequency.2-3-times-a-week': '2 à 3 fois par semaine',
+  'routine.frequency.weekly': 'une fois par semaine',
+  'routine.frequency.as-needed': 'si besoin',
+
+  // Product cards
+  'products.label': 'Produits recommandés',
+  'products.view': 'Voir le produit',
+  'products.viewLabel': 'Voir {name} sur le site {brand} (nouvel onglet)',
+
+  // Photos
+  'photo.attach': 'Joindre une photo',
+  'photo.attachTitle': 'Joindre une photo de votre peau ou de vos cheveux',
+  'photo.attached': 'Photo jointe',
+  'photo.preview': 'Photo à envoyer',
+  'photo.sent': 'Photo jointe',
+  'photo.remove': 'Retirer la photo',
+  'photo.type': 'Choisissez une photo JPEG, PNG ou WebP.',
+  'photo.size': 'Cette photo est trop lourde. Choisissez-en une de moins de 15 Mo.',
+  'photo.unreadable': 'Impossible d’ouvrir cette photo. Essayez-en une autre.',
+  'photo.failed': 'Impossible d’utiliser cette photo. Essayez-en une autre.',
+
+  // Voice
+  'voice.ask': 'Poser la question à voix haute',
+  'voice.stop': 'Arrêter l’écoute',
+  'voice.transcribing': 'Transcription…',
+  'voice.blocked': 'L’accès au micro est bloqué. Autorisez-le dans les réglages du navigateur pour poser vos questions à voix haute.',
+  'voice.noMicrophone': 'Aucun micro n’a été trouvé.',
+  'voice.noSpeech': 'Je n’ai rien entendu. Veuillez réessayer.',
+  'voice.offline': 'La saisie vocale nécessite une connexion internet. Tapez plutôt votre question.',
+  'voice.failed': 'La saisie vocale a cessé de fonctionner. Tapez plutôt votre question.',
+
+  // Feedback on replies
+  'feedback.label': 'Évaluer cette réponse',
+  'feedback.helpful': 'Utile',
+  'feedback.notHelpful': 'Pas utile',
+  'feedback.report': 'Signaler cette réponse',
+  'feedback.reported': 'Signalée',
+  'feedback.reportPrompt': 'Quel est le problème avec cette réponse ? (facultatif)\nLa conversation jusqu’à cette réponse sera transmise à l’équipe du site pour vérification.',
+  'feedback.reportDone': 'Merci, la réponse a été signalée.',
+  'feedback.failed': 'Votre signalement n’a pas pu être envoyé : {message}',
+
+  // Errors
+  'error.network': 'Impossible de joindre l’assistant. Vérifiez votre connexion et réessayez.',
+  'error.streamDropped': 'La connexion a été interrompue pendant la réponse. Veuillez réessayer.',
+  'error.interrupted': 'La réponse a été interrompue.',
+  'error.rateLimitedIn': 'Vous envoyez des messages trop rapidement. Réessayez dans {seconds} secondes.',
+  'error.rateLimited': 'Vous envoyez des messages trop rapidement. Patientez un instant et réessayez.',
+  'error.tooLong': 'Cette conversation est trop longue. Effacez-la et recommencez.',
+  'error.forbidden': 'Ce site n’est pas autorisé à utiliser l’assistant.',
+  'error.worker': 'Erreur du Worker : {status} {statusText}',
+  'error.upstream_rate_limited': 'L’assistant est très sollicité. Réessayez dans un instant.',
+  'error.upstream_timeout': 'L’assistant a mis trop de temps à répondre. Veuillez réessayer.',
+  'error.upstream_unavailable': 'L’assistant est momentanément indisponible. Veuillez réessayer.',
+  'error.upstream_unreachable': 'Impossible de joindre l’assistant. Veuillez réessayer.',
+  'error.upstream_interrupted': 'La réponse a été interrompue. Veuillez réessayer.',
+  'error.upstream_invalid_response': 'L’assistant a envoyé une réponse inattendue. Veuillez réessayer.',
+  'error.upstream_config': 'L’assistant n’est pas configuré correctement. Contactez le responsable du site.',
+  'error.invalid_routine': 'L’assistant n’a pas pu créer de routine cette fois-ci. Veuillez réessayer.',
+  'error.no_speech': 'Désolé, je n’ai pas entendu de question. Veuillez réessayer.'
+};
@@ -0,0 +1,241 @@
+/*
+  markdown.js
+
+  Tiny, safe Markdown renderer for assistant messages.
+
+  Supported: headings (#), bullet and numbered lists (nested by indentation),
+  **bold**, *italic*, `inline code`, ``` code blocks ```, [links](https://...),
+  > quotes and --- rules.
+
+  Safety: the renderer never uses innerHTML. Every piece of text is added with
+  document.createTextNode / textContent, so any HTML or <script> in a reply is
+  shown as plain characters. Links are only created for http(s) and mailto URLs.
+
+  ES module imported by chat-ui.js, which calls setMarkdownContent().
+*/
+
+// Only these link protocols are allowed (no javascript:, data:, etc.)
+export function safeLinkUrl(href) {
+  try {
+    const url = new URL(href, window.location.href);
+    if (['http:', 'https:', 'mailto:'].includes(url.protocol)) return url.href;
+  } catch (e) {
+    // not a valid URL
+  }
+  return null;
+}
+
+// Inline patterns, tried in order at each position; the earliest match wins
+const INLINE_PATTERNS = [
+  { type: 'code', regex: /`([^`]+)`/ },
+  { type: 'link', regex: /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/ },
+  { type: 'strong', regex: /\*\*(.+?)\*\*|__(.+?)__/ },
+  { type: 'em', regex: /\*(?!\s)(.+?)\*|\b_(.+?)_\b/ }
+];
+
+// Append inline Markdown (bold, italic, code, links) from `text` into `parent`
+function appendInline(parent, text) {
+  let rest = text;
+  while (rest) {
+    // Find the pattern that matches earliest in the remaining text
+    let best = null;
+    INLINE_PATTERNS.forEach((p) => {
+      const m = p.regex.exec(rest);
+      if (m && (!best || m.index < best.match.index)) best = { type: p.type, match: m };
+    });
+
+    if (!best) {
+      parent.appendChild(document.createTextNode(rest));
+      return;
+    }
+
+    const { type, match } = best;
+    if (match.index > 0) parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+
+    if (type === 'code') {
+      const code = document.createElement('code');
+      code.textContent = match[1];
+      parent.appendChild(code);
+    } else if (type === 'link') {
+      const href = safeLinkUrl(match[2]);
+      if (href) {
+        const a = document.createElement('a');
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        appendInline(a, match[1]);
+        parent.appendChild(a);
+      } else {
+        // Unsafe link: keep only the visible text
+        appendInline(parent, match[1]);
+      }
+    } else {
+      const el = document.createElement(type);
+      appendInline(el, match[1] || match[2]);
+      parent.appendChild(el);
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+}
+
+// Append several lines as one block, keeping the line breaks
+function appendLines(parent, lines) {
+  lines.forEach((line, i) => {
+    if (i > 0) parent.appendChild(document.createElement('br'));
+    appendInline(parent, line);
+  });
+}
+
+// Convert Markdown text into a DocumentFragment of safe DOM nodes
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+  let paragraph = [];   // lines of the paragraph being collected
+  let listStack = [];   // open lists: { indent, type, el }
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (!paragraph.length) return;
+    const p = document.createElement('p');
+    appendLines(p, paragraph);
+    fragment.appendChild(p);
+    paragraph = [];
+  };
+  const closeLists = () => { listStack = []; };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block (an unfinished fence while streaming runs to the end)
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      closeLists();
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      const pre = document.createElement('pre');
+      const codeEl = document.createElement('code');
+      codeEl.textContent = code.join('\n');
+      pre.appendChild(codeEl);
+      fragment.appendChild(pre);
+      i++; // skip closing fence
+      continue;
+    }
+
+    // Blank line ends paragraphs and lists
+    if (!line.trim()) {
+      flushParagraph();
+      closeLists();
+      i++;
+      continue;
+    }
+
+    // Headings: "# Title" -> h4 so they stay smaller than the page headings
+    const heading = /^\s*(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      flushParagraph();
+      closeLists();
+      const level = Math.min(6, heading[1].length + 3);
+      const h = document.createElement(`h${level}`);
+      appendInline(h, heading[2].replace(/\s*#+\s*$/, ''));
+      fragment.appendChild(h);
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      closeLists();
+      fragment.appendChild(document.createElement('hr'));
+      i++;
+      continue;
+    }
+
+    // Block quote: consecutive "> " lines
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      closeLists();
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      const quote = document.createElement('blockquote');
+      appendLines(quote, quoted);
+      fragment.appendChild(quote);
+      continue;
+    }
+
+    // List items: "- item", "* item", "1. item" (indent = nesting level)
+    const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      flushParagraph();
+      const indent = item[1].length;
+      const type = /\d/.test(item[2]) ? 'ol' : 'ul';
+
+      // Close lists that are deeper than this item
+      while (listStack.length && listStack[listStack.length - 1].indent > indent) listStack.pop();
+
+      let current = listStack[listStack.length - 1];
+      if (!current || current.indent < indent || current.type !== type) {
+        if (current && current.indent === indent) listStack.pop();
+        const listEl = document.createElement(type);
+        if (type === 'ol') {
+          const start = parseInt(item[2], 10);
+          if (start !== 1) listEl.start = start;
+        }
+        // Nest inside the last item of the parent list, or add at the top level
+        const parent = listStack[listStack.length - 1];
+        if (parent && parent.el.lastElementChild) parent.el.lastElementChild.appendChild(listEl);
+        else fragment.appendChild(listEl);
+        current = { indent, type, el: listEl };
+        listStack.push(current);
+      }
+
+      const li = document.createElement('li');
+      appendInline(li, item[3]);
+      current.el.appendChild(li);
+      i++;
+      continue;
+    }
+
+    // Indented text right after a list item continues that item
+    if (listStack.length && /^\s+/.test(line) && !paragraph.length) {
+      const lastItem = listStack[listStack.length - 1].el.lastElementChild;
+      if (lastItem) {
+        lastItem.appendChild(document.createElement('br'));
+        appendInline(lastItem, line.trim());
+        i++;
+        continue;
+      }
+    }
+
+    // Anything else is paragraph text
+    closeLists();
+    paragraph.push(line.trim());
+    i++;
+  }
+
+  flushParagraph();
+  return fragment;
+}
+
+// Render Markdown into `el`. If anything goes wrong, fall back to plain text.
+export function setMarkdownContent(el, text) {
+  try {
+    const fragment = renderMarkdown(text);
+    el.textContent = '';
+    el.appendChild(fragment);
+    el.classList.add('md-content');
+  } catch (e) {
+    console.warn('Markdown rendering failed, showing plain text.');
+    el.classList.remove('md-content');
+    el.textContent = text;
+  }
+}
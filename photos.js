@@ -0,0 +1,120 @@
+/*
+  photos.js
+
+  Photo attachments for skin and hair questions. A picked photo is redrawn on a
+  canvas before it leaves the browser: that scales it down to MAX_DIMENSION and
+  re-encodes it as JPEG, which also drops EXIF metadata (location, camera, date).
+  The Worker checks it again (worker/images.js) and passes it to a vision model.
+
+  Only a small thumbnail is saved with the user message (`message.image`):
+    { thumbnail: 'data:image/jpeg;base64,...', width, height }
+  The full photo is sent once with the question and not stored.
+
+  ES module imported by script.js and transcript.js.
+*/
+
+import { t } from './i18n.js';
+
+export const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Largest file we try to open, and the longest side of what is sent and saved
+const MAX_SOURCE_BYTES = 15 * 1024 * 1024;
+const MAX_DIMENSION = 1024;
+const THUMBNAIL_DIMENSION = 160;
+const JPEG_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.7;
+
+// Saved thumbnails: a small JPEG/PNG/WebP data URL (checked again on import)
+const THUMBNAIL_URL = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const MAX_THUMBNAIL_CHARS = 60000;
+
+// Width and height scaled down (never up) to fit in a `max` x `max` box
+export function fitWithin(width, height, max) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+// Draw `bitmap` at `size` and export it as a JPEG data URL. Transparent PNG/WebP
+// areas are filled with white (JPEG has no alpha).
+function drawJpeg(bitmap, size, quality) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, size.width, size.height);
+  ctx.drawImage(bitmap, 0, 0, size.width, size.height);
+  return canvas.toDataURL('image/jpeg', quality);
+}
+
+// Error with a message that can be shown to the user as is
+function photoError(message) {
+  const err = new Error(message);
+  err.name = 'PhotoError';
+  return err;
+}
+
+// Resize and re-encode a picked file. Resolves to
+//   { dataUrl, thumbnail, width, height }
+// or rejects with a PhotoError (unsupported type, too large, unreadable).
+export async function prepareImage(file) {
+  if (!file || !ACCEPTED_TYPES.includes(file.type)) {
+    throw photoError(t('photo.type'));
+  }
+  if (file.size > MAX_SOURCE_BYTES) {
+    throw photoError(t('photo.size'));
+  }
+  let bitmap;
+  try {
+    // Apply the EXIF orientation while drawing, since the metadata itself is dropped
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  } catch (e) {
+    throw photoError(t('photo.unreadable'));
+  }
+  try {
+    const size = fitWithin(bitmap.width, bitmap.height, MAX_DIMENSION);
+    const dataUrl = drawJpeg(bitmap, size, JPEG_QUALITY);
+    const thumbSize = fitWithin(bitmap.width, bitmap.height, THUMBNAIL_DIMENSION);
+    const thumbnail = drawJpeg(bitmap, thumbSize, THUMBNAIL_QUALITY);
+    return { dataUrl, thumbnail, width: thumbSize.width, height: thumbSize.height };
+  } finally {
+    if (bitmap.close) bitmap.close();
+  }
+}
+
+// Keep only a well-formed saved photo (from localStorage or an imported file)
+export function normalizePhoto(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const { thumbnail } = raw;
+  if (typeof thumbnail !== 'string' || thumbnail.length > MAX_THUMBNAIL_CHARS || !THUMBNAIL_URL.test(thumbnail)) return null;
+  const dimension = (value) => (Number.isInteger(value) && value > 0 && value <= THUMBNAIL_DIMENSION ? value : 0);
+  return { thumbnail, width: dimension(raw.width), height: dimension(raw.height) };
+}
+
+// Show the photo waiting to be sent (above the message box) with a Remove button.
+// Pass null to clear it.
+export function renderPhotoPreview(container, photo, onRemove) {
+  container.innerHTML = '';
+  container.hidden = !photo;
+  if (!photo) return;
+
+  const img = document.createElement('img');
+  img.className = 'photo-preview-thumb';
+  img.src = photo.thumbnail;
+  img.alt = t('photo.preview');
+  container.appendChild(img);
+
+  const label = document.createElement('span');
+  label.className = 'photo-preview-label';
+  label.textContent = t('photo.attached');
+  container.appendChild(label);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'photo-remove-btn';
+  remove.title = t('photo.remove');
+  remove.setAttribute('aria-label', t('photo.remove'));
+  remove.innerHTML = '<span class="material-icons" aria-hidden="true">close</span>';
+  remove.addEventListener('click', onRemove);
+  container.appendChild(remove);
+}
@@ -0,0 +1,154 @@
+/*
+  profile.js
+
+  Beauty profile: skin type, hair type, concerns and budget.
+  The profile is saved in localStorage and sent to the Worker with every chat
+  request (`payload.profile`), so users don't have to repeat themselves. The
+  Worker turns it into system context for the model. The stored values are the
+  English ones the Worker accepts; the panel shows them translated (i18n.js).
+
+  ES module imported by script.js, which renders the panel on load and again when
+  the language changes.
+*/
+
+import { t } from './i18n.js';
+
+export const PROFILE_KEY = 'loreal_profile';
+
+// Choices shown in the panel. The Worker only accepts these same values.
+export const PROFILE_OPTIONS = {
+  skinType: ['normal', 'dry', 'oily', 'combination', 'sensitive'],
+  hairType: ['straight', 'wavy', 'curly', 'coily'],
+  concerns: ['acne', 'aging', 'dark spots', 'dryness', 'dullness', 'redness', 'frizz', 'damage', 'color care'],
+  budget: ['$', '$$', '$$$']
+};
+
+// Translated label of a choice: profile.<field>.<value> ("dark spots" -> "dark-spots",
+// budgets by their number of $ signs)
+function optionLabel(field, value) {
+  const id = field === 'budget' ? value.length : value.replace(/ /g, '-');
+  return t(`profile.${field}.${id}`);
+}
+
+// Keep only known values (the profile is inserted into the page and sent to the Worker)
+export function normalizeProfile(p) {
+  const pick = (value, allowed) => (allowed.includes(value) ? value : '');
+  return {
+    skinType: pick(p.skinType, PROFILE_OPTIONS.skinType),
+    hairType: pick(p.hairType, PROFILE_OPTIONS.hairType),
+    concerns: Array.isArray(p.concerns) ? p.concerns.filter((c) => PROFILE_OPTIONS.concerns.includes(c)) : [],
+    budget: pick(p.budget, PROFILE_OPTIONS.budget)
+  };
+}
+
+// Read the saved profile (null when the user has not filled it in yet)
+export function loadProfile() {
+  try {
+    const raw = localStorage.getItem(PROFILE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? normalizeProfile(parsed) : null;
+  } catch (e) {
+    console.warn('Failed to parse saved profile, clearing it.');
+    localStorage.removeItem(PROFILE_KEY);
+    return null;
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch (e) {
+    console.warn('Failed to save profile:', e && e.message ? e.message : e);
+  }
+}
+
+export function resetProfile() {
+  try { localStorage.removeItem(PROFILE_KEY); } catch (e) {}
+}
+
+// Short summary like "oily skin · curly hair · acne, frizz · $$" (in the interface language)
+export function describeProfile(profile) {
+  if (!profile) return t('profile.notSet');
+  const parts = [];
+  if (profile.skinType) parts.push(t('profile.skinSummary', { type: optionLabel('skinType', profile.skinType) }));
+  if (profile.hairType) parts.push(t('profile.hairSummary', { type: optionLabel('hairType', profile.hairType) }));
+  if (profile.concerns && profile.concerns.length) parts.push(profile.concerns.map((c) => optionLabel('concerns', c)).join(', '));
+  if (profile.budget) parts.push(profile.budget);
+  return parts.length ? parts.join(' · ') : t('profile.notSet');
+}
+
+// Build <option> tags for a select (first option means "not specified")
+function profileSelectOptions(field, selected) {
+  const opts = [`<option value="">${t('profile.notSpecified')}</option>`];
+  PROFILE_OPTIONS[field].forEach((v) => {
+    const sel = v === selected ? ' selected' : '';
+    opts.push(`<option value="${v}"${sel}>${optionLabel(field, v)}</option>`);
+  });
+  return opts.join('');
+}
+
+// Render the profile panel. It opens automatically the first time (onboarding).
+export function renderProfilePanel() {
+  const container = document.getElementById('profilePanel');
+  if (!container) return;
+
+  const profile = loadProfile();
+  const current = profile || {};
+  const concerns = Array.isArray(current.concerns) ? current.concerns : [];
+
+  const concernBoxes = PROFILE_OPTIONS.concerns.map((c) => {
+    const checked = concerns.includes(c) ? ' checked' : '';
+    return `<label class="profile-chip"><input type="checkbox" name="concerns" value="${c}"${checked}> ${optionLabel('concerns', c)}</label>`;
+  }).join('');
+
+  container.innerHTML = `
+    <details class="profile-details"${profile ? '' : ' open'}>
+      <summary>
+        <span class="material-icons" aria-hidden="true">face_retouching_natural</span>
+        ${t('profile.heading')} <span class="profile-summary">${describeProfile(profile)}</span>
+      </summary>
+      <form id="profileForm" class="profile-form">
+        ${profile ? '' : `<p class="profile-intro">${t('profile.intro')}</p>`}
+        <div class="profile-fields">
+          <label>${t('profile.skinType')}
+            <select name="skinType">${profileSelectOptions('skinType', current.skinType)}</select>
+          </label>
+          <label>${t('profile.hairType')}
+            <select name="hairType">${profileSelectOptions('hairType', current.hairType)}</select>
+          </label>
+          <label>${t('profile.budget')}
+            <select name="budget">${profileSelectOptions('budget', current.budget)}</select>
+          </label>
+        </div>
+        <fieldset class="profile-concerns">
+          <legend>${t('profile.concerns')}</legend>
+          ${concernBoxes}
+        </fieldset>
+        <div class="profile-actions">
+          <button type="submit" class="profile-save">${t('profile.save')}</button>
+          <button type="button" id="profileReset" class="profile-reset">${t('profile.reset')}</button>
+        </div>
+      </form>
+    </details>`;
+
+  const form = document.getElementById('profileForm');
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const data = new FormData(form);
+    saveProfile(normalizeProfile({
+      skinType: data.get('skinType'),
+      hairType: data.get('hairType'),
+      concerns: data.getAll('concerns'),
+      budget: data.get('budget')
+    }));
+    renderProfilePanel();
+  });
+
+  document.getElementById('profileReset').addEventListener('click', () => {
+    const ok = confirm(t('profile.resetConfirm'));
+    if (!ok) return;
+    resetProfile();
+    renderProfilePanel();
+  });
+}
@@ -0,0 +1,315 @@
+/*
+  routine.js
+
+  Routine builder: the structured AM/PM plan the Worker returns in routine mode
+  (worker/routine.js), shown under the assistant reply as an editable checklist.
+
+  A routine is saved on its assistant message (`message.routine`) so it stays with
+  the conversation:
+    { title, summary, cautions: [text],
+      am: [step], pm: [step] }
+  where each step is
+    { order, step, product: { id, name, brand, url } | null, instructions, frequency, done }
+
+  Frequencies are saved as the Worker's English values and shown translated
+  (i18n.js), like the checklist's labels.
+
+  ES module imported by script.js, chat-api.js and transcript.js.
+*/
+
+import { t } from './i18n.js';
+
+// Same choices as the Worker schema
+export const FREQUENCIES = ['daily', 'every other day', '2-3 times a week', 'weekly', 'as needed'];
+
+// Morning and evening parts (labels are routine.am / routine.pm)
+const PARTS = [
+  { key: 'am', icon: 'wb_sunny' },
+  { key: 'pm', icon: 'nights_stay' }
+];
+
+// Translated name of a frequency ("every other day" -> routine.frequency.every-other-day)
+export const frequencyLabel = (frequency) => t(`routine.frequency.${frequency.replace(/ /g, '-')}`);
+
+const MAX_STEPS = 12;
+const MAX_CAUTIONS = 5;
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+const str = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+function normalizeStep(s, i) {
+  if (!s || typeof s !== 'object' || !str(s.step, 80)) return null;
+  const p = s.product;
+  const product = p && typeof p === 'object' && typeof p.id === 'string' && typeof p.name === 'string'
+    ? { id: str(p.id, 80), name: str(p.name, 200), brand: str(p.brand, 200), url: isHttpUrl(p.url) ? p.url : '' }
+    : null;
+  return {
+    order: i + 1,
+    step: str(s.step, 80),
+    product,
+    instructions: str(s.instructions, 400),
+    frequency: FREQUENCIES.includes(s.frequency) ? s.frequency : 'daily',
+    done: s.done === true
+  };
+}
+
+// Keep only a well-formed routine (from the Worker, localStorage or an imported
+// file). Returns null when there is nothing usable.
+export function normalizeRoutine(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const steps = (list) => (Array.isArray(list) ? list.slice(0, MAX_STEPS).filter((s) => s && str(s.step, 80)).map(normalizeStep) : []);
+  const am = steps(raw.am);
+  const pm = steps(raw.pm);
+  if (!am.length && !pm.length) return null;
+  return {
+    title: str(raw.title, 80) || t('routine.defaultTitle'),
+    summary: str(raw.summary, 600),
+    am,
+    pm,
+    cautions: Array.isArray(raw.cautions) ? raw.cautions.map((c) => str(c, 300)).filter(Boolean).slice(0, MAX_CAUTIONS) : []
+  };
+}
+
+// Routine as Markdown (for the Markdown export)
+export function routineToMarkdown(routine) {
+  const lines = [`### ${routine.title}`, ''];
+  if (routine.summary) lines.push(routine.summary, '');
+  PARTS.forEach(({ key }) => {
+    if (!routine[key].length) return;
+    lines.push(`**${t(`routine.${key}`)}**`, '');
+    routine[key].forEach((s) => {
+      const product = s.product ? ` — ${s.product.url ? `[${s.product.name}](${s.product.url})` : s.product.name}` : '';
+      lines.push(`${s.order}. [${s.done ? 'x' : ' '}] **${s.step}**${product} (${frequencyLabel(s.frequency)})${s.instructions ? `: ${s.instructions}` : ''}`);
+    });
+    lines.push('');
+  });
+  if (routine.cautions.length) {
+    lines.push(`**${t('routine.cautions')}**`, '');
+    routine.cautions.forEach((c) => lines.push(`- ${c}`));
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// Short plain-text version sent to the Worker with the conversation, so follow-up
+// questions ("can I skip step 2?") see the plan as the user edited it. Model context
+// stays in English.
+export function routineToText(routine) {
+  const part = (key, label) => routine[key].length
+    ? `${label}: ${routine[key].map((s) => `${s.order}. ${s.step}${s.product ? ` (${s.product.name})` : ''}, ${s.frequency}`).join('; ')}.`
+    : '';
+  return [`Saved routine "${routine.title}".`, part('am', 'AM'), part('pm', 'PM')].filter(Boolean).join(' ').slice(0, 1500);
+}
+
+// —— Checklist ——
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+};
+
+function iconButton(icon, label, onClick) {
+  const btn = el('button', 'routine-icon-btn');
+  btn.type = 'button';
+  btn.title = label;
+  btn.setAttribute('aria-label', label);
+  btn.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// Inline form to edit a step (name, instructions, frequency)
+function stepEditor(step, onSave, onCancel) {
+  const form = el('form', 'routine-step-editor');
+  const uid = Math.random().toString(36).slice(2, 8);
+
+  const field = (labelText, control) => {
+    control.id = `routine-${control.name}-${uid}`;
+    const label = el('label', '', labelText);
+    label.htmlFor = control.id;
+    form.appendChild(label);
+    form.appendChild(control);
+  };
+
+  const name = el('input');
+  name.name = 'step';
+  name.value = step.step;
+  name.maxLength = 80;
+  name.required = true;
+  field(t('routine.stepName'), name);
+
+  const instructions = el('textarea');
+  instructions.name = 'instructions';
+  instructions.value = step.instructions;
+  instructions.maxLength = 400;
+  instructions.rows = 2;
+  field(t('routine.howToUse'), instructions);
+
+  const frequency = el('select');
+  frequency.name = 'frequency';
+  FREQUENCIES.forEach((f) => {
+    const option = el('option', '', frequencyLabel(f));
+    option.value = f;
+    frequency.appendChild(option);
+  });
+  frequency.value = step.frequency;
+  field(t('routine.howOften'), frequency);
+
+  const actions = el('div', 'routine-editor-actions');
+  const save = el('button', 'routine-save-btn', t('routine.save'));
+  save.type = 'submit';
+  const cancel = el('button', 'routine-cancel-btn', t('routine.cancel'));
+  cancel.type = 'button';
+  cancel.addEventListener('click', onCancel);
+  actions.appendChild(save);
+  actions.appendChild(cancel);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!name.value.trim()) return;
+    onSave({ step: name.value.trim(), instructions: instructions.value.trim(), frequency: frequency.value });
+  });
+  return form;
+}
+
+// Render `routine` as an editable checklist under the assistant bubble. Edits change
+// the routine object in place and call onChange() so the caller can save it.
+export function renderRoutine(bubble, routine, onChange = () => {}) {
+  const row = bubble.parentElement;
+  if (!row) return null;
+  const old = row.querySelector('.routine-plan');
+  if (old) old.remove();
+
+  const plan = el('section', 'routine-plan');
+  const titleId = `routine-${Math.random().toString(36).slice(2, 8)}`;
+  plan.setAttribute('aria-labelledby', titleId);
+  // Product cards (if any) stay below the checklist
+  row.insertBefore(plan, row.querySelector('.product-cards'));
+
+  // Step being edited ({ key, index }), or null
+  let editing = null;
+
+  const changed = () => {
+    onChange(routine);
+    draw();
+  };
+
+  function renumber(key) {
+    routine[key].forEach((s, i) => { s.order = i + 1; });
+  }
+
+  function stepItem(key, step, index) {
+    const item = el('li', `routine-step${step.done ? ' done' : ''}`);
+
+    if (editing && editing.key === key && editing.index === index) {
+      item.appendChild(stepEditor(step, (values) => {
+        Object.assign(step, values);
+        editing = null;
+        changed();
+      }, () => {
+        // A new step that was never saved is dropped again
+        if (editing.added) {
+          routine[key].splice(index, 1);
+          renumber(key);
+        }
+        editing = null;
+        draw();
+      }));
+      return item;
+    }
+
+    const check = el('input', 'routine-check');
+    check.type = 'checkbox';
+    check.checked = step.done;
+    check.id = `${titleId}-${key}-${index}`;
+    check.addEventListener('change', () => {
+      step.done = check.checked;
+      changed();
+    });
+    item.appendChild(check);
+
+    const body = el('div', 'routine-step-body');
+    const label = el('label', 'routine-step-name', `${step.order}. ${step.step}`);
+    label.htmlFor = check.id;
+    body.appendChild(label);
+    if (step.product) {
+      const product = step.product.url ? el('a', 'routine-product', step.product.name) : el('span', 'routine-product', step.product.name);
+      if (step.product.url) {
+        product.href = step.product.url;
+        product.target = '_blank';
+        product.rel = 'noopener noreferrer';
+      }
+      body.appendChild(product);
+    }
+    if (step.instructions) body.appendChild(el('p', 'routine-instructions', step.instructions));
+    body.appendChild(el('span', 'routine-frequency', frequencyLabel(step.frequency)));
+    item.appendChild(body);
+
+    const actions = el('div', 'routine-step-actions');
+    actions.appendChild(iconButton('edit', t('routine.editStep', { number: step.order, step: step.step }), () => {
+      editing = { key, index };
+      draw();
+    }));
+    actions.appendChild(iconButton('delete', t('routine.removeStep', { number: step.order, step: step.step }), () => {
+      routine[key].splice(index, 1);
+      renumber(key);
+      changed();
+    }));
+    item.appendChild(actions);
+    return item;
+  }
+
+  function draw() {
+    plan.innerHTML = '';
+    const heading = el('h3', 'routine-title', routine.title);
+    heading.id = titleId;
+    plan.appendChild(heading);
+
+    PARTS.forEach(({ key, icon }) => {
+      const label = t(`routine.${key}`);
+      const part = el('div', `routine-part routine-${key}`);
+      const partHeading = el('h4', 'routine-part-title');
+      partHeading.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+      partHeading.appendChild(document.createTextNode(label));
+      part.appendChild(partHeading);
+
+      const list = el('ol', 'routine-steps');
+      list.setAttribute('aria-label', t('routine.steps', { part: label }));
+      routine[key].forEach((step, index) => list.appendChild(stepItem(key, step, index)));
+      part.appendChild(list);
+
+      if (!editing && routine[key].length < MAX_STEPS) {
+        const add = el('button', 'routine-add-btn');
+        add.type = 'button';
+        add.innerHTML = '<span class="material-icons" aria-hidden="true">add</span>';
+        add.appendChild(document.createTextNode(t('routine.addStep', { part: key.toUpperCase() })));
+        add.addEventListener('click', () => {
+          routine[key].push({ order: routine[key].length + 1, step: '', product: null, instructions: '', frequency: 'daily', done: false });
+          editing = { key, index: routine[key].length - 1, added: true };
+          draw();
+        });
+        part.appendChild(add);
+      }
+      plan.appendChild(part);
+    });
+
+    if (routine.cautions.length) {
+      const cautions = el('div', 'routine-cautions');
+      cautions.setAttribute('role', 'note');
+      cautions.appendChild(el('h4', 'routine-part-title', t('routine.cautions')));
+      const list = el('ul');
+      routine.cautions.forEach((c) => list.appendChild(el('li', '', c)));
+      cautions.appendChild(list);
+      plan.appendChild(cautions);
+    }
+
+    const editor = plan.querySelector('.routine-step-editor input');
+    if (editor) editor.focus();
+  }
+
+  draw();
+  return plan;
+}
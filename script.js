@@ -2,14 +2,90 @@
   script.js
 
   Simple chat client that posts a `messages` array to a Cloudflare Worker.
-  The Worker should forward the request to OpenAI using a stored secret.
+  The Worker forwards the request to the configured model provider using its own
+  secrets. Replies are streamed (server-sent events) and rendered as they arrive.
 
   Important:
-  - Put your deployed worker URL in `secrets.js` (WORKER_URL).
-  - For local testing only, you may set OPENAI_API_KEY in `secrets.js` and the
-    fallback code will call OpenAI directly (not recommended for production).
+  - Put your deployed worker URL in `config.js` or `secrets.js` (WORKER_URL).
+  - The browser never calls a model API directly. For offline development run the
+    Worker locally with LLM_PROVIDER=mock (see README) and point WORKER_URL at it.
+
+  Loaded as an ES module (index.html). Rendering, Worker calls, saved threads,
+  the profile panel and the theme editor live in the modules imported below;
+  this file holds the app state and wires up the page.
 */
 
+import { renderProfilePanel, loadProfile, describeProfile } from './profile.js';
+import {
+  DEFAULT_THREAD_TITLE,
+  createThread,
+  titleFromMessages,
+  threadTitle,
+  loadThreadStore,
+  saveThreadStore,
+  findThread,
+  sortedThreads,
+  renderThreadList
+} from './threads.js';
+import {
+  appendUserBubble,
+  appendAssistantBubble,
+  markRefusal,
+  renderAssistantReply,
+  updateLatestQuestionDisplay,
+  showReplyError,
+  removeRetryButtons
+} from './chat-ui.js';
+import {
+  buildChatPayload,
+  readChatStream,
+  getSessionId,
+  describeWorkerError,
+  chatError,
+  requestIngredientCheck,
+  requestTranscription,
+  sendFeedback
+} from './chat-api.js';
+import {
+  conversationToMarkdown,
+  conversationToJson,
+  exportFileName,
+  downloadFile,
+  renderPrintView,
+  parseImport,
+  mergeImportedThreads
+} from './transcript.js';
+import { normalizeRoutine, renderRoutine } from './routine.js';
+import {
+  normalizeIngredientReport,
+  renderIngredientReport,
+  addIngredientField,
+  translateIngredientFields,
+  ingredientFieldValues
+} from './ingredients.js';
+import { prepareImage, renderPhotoPreview } from './photos.js';
+import { renderFeedbackControls, reportTranscript } from './feedback.js';
+import {
+  voiceInputMode,
+  startVoiceInput,
+  speechOutputSupported,
+  loadReadAloud,
+  saveReadAloud,
+  speak,
+  stopSpeaking
+} from './voice.js';
+import {
+  LANGUAGES,
+  loadLanguage,
+  setLanguage,
+  getLanguage,
+  speechLocale,
+  translatePage,
+  t,
+  tn
+} from './i18n.js';
+import { loadThemeId, applyTheme, renderThemeOptions, renderThemeEditor } from './themes.js';
+
 /* DOM elements */
 const chatForm = document.getElementById("chatForm");
 const userInput = document.getElementById("userInput");
@@ -61,69 +137,299 @@ function renderWorkerConfigUI() {
 // Render initial worker config UI
 renderWorkerConfigUI();
 
+// Interface language (see i18n.js): saved choice or the browser's language
+setLanguage(loadLanguage());
+translatePage();
+
+// Beauty profile panel in the header (see profile.js)
+renderProfilePanel();
+
 // Conversation history for multi-turn context (LevelUp requirement)
-// Start with a strong system prompt to restrict assistant to L'Oréal topics only.
-const systemPrompt = `You are a helpful assistant that ONLY answers questions about L'Oréal products, routines, product recommendations, ingredients, and beauty-related topics associated with L'Oréal brands. If the user asks about anything outside L'Oréal products or beauty routines (finance, politics, unrelated brands, detailed medical advice, illegal activities, etc.), politely refuse and state you can only help with L'Oréal-related beauty/product questions. Keep answers friendly, concise, and use brand-appropriate tone.`;
+// Only user/assistant turns live here: the system prompt and the L'Oréal-only
+// topic rules are applied by the Worker (worker/guardrails.js).
+// Several conversations can be saved (see threads.js); `messages` is always the
+// message list of the active one.
+let threadStore = loadThreadStore();
+let activeThread = findThread(threadStore, threadStore.activeId);
+let messages = activeThread.messages;
+
+// Save the thread that owns `list` (defaults to the active conversation).
+// Replies that finish after the user switched threads still land in the right one.
+function saveHistory(list = messages) {
+  const thread = threadStore.threads.find((t) => t.messages === list);
+  if (!thread) return; // the conversation was cleared or deleted meanwhile
+  thread.updatedAt = Date.now();
+  if (thread.title === DEFAULT_THREAD_TITLE) thread.title = titleFromMessages(list);
+  saveThreadStore(threadStore);
+  renderThreads();
+}
 
-let messages = [
-  { role: "system", content: systemPrompt }
-];
+// Clear wipes the messages of the active conversation (the thread itself stays)
+function clearHistory() {
+  messages = [];
+  activeThread.messages = messages;
+  delete activeThread.summary;
+  activeThread.title = DEFAULT_THREAD_TITLE;
+  activeThread.updatedAt = Date.now();
+  saveThreadStore(threadStore);
+  renderConversation();
+  renderThreads();
+  renderMemoryPanel();
+}
+
+// Draw the active conversation in the chat window (greeting when it is empty)
+function renderConversation() {
+  chatWindow.innerHTML = '';
+  if (!messages.length) {
+    // Friendly initial assistant message (not persisted)
+    appendAssistantBubble(t('chat.greeting'));
+    return;
+  }
+  messages.forEach((m) => {
+    if (m.role === 'user') {
+      appendUserBubble(m.content, m.timestamp, m.image);
+      updateLatestQuestionDisplay(m.content);
+    } else if (m.role === 'assistant') {
+      const bubble = appendAssistantBubble(m.content, { timestamp: m.timestamp, products: m.products, refusal: m.refusal });
+      if (m.routine) renderRoutine(bubble, m.routine, () => saveHistory(messages));
+      if (m.ingredientCheck) renderIngredientReport(bubble, m.ingredientCheck);
+      addFeedbackControls(bubble, m, messages);
+    }
+  });
+}
 
-// Local storage key for saving conversation (only user/assistant messages)
-const STORAGE_KEY = 'loreal_chat_history_v1';
+/* Feedback on replies (see feedback.js): thumbs up/down and Report, sent to the
+   Worker with the reply's turn ID */
+function addFeedbackControls(bubble, message, conversation) {
+  renderFeedbackControls(bubble, message, {
+    onRate: (rating) => rateReply(bubble, message, conversation, rating),
+    onReport: () => reportReply(bubble, message, conversation)
+  });
+}
 
-// Initialize chat window: try to restore saved history, otherwise show greeting
-chatWindow.innerHTML = '';
-function loadHistory() {
+// Pressing the current rating again clears it. The rating is shown right away and
+// undone if the Worker does not record it.
+async function rateReply(bubble, message, conversation, rating) {
+  const previous = message.feedback;
+  const next = previous === rating ? undefined : rating;
+  const update = (value) => {
+    if (value) message.feedback = value;
+    else delete message.feedback;
+    try { saveHistory(conversation); } catch (e) { /* noop */ }
+    addFeedbackControls(bubble, message, conversation);
+  };
+  update(next);
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return null;
-    return parsed;
-  } catch (e) {
-    console.warn('Failed to parse saved history, clearing it.');
-    localStorage.removeItem(STORAGE_KEY);
-    return null;
+    await sendFeedback(WORKER_URL, { turn_id: message.turnId, rating: next || 'none' });
+  } catch (err) {
+    console.error(err && err.message ? err.message : err);
+    update(previous);
   }
 }
 
-function saveHistory() {
+// Report a reply: the optional comment and the conversation up to it are sent for review
+async function reportReply(bubble, message, conversation) {
+  const comment = prompt(t('feedback.reportPrompt'), '');
+  if (comment === null) return;
   try {
-    // Persist only user/assistant roles (exclude system prompt)
-    const toSave = messages.filter(m => m.role === 'user' || m.role === 'assistant');
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
-  } catch (e) {
-    console.warn('Failed to save history:', e && e.message ? e.message : e);
+    await sendFeedback(WORKER_URL, {
+      turn_id: message.turnId,
+      rating: 'report',
+      comment: comment.trim().slice(0, 500),
+      messages: reportTranscript(conversation, message)
+    });
+  } catch (err) {
+    alert(t('feedback.failed', { message: err && err.message ? err.message : err }));
+    return;
   }
+  message.reported = true;
+  try { saveHistory(conversation); } catch (e) { /* noop */ }
+  addFeedbackControls(bubble, message, conversation);
+  alert(t('feedback.reportDone'));
 }
 
-function clearHistory() {
-  localStorage.removeItem(STORAGE_KEY);
-  messages = [{ role: 'system', content: systemPrompt }];
-  chatWindow.innerHTML = '';
-  appendAssistantBubble('👋 Hi — ask me about L\'Oréal products, routines, or recommendations.');
+/* Conversation sidebar: new chat, switch, rename, delete, search */
+const threadSearch = document.getElementById('threadSearch');
+
+function renderThreads() {
+  renderThreadList(threadStore, {
+    onSelect: switchThread,
+    onRename: renameThread,
+    onDelete: deleteThread
+  }, threadSearch ? threadSearch.value : '');
 }
 
-const restored = loadHistory();
-if (restored && restored.length) {
-  // Restore into messages (keep system prompt at messages[0])
-  messages = [{ role: 'system', content: systemPrompt }, ...restored];
+function switchThread(id) {
+  const thread = findThread(threadStore, id);
+  if (!thread) return;
+  // Stop a streaming reply first; its partial text is still saved to its own thread
+  if (activeController) activeController.abort();
+  threadStore.activeId = id;
+  activeThread = thread;
+  messages = thread.messages;
+  saveThreadStore(threadStore);
+  renderConversation();
+  renderThreads();
+  renderMemoryPanel();
+  userInput.focus();
+}
 
-  // Render restored messages into the chat window in order
-  restored.forEach((m) => {
-    if (m.role === 'user') {
-      appendUserBubble(m.content, m.timestamp);
-      updateLatestQuestionDisplay(m.content);
-    } else if (m.role === 'assistant') {
-      appendAssistantBubble(m.content, { timestamp: m.timestamp });
-    }
+function newThread() {
+  // Reuse the current chat if it is still empty
+  if (!messages.length) {
+    userInput.focus();
+    return;
+  }
+  const thread = createThread();
+  threadStore.threads.push(thread);
+  switchThread(thread.id);
+}
+
+function renameThread(id) {
+  const thread = findThread(threadStore, id);
+  if (!thread) return;
+  const title = prompt(t('thread.renamePrompt'), threadTitle(thread));
+  if (title === null || !title.trim() || title.trim() === threadTitle(thread)) return;
+  thread.title = title.trim().slice(0, 80);
+  saveThreadStore(threadStore);
+  renderThreads();
+}
+
+function deleteThread(id) {
+  const thread = findThread(threadStore, id);
+  if (!thread) return;
+  const ok = confirm(t('thread.deleteConfirm', { title: threadTitle(thread) }));
+  if (!ok) return;
+  threadStore.threads = threadStore.threads.filter((t) => t.id !== id);
+  if (!threadStore.threads.length) threadStore.threads.push(createThread());
+  if (id === threadStore.activeId) {
+    switchThread(sortedThreads(threadStore)[0].id);
+  } else {
+    saveThreadStore(threadStore);
+    renderThreads();
+  }
+}
+
+const newChatBtn = document.getElementById('newChatBtn');
+if (newChatBtn) newChatBtn.addEventListener('click', newThread);
+if (threadSearch) threadSearch.addEventListener('input', renderThreads);
+
+/* Conversation memory: the Worker summarizes older turns when a chat gets long.
+   The summary is saved on the thread as { text, covered, updatedAt }, where
+   `covered` is how many of the first messages it replaces in requests. */
+const memoryBtn = document.getElementById('memoryBtn');
+const memoryPanel = document.getElementById('memoryPanel');
+
+// Save a summary returned by the Worker on the thread that owns `list`.
+// `update.covered` counts messages from the start of what we sent.
+function applyMemoryUpdate(list, update) {
+  const thread = threadStore.threads.find((t) => t.messages === list);
+  if (!thread || !update || typeof update.summary !== 'string') return;
+  const previous = (thread.summary && thread.summary.covered) || 0;
+  thread.summary = {
+    text: update.summary,
+    covered: Math.min(list.length, previous + (Number(update.covered) || 0)),
+    updatedAt: Date.now()
+  };
+  if (thread === activeThread) renderMemoryPanel();
+}
+
+// Show the active conversation's summary (panel is toggled by the Summary button)
+function renderMemoryPanel() {
+  if (!memoryPanel) return;
+  memoryPanel.innerHTML = '';
+  const summary = activeThread.summary;
+  const heading = document.createElement('p');
+  heading.className = 'memory-heading';
+  const body = document.createElement('p');
+  body.className = 'memory-text';
+  if (summary && summary.text) {
+    heading.textContent = t('memory.heading', { count: summary.covered });
+    body.textContent = summary.text;
+  } else {
+    heading.textContent = t('memory.empty');
+    body.textContent = t('memory.emptyHelp');
+  }
+  memoryPanel.appendChild(heading);
+  memoryPanel.appendChild(body);
+}
+
+if (memoryBtn && memoryPanel) {
+  memoryBtn.addEventListener('click', () => {
+    const show = memoryPanel.hidden;
+    memoryPanel.hidden = !show;
+    memoryBtn.setAttribute('aria-expanded', String(show));
+    if (show) renderMemoryPanel();
+  });
+}
+
+/* Export and import: Markdown, JSON (can be imported again) and a print view */
+const exportMdBtn = document.getElementById('exportMdBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const printBtn = document.getElementById('printBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+
+// Exports need at least one message; returns false (after telling the user) otherwise
+function canExport() {
+  if (messages.length) return true;
+  alert(t('export.empty'));
+  return false;
+}
+
+if (exportMdBtn) {
+  exportMdBtn.addEventListener('click', () => {
+    if (!canExport()) return;
+    downloadFile(exportFileName(activeThread, 'md'), conversationToMarkdown(activeThread), 'text/markdown');
+  });
+}
+
+if (exportJsonBtn) {
+  exportJsonBtn.addEventListener('click', () => {
+    if (!canExport()) return;
+    downloadFile(exportFileName(activeThread, 'json'), conversationToJson(activeThread), 'application/json');
+  });
+}
+
+if (printBtn) {
+  printBtn.addEventListener('click', () => {
+    if (!canExport()) return;
+    renderPrintView(activeThread, describeProfile(loadProfile()));
+    window.print();
   });
-} else {
-  // No history: show friendly initial assistant message (not persisted)
-  appendAssistantBubble("👋 Hi — ask me about L'Oréal products, routines, or recommendations.");
 }
 
+// Validate the chosen file, add its conversations and open the first new one
+async function importConversations(file) {
+  try {
+    const threads = parseImport(await file.text());
+    const { added, skipped } = mergeImportedThreads(threadStore, threads);
+    saveThreadStore(threadStore);
+    if (added.length) switchThread(added[0].id);
+    else renderThreads();
+    const parts = [tn('import.done', added.length)];
+    if (skipped) parts.push(t('import.skipped', { count: skipped }));
+    alert(parts.join(' '));
+  } catch (err) {
+    alert(t('import.failed', { message: err && err.message ? err.message : err }));
+  }
+}
+
+if (importBtn && importFile) {
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    const [file] = importFile.files;
+    // Reset so choosing the same file again still fires `change`
+    importFile.value = '';
+    if (file) importConversations(file);
+  });
+}
+
+// Initialize chat window and sidebar from saved conversations
+renderConversation();
+renderThreads();
+renderMemoryPanel();
+
 // Ensure WORKER_URL is available from secrets.js
 // (secrets.js should define const WORKER_URL = 'https://...')
 if (typeof WORKER_URL === 'undefined') {
@@ -131,345 +437,485 @@ if (typeof WORKER_URL === 'undefined') {
   console.warn('WORKER_URL is not set. Set WORKER_URL in your local secrets.js for testing.');
 }
 
-/* Helper: create and append message rows/bubbles */
-function appendUserBubble(text) {
-  const row = document.createElement('div');
-  row.className = 'message-row user';
-  const bubble = document.createElement('div');
-  bubble.className = 'bubble user';
-  bubble.textContent = text;
-
-  // timestamp (if provided as second arg)
-  const ts = arguments[1];
-  if (ts) {
-    const timeEl = document.createElement('div');
-    timeEl.className = 'msg-time';
-    timeEl.textContent = formatTime(ts);
-    bubble.appendChild(timeEl);
-  }
+// The chat is usable once WORKER_URL points at a deployed Worker (not the example URL)
+function workerUrlConfigured() {
+  return typeof WORKER_URL !== 'undefined' && WORKER_URL && WORKER_URL !== 'https://your-worker.example.workers.dev';
+}
+
+/* Streaming helpers */
+const sendBtn = document.getElementById('sendBtn');
+const stopBtn = document.getElementById('stopBtn');
 
-  row.appendChild(bubble);
-  chatWindow.appendChild(row);
-  chatWindow.scrollTop = chatWindow.scrollHeight;
+// AbortController for the reply currently being streamed (null when idle)
+let activeController = null;
+
+// Show the Stop button (and disable Send) while a reply is streaming
+function setStreaming(isStreaming) {
+  if (sendBtn) sendBtn.disabled = isStreaming;
+  if (stopBtn) stopBtn.hidden = !isStreaming;
 }
 
-function appendAssistantBubble(text, options = {}) {
-  const row = document.createElement('div');
-  row.className = 'message-row assistant';
+// Stop button aborts the reply that is currently streaming
+if (stopBtn) {
+  stopBtn.addEventListener('click', () => {
+    if (activeController) activeController.abort();
+  });
+}
 
-  const bubble = document.createElement('div');
-  bubble.className = 'bubble assistant';
-  if (options.loading) {
-    bubble.classList.add('loading');
-    bubble.textContent = text;
-  } else {
-    // allow text + optional timestamp
-    bubble.innerHTML = '';
-    const textNode = document.createElement('div');
-    textNode.textContent = text;
-    bubble.appendChild(textNode);
-    if (options.timestamp) {
-      const timeEl = document.createElement('div');
-      timeEl.className = 'msg-time';
-      timeEl.textContent = formatTime(options.timestamp);
-      bubble.appendChild(timeEl);
-    }
-  }
+/* Routine builder mode: the next questions ask for a structured AM/PM plan
+   (see routine.js) instead of a chat answer */
+const routineBtn = document.getElementById('routineBtn');
+let routineMode = false;
 
-  row.appendChild(bubble);
-  chatWindow.appendChild(row);
-  chatWindow.scrollTop = chatWindow.scrollHeight;
+function setRoutineMode(on) {
+  routineMode = on;
+  if (routineBtn) routineBtn.setAttribute('aria-pressed', String(on));
+  userInput.placeholder = t(on ? 'chat.routinePlaceholder' : 'chat.placeholder');
+}
 
-  return bubble; // return element so caller can update later
+if (routineBtn) {
+  routineBtn.addEventListener('click', () => {
+    setRoutineMode(!routineMode);
+    userInput.focus();
+  });
 }
 
-function formatTime(ts) {
-  try {
-    const d = new Date(Number(ts));
-    // show local time with short date
-    return d.toLocaleString(undefined, { hour: 'numeric', minute: '2-digit', month: 'short', day: 'numeric' });
-  } catch (e) {
-    return '';
-  }
+/* Photo attachment for skin and hair questions (see photos.js): the photo is resized
+   and stripped of metadata in the browser, then sent with the next question */
+const attachBtn = document.getElementById('attachBtn');
+const photoInput = document.getElementById('photoInput');
+const photoPreview = document.getElementById('photoPreview');
+// Photo waiting to be sent ({ dataUrl, thumbnail, width, height }), or null
+let pendingPhoto = null;
+
+function setPendingPhoto(photo) {
+  pendingPhoto = photo;
+  if (photoPreview) renderPhotoPreview(photoPreview, photo, () => {
+    setPendingPhoto(null);
+    userInput.focus();
+  });
+  if (attachBtn) attachBtn.setAttribute('aria-pressed', String(Boolean(photo)));
 }
 
-function updateLatestQuestionDisplay(text) {
-  // Remove existing latest-question if present
-  const existing = document.querySelector('.latest-question');
-  if (existing) existing.remove();
+if (attachBtn && photoInput) {
+  attachBtn.addEventListener('click', () => photoInput.click());
+  photoInput.addEventListener('change', async () => {
+    const file = photoInput.files && photoInput.files[0];
+    // Reset so picking the same file again still fires `change`
+    photoInput.value = '';
+    if (!file) return;
+    try {
+      setPendingPhoto(await prepareImage(file));
+      userInput.focus();
+    } catch (err) {
+      alert(err && err.name === 'PhotoError' ? err.message : t('photo.failed'));
+    }
+  });
+}
 
-  const p = document.createElement('p');
-  p.className = 'latest-question';
-  p.textContent = `Latest question: ${text}`;
-  chatWindow.appendChild(p);
-  chatWindow.scrollTop = chatWindow.scrollHeight;
+/* Voice input (see voice.js): the microphone button fills the message box with the
+   spoken question; it is sent with Send like a typed one */
+const micBtn = document.getElementById('micBtn');
+// Voice input in progress ({ stop() }), or null
+let voiceInput = null;
+
+function setVoiceState(state) {
+  if (!micBtn) return;
+  micBtn.setAttribute('aria-pressed', String(state !== 'idle'));
+  micBtn.classList.toggle('listening', state === 'listening');
+  micBtn.disabled = state === 'transcribing';
+  const label = t(state === 'listening' ? 'voice.stop' : (state === 'transcribing' ? 'voice.transcribing' : 'voice.ask'));
+  micBtn.title = label;
+  micBtn.querySelector('.visually-hidden').textContent = label;
+  if (state === 'idle') voiceInput = null;
+}
+
+if (micBtn && voiceInputMode()) {
+  micBtn.hidden = false;
+  micBtn.addEventListener('click', () => {
+    if (voiceInput) {
+      voiceInput.stop();
+      return;
+    }
+    // Recordings are transcribed by the Worker
+    if (voiceInputMode() === 'record' && !workerUrlConfigured()) {
+      alert(t('chat.missingConfig'));
+      return;
+    }
+    stopSpeaking();
+    // Spoken text is added after anything already typed
+    const typed = userInput.value.trim();
+    voiceInput = startVoiceInput({
+      lang: speechLocale(),
+      onText: (text, final) => {
+        userInput.value = [typed, text].filter(Boolean).join(' ');
+        if (final) userInput.focus();
+      },
+      onState: setVoiceState,
+      onError: (message) => alert(message),
+      transcribe: (audio) => requestTranscription(WORKER_URL, audio)
+    });
+  });
 }
 
 /* Handle form submit */
 chatForm.addEventListener('submit', async (e) => {
   e.preventDefault();
   const text = userInput.value.trim();
-  if (!text) return;
+  if (!text || activeController) return;
+  // Clear the input now, so the user can type the next question while the reply streams
+  userInput.value = '';
+  removeRetryButtons();
+  if (voiceInput) voiceInput.stop();
+
+  // The attached photo (if any) goes with this question; only its thumbnail is saved
+  const photo = pendingPhoto;
+  const image = photo ? { thumbnail: photo.thumbnail, width: photo.width, height: photo.height } : null;
+  if (photo) setPendingPhoto(null);
 
   // Show user's question in the UI and record it for history
   const userTs = Date.now();
-  appendUserBubble(text, userTs);
+  appendUserBubble(text, userTs, image);
   updateLatestQuestionDisplay(text);
 
   // Add to conversation history (include timestamp)
-  messages.push({ role: 'user', content: text, timestamp: userTs });
+  const userMessage = { role: 'user', content: text, timestamp: userTs };
+  if (image) userMessage.image = image;
+  messages.push(userMessage);
   // Persist user question right away
   try { saveHistory(); } catch (e) { /* noop */ }
 
-  // Show loading assistant bubble and keep reference to update later
-  const loadingBubble = appendAssistantBubble('Thinking...', { loading: true });
-
-  try {
-  // When sending to the API/Worker, strip any extra fields (timestamps) and send only role+content
-  const apiMessages = messages.map(m => ({ role: m.role, content: m.content }));
-  const payload = { messages: apiMessages };
-
-    // Prefer sending to Cloudflare Worker endpoint which uses a secure secret
-    if (typeof WORKER_URL !== 'undefined' && WORKER_URL && WORKER_URL !== 'https://your-worker.example.workers.dev') {
-      const res = await fetch(WORKER_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!res.ok) throw new Error(`Worker error: ${res.status} ${res.statusText}`);
+  // A failed question stays in the conversation (Retry resends it), so the input stays empty
+  await requestReply(messages, { mode: routineMode ? 'routine' : undefined, image: photo ? photo.dataUrl : undefined });
+});
 
-      const data = await res.json();
+// Ask the Worker to answer the latest question in `conversation` (the active thread's
+// messages) and render the reply. Also used by the Retry button of a failed reply.
+// `options` are passed to buildChatPayload (`mode: 'routine'` asks for a routine plan,
+// `image` is the photo sent with the question); Retry sends them again with `fresh: true`,
+// which asks the Worker not to answer from its response cache.
+async function requestReply(conversation, options = {}) {
+  // Show loading assistant bubble and keep reference to update later
+  const loadingBubble = appendAssistantBubble(t(options.mode === 'routine' ? 'chat.buildingRoutine' : 'chat.thinking'), { loading: true });
 
-      // Cloudflare Worker forwards OpenAI response; get assistant message
-    const reply = data?.choices?.[0]?.message?.content || 'Sorry, I could not get an answer.';
+  // Text received so far (kept if the user presses Stop)
+  let partial = '';
+  // `conversation` stays the right list even if Clear or switching threads replaces `messages`
+  activeController = new AbortController();
+  setStreaming(true);
 
-    // Remove loading style and set real content with timestamp
-    const assistantTs = Date.now();
-    loadingBubble.classList.remove('loading');
-    // replace bubble content with reply + time
-    loadingBubble.innerHTML = '';
-    const textNode = document.createElement('div');
-    textNode.textContent = reply;
-    loadingBubble.appendChild(textNode);
-    const timeEl = document.createElement('div');
-    timeEl.className = 'msg-time';
-    timeEl.textContent = formatTime(assistantTs);
-    loadingBubble.appendChild(timeEl);
-
-    // Append assistant message to history to keep context (with timestamp)
-    messages.push({ role: 'assistant', content: reply, timestamp: assistantTs });
-    // Persist after assistant reply
-    try { saveHistory(); } catch (e) { /* noop */ }
+  try {
+    const payload = buildChatPayload(activeThread, loadProfile(), { ...options, language: getLanguage() });
 
-    } else if (typeof OPENAI_API_KEY !== 'undefined' && OPENAI_API_KEY && OPENAI_API_KEY !== 'REPLACE_WITH_YOUR_OPENAI_KEY') {
-      // Fallback: direct call to OpenAI (local dev only). Not secure for production.
-      const openaiRes = await fetch('https://api.openai.com/v1/chat/completions', {
+    let res;
+    // All requests go through the Cloudflare Worker, which holds the provider secrets
+    if (workerUrlConfigured()) {
+      res = await fetch(WORKER_URL, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
+          'X-Session-Id': getSessionId(),
+          ...(options.fresh ? { 'Cache-Control': 'no-cache' } : {})
         },
-        body: JSON.stringify({ model: 'gpt-4o', messages: apiMessages })
+        body: JSON.stringify(payload),
+        signal: activeController.signal
+      }).catch((err) => {
+        if (err && err.name === 'AbortError') throw err;
+        // Offline or the Worker could not be reached
+        throw chatError(t('error.network'), { code: 'network_error', retryable: true });
       });
 
-      if (!openaiRes.ok) throw new Error(`OpenAI error: ${openaiRes.status} ${openaiRes.statusText}`);
-      const data = await openaiRes.json();
-    const reply = data?.choices?.[0]?.message?.content || 'Sorry, I could not get an answer.';
-    const assistantTs = Date.now();
-    loadingBubble.classList.remove('loading');
-    loadingBubble.innerHTML = '';
-    const textNode = document.createElement('div');
-    textNode.textContent = reply;
-    loadingBubble.appendChild(textNode);
-    const timeEl = document.createElement('div');
-    timeEl.className = 'msg-time';
-    timeEl.textContent = formatTime(assistantTs);
-    loadingBubble.appendChild(timeEl);
-    messages.push({ role: 'assistant', content: reply, timestamp: assistantTs });
-    // Persist after assistant reply
-    try { saveHistory(); } catch (e) { /* noop */ }
+      if (!res.ok) throw await describeWorkerError(res);
 
     } else {
-      // No worker URL and no API key
+      // No worker URL configured
       loadingBubble.classList.remove('loading');
-      loadingBubble.textContent = 'Configuration missing: set WORKER_URL in secrets.js to your Cloudflare Worker URL.';
+      loadingBubble.textContent = t('chat.missingConfig');
+      return;
     }
 
+    let reply;
+    let products = [];
+    let refusal = null;
+    let memory = null;
+    let routine = null;
+    let ingredientCheck = null;
+    let turnId = null;
+    const contentType = res.headers.get('Content-Type') || '';
+    if (contentType.includes('text/event-stream') && res.body) {
+      // Streamed reply: render each delta into the bubble as it arrives
+      const result = await readChatStream(res, (textSoFar) => {
+        partial = textSoFar;
+        renderAssistantReply(loadingBubble, textSoFar);
+      });
+      reply = result.text;
+      products = result.products;
+      memory = result.memory;
+      ingredientCheck = normalizeIngredientReport(result.ingredientCheck);
+      turnId = result.turnId;
+    } else {
+      // Non-streaming Worker: the whole OpenAI-format JSON arrives at once
+      const data = await res.json();
+      turnId = data?.turn_id;
+      if (data?.refusal) {
+        // The Worker guardrail declined an off-topic question
+        refusal = data.refusal;
+        reply = refusal.message;
+      } else {
+        reply = data?.choices?.[0]?.message?.content;
+        products = Array.isArray(data?.products) ? data.products : [];
+        memory = data?.memory || null;
+        routine = normalizeRoutine(data?.routine);
+        ingredientCheck = normalizeIngredientReport(data?.ingredient_check);
+      }
+    }
+    reply = reply || t('chat.noAnswer');
+
+    // Set final content with timestamp
+    const assistantTs = Date.now();
+    renderAssistantReply(loadingBubble, reply, assistantTs, products);
+    if (refusal) markRefusal(loadingBubble);
+    // Routine plans are saved with the reply; edits to the checklist are saved too
+    if (routine) renderRoutine(loadingBubble, routine, () => saveHistory(conversation));
+    // Layering questions come with the Worker's ingredient check (a warning panel)
+    if (ingredientCheck) renderIngredientReport(loadingBubble, ingredientCheck);
+    readReplyAloud(loadingBubble);
+
+    // Append assistant message to history to keep context (with timestamp and product cards,
+    // so restored conversations show the same cards)
+    const assistantMessage = { role: 'assistant', content: reply, timestamp: assistantTs, products };
+    if (refusal) assistantMessage.refusal = true;
+    if (routine) assistantMessage.routine = routine;
+    if (ingredientCheck) assistantMessage.ingredientCheck = ingredientCheck;
+    if (typeof turnId === 'string' && turnId) assistantMessage.turnId = turnId;
+    conversation.push(assistantMessage);
+    addFeedbackControls(loadingBubble, assistantMessage, conversation);
+    // Older turns were summarized by the Worker: remember the summary with the conversation
+    if (memory) applyMemoryUpdate(conversation, memory);
+    // Persist after assistant reply
+    try { saveHistory(conversation); } catch (e) { /* noop */ }
+
   } catch (err) {
+    if (err && err.name === 'AbortError') {
+      // User pressed Stop: keep whatever text already arrived
+      const assistantTs = Date.now();
+      if (partial) {
+        renderAssistantReply(loadingBubble, partial, assistantTs);
+        conversation.push({ role: 'assistant', content: partial, timestamp: assistantTs });
+        try { saveHistory(conversation); } catch (e) { /* noop */ }
+      } else {
+        loadingBubble.classList.remove('loading');
+        loadingBubble.textContent = t('chat.stopped');
+      }
+      return;
+    }
     // Avoid logging full error objects which may include sensitive details
     console.error(err && err.message ? err.message : err);
+    // Transient failures keep the question for the Retry button. A question the Worker
+    // refuses for good (too long, for example) is dropped, or every later request in
+    // this conversation would send it again and fail the same way.
+    const onRetry = err && err.retryable ? () => retryReply(conversation, loadingBubble, options) : null;
+    if (!onRetry && conversation[conversation.length - 1]?.role === 'user') {
+      conversation.pop();
+      try { saveHistory(conversation); } catch (e) { /* noop */ }
+    }
+    showReplyError(loadingBubble, t('chat.error', { message: err?.message || t('chat.requestFailed') }), onRetry);
+  } finally {
+    activeController = null;
+    setStreaming(false);
+    chatWindow.scrollTop = chatWindow.scrollHeight;
+  }
+}
+
+// Retry button: replace the failed bubble with a new attempt at the same question
+function retryReply(conversation, failedBubble, options) {
+  const last = conversation[conversation.length - 1];
+  if (activeController || conversation !== messages || !last || last.role !== 'user') return;
+  const row = failedBubble.closest('.message-row');
+  if (row) row.remove();
+  requestReply(conversation, { ...options, fresh: true });
+}
+
+/* Ingredient checker: compare products or pasted ingredient lists with the Worker's
+   ingredient knowledge base (see ingredients.js). The check and its warning panel
+   are saved in the conversation like a normal question and answer. */
+const ingredientBtn = document.getElementById('ingredientBtn');
+const ingredientForm = document.getElementById('ingredientForm');
+const ingredientFields = document.getElementById('ingredientFields');
+const addIngredientBtn = document.getElementById('addIngredientBtn');
+
+if (ingredientBtn && ingredientForm && ingredientFields) {
+  addIngredientField(ingredientFields);
+  addIngredientField(ingredientFields);
+
+  ingredientBtn.addEventListener('click', () => {
+    const show = ingredientForm.hidden;
+    ingredientForm.hidden = !show;
+    ingredientBtn.setAttribute('aria-expanded', String(show));
+    if (show) ingredientFields.querySelector('textarea').focus();
+  });
+
+  if (addIngredientBtn) {
+    addIngredientBtn.addEventListener('click', () => {
+      const field = addIngredientField(ingredientFields);
+      if (field) field.focus();
+      else addIngredientBtn.disabled = true;
+    });
+  }
+
+  ingredientForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const items = ingredientFieldValues(ingredientFields);
+    if (!items.length || activeController) return;
+    await runIngredientCheck(items);
+    ingredientFields.querySelectorAll('textarea').forEach((f) => { f.value = ''; });
+  });
+}
+
+// Short name for a checked item in the question bubble (first line, trimmed)
+const itemPreview = (item) => {
+  const line = item.split('\n')[0];
+  return line.length > 40 ? `${line.slice(0, 40)}…` : line;
+};
+
+async function runIngredientCheck(items) {
+  removeRetryButtons();
+  const conversation = messages;
+  const question = t('ingredients.question', { items: items.map(itemPreview).join(' + ') });
+  const userTs = Date.now();
+  appendUserBubble(question, userTs);
+  updateLatestQuestionDisplay(question);
+  // The question is only saved together with its report: a check that fails or is
+  // stopped leaves no unanswered turn behind to be sent as context later
+
+  const loadingBubble = appendAssistantBubble(t('ingredients.checking'), { loading: true });
+  if (!workerUrlConfigured()) {
     loadingBubble.classList.remove('loading');
-    loadingBubble.textContent = 'Error: ' + (err?.message || 'Request failed');
+    loadingBubble.textContent = t('chat.missingConfig');
+    return;
+  }
+  activeController = new AbortController();
+  setStreaming(true);
+  try {
+    const report = normalizeIngredientReport(await requestIngredientCheck(WORKER_URL, items, activeController.signal));
+    if (!report) throw chatError(t('ingredients.noResults'));
+    const reply = report.conflicts.length
+      ? t('ingredients.foundWarnings')
+      : t('ingredients.found');
+    const assistantTs = Date.now();
+    renderAssistantReply(loadingBubble, reply, assistantTs);
+    renderIngredientReport(loadingBubble, report);
+    readReplyAloud(loadingBubble);
+    conversation.push(
+      { role: 'user', content: question, timestamp: userTs },
+      { role: 'assistant', content: reply, timestamp: assistantTs, products: [], ingredientCheck: report }
+    );
+    try { saveHistory(conversation); } catch (e) { /* noop */ }
+  } catch (err) {
+    if (err && err.name === 'AbortError') {
+      loadingBubble.classList.remove('loading');
+      loadingBubble.textContent = t('chat.stopped');
+      return;
+    }
+    console.error(err && err.message ? err.message : err);
+    showReplyError(loadingBubble, t('chat.error', { message: err?.message || t('chat.requestFailed') }));
   } finally {
-    // Clear input for next question
-    userInput.value = '';
+    activeController = null;
+    setStreaming(false);
     chatWindow.scrollTop = chatWindow.scrollHeight;
   }
-});
+}
 
 // Wire Clear History button with confirmation
 const clearBtn = document.getElementById('clearBtn');
 if (clearBtn) {
   clearBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    const ok = confirm('Clear conversation history? This will remove saved messages from this browser.');
+    const ok = confirm(t('chat.clearConfirm'));
     if (ok) {
+      // Stop any reply that is still streaming (or being read) before wiping the conversation
+      if (activeController) activeController.abort();
+      stopSpeaking();
       clearHistory();
     }
     userInput.focus();
   });
 }
 
-// Theme switcher: persist theme and apply as data-theme on body
+// Theme switcher and editor (see themes.js): presets, the user's custom themes and
+// their color edits, applied on <body>
 const themeSelect = document.getElementById('themeSelect');
-const THEME_KEY = 'loreal_theme';
-function applySavedTheme() {
-  try {
-    const t = localStorage.getItem(THEME_KEY) || 'classic';
-    document.body.setAttribute('data-theme', t);
-    if (themeSelect) themeSelect.value = t;
-  } catch (e) {}
+const themeEditorBtn = document.getElementById('themeEditorBtn');
+const themeEditor = document.getElementById('themeEditor');
+
+function refreshThemes(activeId = loadThemeId()) {
+  if (themeSelect) renderThemeOptions(themeSelect, activeId);
+  if (themeEditor && !themeEditor.hidden) renderThemeEditor(themeEditor, { onChange: refreshThemes });
 }
+
+applyTheme(loadThemeId());
+refreshThemes();
 if (themeSelect) {
-  themeSelect.addEventListener('change', (e) => {
-    const v = themeSelect.value || 'classic';
-    document.body.setAttribute('data-theme', v);
-    try { localStorage.setItem(THEME_KEY, v); } catch (e) {}
+  themeSelect.addEventListener('change', () => refreshThemes(applyTheme(themeSelect.value)));
+}
+if (themeEditorBtn && themeEditor) {
+  themeEditorBtn.addEventListener('click', () => {
+    themeEditor.hidden = !themeEditor.hidden;
+    themeEditorBtn.setAttribute('aria-expanded', String(!themeEditor.hidden));
+    refreshThemes();
   });
 }
-applySavedTheme();
 
-// Contrast audit helper: computes and logs contrast ratios for key UI pairs
-function hexToRgb(hex) {
-  const h = hex.replace('#','').trim();
-  const bigint = parseInt(h, 16);
-  if (h.length === 3) {
-    return [parseInt(h[0]+h[0],16), parseInt(h[1]+h[1],16), parseInt(h[2]+h[2],16)];
-  }
-  return [(bigint >> 16) & 255, (bigint >> 8) & 255, bigint & 255];
+// Language picker (see i18n.js): re-translates the page, the panels and the current
+// conversation's greeting and labels; replies already received stay in the language
+// they were written in
+const languageSelect = document.getElementById('languageSelect');
+if (languageSelect) {
+  Object.entries(LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = name;
+    languageSelect.appendChild(option);
+  });
+  languageSelect.value = getLanguage();
+  languageSelect.addEventListener('change', () => {
+    setLanguage(languageSelect.value, { save: true });
+    translatePage();
+    setRoutineMode(routineMode);
+    if (!voiceInput) setVoiceState('idle');
+    // Redrawing mid-reply would drop the streaming bubble
+    if (!activeController) renderConversation();
+    renderMemoryPanel();
+    renderProfilePanel();
+    renderThreads();
+    if (ingredientFields) translateIngredientFields(ingredientFields);
+    refreshThemes();
+  });
 }
 
-function relativeLuminance(rgb) {
-  const srgb = rgb.map(v => v/255).map((c)=> c <= 0.03928 ? c/12.92 : Math.pow((c+0.055)/1.055,2.4));
-  return 0.2126*srgb[0] + 0.7152*srgb[1] + 0.0722*srgb[2];
-}
+// Read-aloud toggle: finished replies are spoken when it is on (persisted like the theme)
+const readAloudBtn = document.getElementById('readAloudBtn');
+let readAloud = false;
 
-function contrastRatio(hexA, hexB) {
-  try {
-    const a = relativeLuminance(hexToRgb(hexA));
-    const b = relativeLuminance(hexToRgb(hexB));
-    const L1 = Math.max(a,b);
-    const L2 = Math.min(a,b);
-    return ((L1+0.05)/(L2+0.05));
-  } catch (e) { return null; }
+function setReadAloud(on) {
+  readAloud = on;
+  if (readAloudBtn) readAloudBtn.setAttribute('aria-pressed', String(on));
+  if (!on) stopSpeaking();
 }
 
-function runContrastAudit() {
-  try {
-    const root = getComputedStyle(document.documentElement);
-    const pairs = [
-      { name: 'Body text vs background', fg: root.getPropertyValue('--text').trim() || '#222222', bg: root.getPropertyValue('--brand-muted').trim() || '#f7f4ef'},
-      { name: 'Button text vs brand gold', fg: root.getPropertyValue('--brand-black').trim() || '#000000', bg: root.getPropertyValue('--brand-gold').trim() || '#E3A535'},
-      { name: 'User bubble text vs user bg', fg: root.getPropertyValue('--user-text').trim() || '#FFFFFF', bg: root.getPropertyValue('--user-bg').trim() || '#000000'},
-      { name: 'Assistant text vs assistant bg', fg: root.getPropertyValue('--text').trim() || '#222222', bg: root.getPropertyValue('--assistant-bg').trim() || '#f3f1ee'}
-    ];
-
-    const results = pairs.map(p => ({
-      pair: p.name,
-      fg: p.fg,
-      bg: p.bg,
-      contrast: Number((contrastRatio(p.fg, p.bg) || 0).toFixed(2))
-    }));
-
-    console.group('Contrast audit');
-    console.table(results);
-    console.groupEnd();
-    return results;
-  } catch (e) { console.warn('Contrast audit failed', e); return null; }
-}
-
-// Run audit now and whenever theme changes
-runContrastAudit();
-if (themeSelect) themeSelect.addEventListener('change', runContrastAudit);
-
-// Auto-fix contrast by nudging foreground colors toward black until ratio >= target
-function rgbToHex([r,g,b]){
-  return '#' + [r,g,b].map(v=>v.toString(16).padStart(2,'0')).join('');
-}
-
-function clamp(v, a=0, b=255){ return Math.max(a, Math.min(b, Math.round(v))); }
-
-function lerpColor(hexA, hexB, t){
-  const a = hexToRgb(hexA); const b = hexToRgb(hexB);
-  return rgbToHex([clamp(a[0]+(b[0]-a[0])*t), clamp(a[1]+(b[1]-a[1])*t), clamp(a[2]+(b[2]-a[2])*t)]);
-}
-
-function darkenTowardsBlack(hex, step){
-  // move color toward #000000 by step fraction (0..1)
-  return lerpColor(hex, '#000000', step);
-}
-
-function autoFixContrast(target=4.5){
-  try{
-    const docStyle = document.documentElement.style;
-    const computed = getComputedStyle(document.documentElement);
-
-    // Pairs to ensure: body text vs background, assistant text vs assistant bg
-    const pairs = [
-      { fgVar: '--text', bgVar: '--brand-muted' },
-      { fgVar: '--text', bgVar: '--assistant-bg' }
-    ];
-
-    let changed = false;
-    pairs.forEach(p => {
-      let fg = (computed.getPropertyValue(p.fgVar) || '').trim() || '#222222';
-      let bg = (computed.getPropertyValue(p.bgVar) || '').trim() || '#ffffff';
-      let ratio = contrastRatio(fg, bg) || 0;
-      let attempts = 0;
-      // only try to darken fg toward black (brand-friendly)
-      while(ratio < target && attempts < 24){
-        // step increases each attempt a bit
-        const step = Math.min(1, 0.06 + attempts*0.02);
-        fg = darkenTowardsBlack(fg, step);
-        // apply tentatively to root so subsequent reads use updated value
-        docStyle.setProperty(p.fgVar, fg);
-        // recompute
-        const newComputed = getComputedStyle(document.documentElement);
-        const newFg = (newComputed.getPropertyValue(p.fgVar)||'').trim() || fg;
-        const newBg = (newComputed.getPropertyValue(p.bgVar)||'').trim() || bg;
-        ratio = contrastRatio(newFg, newBg) || 0;
-        attempts++;
-        changed = true;
-      }
-    });
-
-    if (changed) {
-      // persist adjustments so reload keeps them
-      try {
-        const adjustments = {};
-        // collect root-level changed variables we care about
-        ['--text','--assistant-bg','--assistant-border','--user-bg','--user-text'].forEach(k=>{
-          const v = document.documentElement.style.getPropertyValue(k);
-          if (v) adjustments[k] = v.trim();
-        });
-        localStorage.setItem('loreal_color_adjusts', JSON.stringify(adjustments));
-      } catch(e){}
-    }
-    return true;
-  } catch (e){ console.warn('autoFixContrast failed', e); return false; }
+// Speak the text of a finished assistant reply (not the product cards or panels)
+function readReplyAloud(bubble) {
+  if (!readAloud) return;
+  const text = bubble.querySelector('.md-content') || bubble.firstElementChild;
+  if (text) speak(text.textContent, speechLocale());
 }
 
-// Apply persisted adjustments if present
-try{
-  const adjRaw = localStorage.getItem('loreal_color_adjusts');
-  if (adjRaw){
-    const adj = JSON.parse(adjRaw);
-    Object.keys(adj).forEach(k=>document.documentElement.style.setProperty(k, adj[k]));
-  }
-}catch(e){}
-
-// Run autofix then audit
-autoFixContrast();
-runContrastAudit();
-if (themeSelect) themeSelect.addEventListener('change', ()=>{ autoFixContrast(); runContrastAudit(); });
+if (readAloudBtn && speechOutputSupported()) {
+  readAloudBtn.hidden = false;
+  setReadAloud(loadReadAloud());
+  readAloudBtn.addEventListener('click', () => {
+    setReadAloud(!readAloud);
+    saveReadAloud(readAloud);
+  });
+}
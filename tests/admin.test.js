@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+import { setupDom, jsonResponse, flush } from './dom.js';
+
+setupDom({ page: 'admin.html', workerUrl: null });
+
+// Run config.js the way admin.html does: as a classic script whose top-level
+// `const WORKER_URL` is a global binding but not a window property
+runInThisContext(readFileSync(new URL('../config.js', import.meta.url), 'utf8'));
+
+const requests = [];
+globalThis.fetch = async (url, options) => {
+  requests.push({ url, options });
+  if (url.endsWith('/admin/stats')) {
+    return jsonResponse({
+      turns: 0, refusals: 0, refusal_rate: null, errors: 0, error_rate: null, interrupted: 0, cache_hit_rate: null,
+      latency_ms: {}, tokens: {}, feedback: { helpful_rate: null }, days: []
+    });
+  }
+  return jsonResponse({ total: 0, reports: [] });
+};
+
+await import('../admin.js');
+
+test('the dashboard reads the WORKER_URL that config.js declares', async () => {
+  assert.equal(globalThis.WORKER_URL, undefined);
+  const status = document.getElementById('adminStatus');
+  assert.doesNotMatch(status.textContent, /Set WORKER_URL/);
+
+  document.getElementById('adminPassword').value = 'secret';
+  document.getElementById('adminLogin').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  const dashboard = document.getElementById('adminDashboard');
+  for (let i = 0; i < 20 && dashboard.hidden; i++) await flush();
+
+  assert.deepEqual(requests.map((r) => r.url).sort(), [
+    `${WORKER_URL}admin/flagged`,
+    `${WORKER_URL}admin/stats`
+  ]);
+  assert.equal(requests[0].options.headers.Authorization, 'Bearer secret');
+  assert.equal(dashboard.hidden, false);
+  assert.match(status.textContent, /^Updated/);
+});
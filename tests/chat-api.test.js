@@ -0,0 +1,118 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, sseResponse, jsonResponse } from './dom.js';
+
+setupDom();
+const { buildChatPayload, readChatStream, getSessionId, describeWorkerError, SESSION_KEY } = await import('../chat-api.js');
+
+beforeEach(() => localStorage.clear());
+
+test('payload sends role and content only, skipping summarized messages', () => {
+  const thread = {
+    messages: [
+      { role: 'user', content: 'one', timestamp: 1 },
+      { role: 'assistant', content: 'two', timestamp: 2, products: [] },
+      { role: 'user', content: 'three', timestamp: 3 }
+    ],
+    summary: { text: 'User asked about one.', covered: 2 }
+  };
+  const profile = { skinType: 'dry', hairType: '', concerns: [], budget: '' };
+  assert.deepEqual(buildChatPayload(thread, profile), {
+    messages: [{ role: 'user', content: 'three' }],
+    stream: true,
+    profile,
+    memory: 'User asked about one.'
+  });
+  assert.equal('memory' in buildChatPayload({ messages: [] }, null), false);
+});
+
+test('payload sends a photo as content parts on the latest question', () => {
+  const thread = {
+    messages: [
+      { role: 'user', content: 'Is this dry skin?', image: { thumbnail: 'data:image/jpeg;base64,AAAA' } },
+      { role: 'assistant', content: 'Looks like it.', products: [] },
+      { role: 'user', content: 'And this?', image: { thumbnail: 'data:image/jpeg;base64,BBBB' } }
+    ]
+  };
+  const { messages } = buildChatPayload(thread, null, { image: 'data:image/jpeg;base64,FULL' });
+  assert.equal(messages[0].content, 'Is this dry skin?\n\n(I shared a photo here.)');
+  assert.deepEqual(messages[2].content, [
+    { type: 'text', text: 'And this?' },
+    { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,FULL' } }
+  ]);
+});
+
+test('reads deltas, products and memory from a split SSE stream', async () => {
+  const events = [
+    { choices: [{ delta: { content: 'Hello' } }] },
+    { choices: [{ delta: { content: ' there' } }] },
+    { product_ids: ['a'], products: [{ id: 'a', name: 'A' }], memory: { summary: 's', covered: 2 } },
+    '[DONE]'
+  ];
+  const text = events.map((e) => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+  // Cut the stream mid-line to make sure partial lines are buffered
+  const bytes = new TextEncoder().encode(text);
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, 30));
+      controller.enqueue(bytes.slice(30));
+      controller.close();
+    }
+  });
+
+  const seen = [];
+  const result = await readChatStream(new Response(body), (t) => seen.push(t));
+  assert.deepEqual(seen, ['Hello', 'Hello there']);
+  assert.equal(result.text, 'Hello there');
+  assert.deepEqual(result.products, [{ id: 'a', name: 'A' }]);
+  assert.deepEqual(result.memory, { summary: 's', covered: 2 });
+});
+
+test('ignores malformed stream lines', async () => {
+  const res = sseResponse(['{oops', { choices: [{ delta: { content: 'ok' } }] }, '[DONE]']);
+  const result = await readChatStream(res, () => {});
+  assert.equal(result.text, 'ok');
+});
+
+test('keeps one session id per browser', () => {
+  const id = getSessionId();
+  assert.match(id, /^[A-Za-z0-9-]{8,64}$/);
+  assert.equal(getSessionId(), id);
+  assert.equal(localStorage.getItem(SESSION_KEY), id);
+});
+
+test('turns Worker errors into friendly messages', async () => {
+  const limited = jsonResponse({ code: 'rate_limited', message: 'Too many', retryable: true, retry_after: 12 }, { status: 429, headers: { 'Retry-After': '12' } });
+  let err = await describeWorkerError(limited);
+  assert.match(err.message, /try again in 12 seconds/);
+  assert.equal(err.retryable, true);
+
+  const tooBig = jsonResponse({ code: 'payload_too_large', message: 'A message is too long (max 4000 characters).', retryable: false }, { status: 413 });
+  err = await describeWorkerError(tooBig);
+  assert.equal(err.message, 'A message is too long (max 4000 characters).');
+  assert.equal(err.retryable, false);
+
+  const timeout = jsonResponse({ code: 'upstream_timeout', message: 'The assistant took too long to answer.', retryable: true }, { status: 504 });
+  err = await describeWorkerError(timeout);
+  assert.equal(err.code, 'upstream_timeout');
+  assert.equal(err.retryable, true);
+
+  const refused = jsonResponse({ code: 'origin_not_allowed', message: 'This site is not allowed to use the assistant.', retryable: false }, { status: 403 });
+  err = await describeWorkerError(refused);
+  assert.equal(err.message, 'This site is not allowed to use the assistant.');
+  assert.equal(err.code, 'origin_not_allowed');
+  assert.equal(err.retryable, false);
+
+  // No envelope (e.g. a gateway page): server errors are worth retrying
+  err = await describeWorkerError(new Response('oops', { status: 502, statusText: 'Bad Gateway' }));
+  assert.equal(err.message, 'Worker error: 502 Bad Gateway');
+  assert.equal(err.retryable, true);
+});
+
+test('rejects with the error event of an interrupted stream', async () => {
+  const res = sseResponse([
+    { choices: [{ delta: { content: 'Half' } }] },
+    { error: { code: 'upstream_interrupted', message: 'The reply was interrupted.', retryable: true } }
+  ]);
+  await assert.rejects(readChatStream(res, () => {}), (err) => err.code === 'upstream_interrupted' && err.retryable === true);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const {
+  contrastRatio,
+  hexToRgb,
+  lerpColor,
+  normalizeHex,
+  DEFAULT_COLORS,
+  auditColors,
+  suggestFixes,
+  autoFixColors,
+  readThemeColors
+} = await import('../contrast.js');
+
+test('computes WCAG contrast ratios', () => {
+  assert.equal(contrastRatio('#000000', '#ffffff').toFixed(2), '21.00');
+  assert.equal(contrastRatio('#fff', '#fff').toFixed(2), '1.00');
+  assert.equal(contrastRatio('#777777', '#ffffff').toFixed(2), '4.48');
+  assert.deepEqual(hexToRgb('#E3A535'), [227, 165, 53]);
+  assert.equal(lerpColor('#ffffff', '#000000', 0.5), '#808080');
+});
+
+test('audits every token pair for AA and AAA', () => {
+  const results = auditColors(DEFAULT_COLORS);
+  const byId = Object.fromEntries(results.map((r) => [r.id, r]));
+  assert.ok(['body', 'user', 'userTime', 'replyTime', 'goldButton', 'darkButton'].every((id) => byId[id].AA));
+  assert.equal(byId.replyTime.AAA, false);
+  // Icons only need 3:1 for AA
+  assert.equal(byId.warning.AA, true);
+  assert.equal(byId.goldIcon.AA, false);
+
+  // No rounding before comparing: 4.48:1 fails AA
+  const gray = auditColors({ ...DEFAULT_COLORS, '--text': '#777777' }).find((r) => r.id === 'body');
+  assert.equal(gray.AA, false);
+});
+
+test('suggests the closest passing shade of either color, lighter or darker', () => {
+  const colors = { ...DEFAULT_COLORS, '--text': '#bbbbbb' };
+  const pair = auditColors(colors).find((r) => r.id === 'body');
+  const [fg, bg] = suggestFixes(colors, pair);
+  assert.equal(fg.token, '--text');
+  assert.equal(fg.direction, 'darker');
+  assert.ok(fg.ratio >= 4.5 && fg.ratio < 4.7);
+  assert.equal(bg.token, '--brand-white');
+  assert.ok(contrastRatio(bg.value, '#bbbbbb') >= 4.5);
+
+  // Light text on a dark bubble gets lighter
+  const dark = { ...DEFAULT_COLORS, '--user-muted': '#333333' };
+  const [lighter] = suggestFixes(dark, auditColors(dark).find((r) => r.id === 'userTime'), 'AAA');
+  assert.equal(lighter.direction, 'lighter');
+  assert.ok(contrastRatio(lighter.value, '#000000') >= 7);
+});
+
+test('fixes all failing pairs without trading one failure for another', () => {
+  const colors = { ...DEFAULT_COLORS, '--text': '#bbbbbb', '--muted': '#cccccc' };
+  const changed = autoFixColors(colors);
+  assert.deepEqual(Object.keys(changed).sort(), ['--brand-gold', '--muted', '--text']);
+  assert.deepEqual(auditColors({ ...colors, ...changed }).filter((r) => !r.AA), []);
+
+  // Gold cannot be dark enough for icons on white and light enough behind black text at AAA
+  const aaa = autoFixColors(DEFAULT_COLORS, 'AAA');
+  assert.equal(aaa['--brand-gold'], undefined);
+  const failing = auditColors({ ...DEFAULT_COLORS, ...aaa }).filter((r) => !r.AAA).map((r) => r.id);
+  assert.deepEqual(failing, ['goldIcon']);
+});
+
+test('reads the theme colors on the page', () => {
+  assert.equal(normalizeHex('#ABC'), '#aabbcc');
+  assert.equal(normalizeHex('red'), null);
+  document.body.style.setProperty('--text', '#333');
+  const colors = readThemeColors();
+  assert.equal(colors['--text'], '#333333');
+  assert.equal(colors['--brand-gold'], DEFAULT_COLORS['--brand-gold']);
+  document.body.style.removeProperty('--text');
+});
@@ -0,0 +1,53 @@
+// Test helper: load index.html (or another page) into jsdom and expose the
+// browser globals the client modules expect (document, window, localStorage...).
+// Call setupDom() before importing a client module, because the modules look up
+// their elements when they are first imported.
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const loadPage = (page) => readFileSync(new URL(`../${page}`, import.meta.url), 'utf8')
+  // The tests import the modules themselves; don't let jsdom try to load any scripts
+  .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+
+// Pass `workerUrl: null` to leave WORKER_URL undefined (a test can then declare it itself)
+export function setupDom({ page = 'index.html', storage = {}, workerUrl = 'https://worker.test/' } = {}) {
+  const dom = new JSDOM(loadPage(page), { url: 'https://chat.test/', pretendToBeVisual: true });
+  const { window } = dom;
+
+  Object.entries(storage).forEach(([key, value]) => {
+    window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+
+  Object.assign(globalThis, {
+    window,
+    document: window.document,
+    localStorage: window.localStorage,
+    sessionStorage: window.sessionStorage,
+    getComputedStyle: window.getComputedStyle.bind(window),
+    FormData: window.FormData,
+    // Dialogs answer "yes" unless a test replaces them
+    confirm: () => true,
+    prompt: () => null,
+    alert: () => {},
+    ...(workerUrl === null ? {} : { WORKER_URL: workerUrl })
+  });
+  // Newer Node versions have a read-only navigator of their own
+  Object.defineProperty(globalThis, 'navigator', { value: window.navigator, configurable: true, writable: true });
+  return dom;
+}
+
+// A fetch Response that streams OpenAI-style server-sent events
+export function sseResponse(events, init = {}) {
+  const body = events.map((e) => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+  return new Response(body, { ...init, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+export function jsonResponse(data, init = {}) {
+  return new Response(JSON.stringify(data), { ...init, headers: { 'Content-Type': 'application/json', ...(init.headers || {}) } });
+}
+
+// Wait for pending promises (fetch stubs, stream reads) to settle
+export function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
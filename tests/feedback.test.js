@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const { renderFeedbackControls, reportTranscript, MAX_REPORT_MESSAGES } = await import('../feedback.js');
+const { renderStats, renderFlagged } = await import('../admin.js');
+
+function bubbleInRow() {
+  const row = document.createElement('div');
+  const bubble = document.createElement('div');
+  row.appendChild(bubble);
+  document.body.appendChild(row);
+  return bubble;
+}
+
+test('only replies with a turn ID get feedback controls', () => {
+  const bubble = bubbleInRow();
+  assert.equal(renderFeedbackControls(bubble, { role: 'assistant', content: 'Hi' }, { onRate() {}, onReport() {} }), null);
+  assert.equal(bubble.parentElement.querySelector('.feedback-bar'), null);
+});
+
+test('shows the saved rating and report, and redraws in place', () => {
+  const bubble = bubbleInRow();
+  const rated = [];
+  const message = { role: 'assistant', content: 'Hi', turnId: 'turn-1', feedback: 'down' };
+  renderFeedbackControls(bubble, message, { onRate: (r) => rated.push(r), onReport() {} });
+  const bar = bubble.parentElement.querySelector('.feedback-bar');
+  assert.equal(bar.querySelector('.feedback-up').getAttribute('aria-pressed'), 'false');
+  assert.equal(bar.querySelector('.feedback-down').getAttribute('aria-pressed'), 'true');
+  bar.querySelector('.feedback-up').click();
+  assert.deepEqual(rated, ['up']);
+
+  message.reported = true;
+  renderFeedbackControls(bubble, message, { onRate() {}, onReport() {} });
+  assert.equal(bubble.parentElement.querySelectorAll('.feedback-bar').length, 1);
+  const report = bubble.parentElement.querySelector('.feedback-report');
+  assert.equal(report.disabled, true);
+  assert.equal(report.title, 'Reported');
+});
+
+test('a report shares the latest turns up to the reported reply', () => {
+  const conversation = Array.from({ length: 30 }, (_, i) => ({
+    role: i % 2 ? 'assistant' : 'user',
+    content: `m${i}`,
+    timestamp: i,
+    image: { thumb: 'data:' }
+  }));
+  const transcript = reportTranscript(conversation, conversation[25]);
+  assert.equal(transcript.length, MAX_REPORT_MESSAGES);
+  assert.deepEqual(transcript.at(-1), { role: 'assistant', content: 'm25' });
+  assert.deepEqual(reportTranscript(conversation, conversation[1]), [
+    { role: 'user', content: 'm0' },
+    { role: 'assistant', content: 'm1' }
+  ]);
+});
+
+test('the admin dashboard renders stats and reported conversations as text', () => {
+  const stats = document.createElement('div');
+  renderStats(stats, {
+    turns: 10,
+    refusals: 2,
+    refusal_rate: 0.2,
+    errors: 1,
+    error_rate: 0.1,
+    interrupted: 2,
+    latency_ms: { average: 900, median: 800, p95: 2000 },
+    tokens: { prompt: 900, completion: 300, total: 1200, average_per_turn: 150 },
+    feedback: { up: 3, down: 1, reports: 1, helpful_rate: 0.75 },
+    days: [{ date: '2026-10-18', turns: 4, refusals: 0, errors: 0, up: 1, down: 0, reports: 0 }, { date: '2026-10-19', turns: 6, refusals: 2, errors: 1, up: 2, down: 1, reports: 1 }]
+  });
+  const tiles = Object.fromEntries([...stats.querySelectorAll('.admin-tile')].map((tile) => [
+    tile.querySelector('.admin-tile-label').textContent,
+    tile.querySelector('.admin-tile-value').textContent
+  ]));
+  assert.equal(tiles['Answered turns'], '7');
+  assert.equal(tiles['Refusal rate'], '20%');
+  assert.equal(tiles['Failure rate'], '10%');
+  assert.equal(tiles['Helpful rate'], '75%');
+  assert.equal(tiles['Median latency'], '800 ms');
+  assert.deepEqual([...stats.querySelectorAll('tbody tr')].map((r) => r.cells[0].textContent), ['2026-10-19', '2026-10-18']);
+
+  const flagged = document.createElement('div');
+  renderFlagged(flagged, {
+    total: 3,
+    reports: [{
+      at: Date.UTC(2026, 9, 19),
+      turn_id: 'turn-1',
+      comment: '',
+      messages: [{ role: 'user', content: '<img src=x onerror=alert(1)>' }, { role: 'assistant', content: 'Answer' }],
+      turn: { mode: 'routine', latency_ms: 1200, total_tokens: 300 },
+      rating: { rating: 'down' }
+    }]
+  });
+  assert.match(flagged.querySelector('.admin-note').textContent, /newest 1 of 3/);
+  assert.equal(flagged.querySelector('.flagged-comment').textContent, 'No comment');
+  assert.match(flagged.querySelector('.flagged-meta').textContent, /routine · 1200 ms · 300 tokens · rated not helpful/);
+  assert.equal(flagged.querySelector('img'), null);
+  assert.equal(flagged.querySelector('.flagged-message.user p').textContent, '<img src=x onerror=alert(1)>');
+
+  renderFlagged(flagged, { reports: [], total: 0 });
+  assert.equal(flagged.textContent, 'No reported conversations.');
+});
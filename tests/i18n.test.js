@@ -0,0 +1,90 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const {
+  LANGUAGES,
+  LANGUAGE_KEY,
+  detectLanguage,
+  loadLanguage,
+  setLanguage,
+  getLanguage,
+  speechLocale,
+  translatePage,
+  t,
+  tn
+} = await import('../i18n.js');
+const catalogs = await Promise.all(Object.keys(LANGUAGES).map(async (code) => [code, (await import(`../locales/${code}.js`)).default]));
+
+afterEach(() => {
+  setLanguage('en');
+  localStorage.clear();
+});
+
+test('detects the first supported browser language', () => {
+  assert.equal(detectLanguage(['fr-CA', 'en-US']), 'fr');
+  assert.equal(detectLanguage(['pt-BR', 'DE']), 'de');
+  assert.equal(detectLanguage(['pt-BR', 'constructor']), 'en');
+  assert.equal(detectLanguage([]), 'en');
+});
+
+test('a saved choice wins over the browser language', () => {
+  assert.equal(loadLanguage(), 'en');
+  localStorage.setItem(LANGUAGE_KEY, 'es');
+  assert.equal(loadLanguage(), 'es');
+  localStorage.setItem(LANGUAGE_KEY, 'xx');
+  assert.equal(loadLanguage(), 'en');
+});
+
+test('switches language, saving the choice only when asked', () => {
+  assert.equal(setLanguage('fr'), 'fr');
+  assert.equal(document.documentElement.lang, 'fr');
+  assert.equal(localStorage.getItem(LANGUAGE_KEY), null);
+  setLanguage('de', { save: true });
+  assert.equal(localStorage.getItem(LANGUAGE_KEY), 'de');
+  assert.equal(setLanguage('__proto__'), 'en');
+  assert.equal(getLanguage(), 'en');
+});
+
+test('fills placeholders and falls back to English, then the key', () => {
+  setLanguage('fr');
+  assert.equal(t('chat.error', { message: 'oups' }), 'Erreur : oups');
+  assert.equal(t('error.rateLimitedIn'), 'Vous envoyez des messages trop rapidement. Réessayez dans {seconds} secondes.');
+  assert.equal(t('no.such.key'), 'no.such.key');
+});
+
+test('picks plural forms for the current language', () => {
+  assert.equal(tn('import.done', 1), 'Imported 1 conversation.');
+  assert.equal(tn('import.done', 3), 'Imported 3 conversations.');
+  setLanguage('fr');
+  assert.equal(tn('import.done', 0), '0 conversation importée.');
+});
+
+test('every catalog uses the keys and placeholders of the English one', () => {
+  const [, en] = catalogs.find(([code]) => code === 'en');
+  const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+  catalogs.forEach(([code, catalog]) => {
+    Object.entries(catalog).forEach(([key, text]) => {
+      assert.ok(key in en, `${code}: unknown key ${key}`);
+      assert.deepEqual(placeholders(text), placeholders(en[key]), `${code}: ${key}`);
+    });
+  });
+});
+
+test('translates text and attributes of the static page', () => {
+  setLanguage('es');
+  translatePage();
+  assert.equal(document.querySelector('#clearBtn').textContent, 'Borrar');
+  assert.equal(document.getElementById('userInput').placeholder, 'Pregúntame por productos o rutinas…');
+  assert.equal(document.getElementById('ingredientBtn').title, 'Comprobar si se pueden combinar productos');
+  setLanguage('en');
+  translatePage();
+  assert.equal(document.querySelector('#clearBtn').textContent, 'Clear');
+});
+
+test('speech uses the browser region only when it matches the language', () => {
+  assert.equal(speechLocale(), navigator.language);
+  setLanguage('de');
+  assert.equal(speechLocale(), 'de-DE');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const {
+  normalizeIngredientReport,
+  ingredientReportToMarkdown,
+  renderIngredientReport,
+  addIngredientField,
+  ingredientFieldValues
+} = await import('../ingredients.js');
+
+// Shaped like a report from worker/ingredients.js
+function sampleReport() {
+  return {
+    items: [
+      { label: 'Effaclar Duo Acne Spot Treatment', product: { id: 'lrp-effaclar-duo', name: 'Effaclar Duo Acne Spot Treatment', brand: 'La Roche-Posay' }, ingredients: [{ id: 'benzoyl-peroxide', name: 'Benzoyl peroxide' }], unknown: [] },
+      { label: 'ingredient list 2', product: null, ingredients: [{ id: 'retinol', name: 'Retinol' }, { id: 'linalool', name: 'Linalool' }], unknown: ['Mystery extract'] }
+    ],
+    conflicts: [{ severity: 'avoid', items: [0, 1], ingredients: ['Benzoyl peroxide', 'Retinol'], message: 'Benzoyl peroxide can break down retinol.', advice: 'Use them at different times of day.' }],
+    allergens: [{ item: 1, ingredient: 'Linalool', message: 'Fragrance allergen.' }],
+    pregnancy: [{ item: 1, ingredient: 'Retinol', message: 'Not recommended during pregnancy.' }],
+    summary: '- **Avoid:** Benzoyl peroxide + Retinol.',
+    disclaimer: 'Not medical advice.'
+  };
+}
+
+function bubbleInRow() {
+  const row = document.createElement('div');
+  row.className = 'message-row assistant';
+  const bubble = document.createElement('div');
+  row.appendChild(bubble);
+  document.body.appendChild(row);
+  return bubble;
+}
+
+test('normalizes reports and drops malformed findings', () => {
+  const raw = sampleReport();
+  raw.conflicts.push({ severity: 'deadly', items: [0, 1], ingredients: ['a', 'b'] }, { severity: 'info', items: [0, 9], ingredients: ['a', 'b'] });
+  raw.allergens.push({ item: 5, ingredient: 'Ghost', message: '' });
+  const report = normalizeIngredientReport(raw);
+  assert.equal(report.conflicts.length, 1);
+  assert.equal(report.allergens.length, 1);
+  assert.equal(report.items[0].product.id, 'lrp-effaclar-duo');
+
+  assert.equal(normalizeIngredientReport({ items: [] }), null);
+  assert.equal(normalizeIngredientReport(null), null);
+});
+
+test('renders a warning panel with conflicts, allergens and pregnancy cautions', () => {
+  const panel = renderIngredientReport(bubbleInRow(), normalizeIngredientReport(sampleReport()));
+  assert.ok(panel.classList.contains('has-avoid'));
+  const conflict = panel.querySelector('.ingredient-conflict');
+  assert.ok(conflict.classList.contains('severity-avoid'));
+  assert.match(conflict.textContent, /Avoid.*Benzoyl peroxide \+ Retinol/);
+  assert.match(conflict.querySelector('.ingredient-sources').textContent, /Effaclar Duo Acne Spot Treatment with ingredient list 2/);
+  assert.match(panel.querySelector('.ingredient-allergens').textContent, /Linalool/);
+  assert.match(panel.querySelector('.ingredient-pregnancy').textContent, /Not recommended during pregnancy/);
+  assert.match(panel.querySelector('.ingredient-unknown').textContent, /Mystery extract/);
+  assert.equal(panel.querySelector('.ingredient-disclaimer').textContent, 'Not medical advice.');
+});
+
+test('describes a report as Markdown', () => {
+  const md = ingredientReportToMarkdown(normalizeIngredientReport(sampleReport()));
+  assert.match(md, /#### Ingredient check/);
+  assert.match(md, /\*\*Avoid:\*\* Benzoyl peroxide \+ Retinol/);
+  assert.match(md, /_Not medical advice\._/);
+});
+
+test('adds up to six product fields and reads their values', () => {
+  const container = document.createElement('div');
+  for (let i = 0; i < 8; i++) addIngredientField(container, i === 1 ? '  retinol ' : '');
+  assert.equal(container.querySelectorAll('textarea').length, 6);
+  assert.equal(container.querySelector('label').htmlFor, 'ingredientItem1');
+  assert.deepEqual(ingredientFieldValues(container), ['retinol']);
+});
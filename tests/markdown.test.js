@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const { renderMarkdown, setMarkdownContent, safeLinkUrl } = await import('../markdown.js');
+
+function render(text) {
+  const div = document.createElement('div');
+  div.appendChild(renderMarkdown(text));
+  return div;
+}
+
+test('renders lists, emphasis and headings', () => {
+  const div = render('# Routine\n\n- **Cleanser** first\n- *Serum* next\n\n1. One\n2. Two');
+  assert.equal(div.querySelector('h4').textContent, 'Routine');
+  assert.equal(div.querySelectorAll('ul > li').length, 2);
+  assert.equal(div.querySelector('strong').textContent, 'Cleanser');
+  assert.equal(div.querySelector('em').textContent, 'Serum');
+  assert.equal(div.querySelectorAll('ol > li').length, 2);
+});
+
+test('shows HTML in a reply as text instead of markup', () => {
+  const div = render('<img src=x onerror="alert(1)"> <script>alert(2)</script>');
+  assert.equal(div.querySelector('img'), null);
+  assert.equal(div.querySelector('script'), null);
+  assert.match(div.textContent, /<script>alert\(2\)<\/script>/);
+});
+
+test('only links http(s) and mailto URLs', () => {
+  assert.equal(safeLinkUrl('javascript:alert(1)'), null);
+  assert.equal(safeLinkUrl('data:text/html,hi'), null);
+  assert.equal(safeLinkUrl('https://www.lancome-usa.com/'), 'https://www.lancome-usa.com/');
+
+  const div = render('[ok](https://www.loreal.com/) and [bad](javascript:alert(1))');
+  const links = div.querySelectorAll('a');
+  assert.equal(links.length, 1);
+  assert.equal(links[0].getAttribute('href'), 'https://www.loreal.com/');
+  assert.equal(links[0].getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('keeps parentheses inside link URLs', () => {
+  const div = render('[wiki](https://en.wikipedia.org/wiki/Serum_(cosmetics))');
+  assert.equal(div.querySelector('a').getAttribute('href'), 'https://en.wikipedia.org/wiki/Serum_(cosmetics)');
+  assert.ok(!div.textContent.includes(')'));
+});
+
+test('setMarkdownContent replaces the element contents', () => {
+  const el = document.createElement('div');
+  el.textContent = 'old';
+  setMarkdownContent(el, 'new **text**');
+  assert.ok(el.classList.contains('md-content'));
+  assert.equal(el.textContent, 'new text');
+});
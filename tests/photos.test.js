@@ -0,0 +1,78 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const { fitWithin, prepareImage, normalizePhoto, renderPhotoPreview } = await import('../photos.js');
+
+// jsdom has no image decoding or canvas drawing: record what would be drawn instead
+let drawn = [];
+let bitmap = null;
+globalThis.createImageBitmap = async () => {
+  if (!bitmap) throw new Error('decode failed');
+  return { ...bitmap, close() {} };
+};
+Object.assign(window.HTMLCanvasElement.prototype, {
+  getContext() {
+    return { fillRect() {}, drawImage: (img, x, y, w, h) => drawn.push([w, h]) };
+  },
+  toDataURL(type, quality) {
+    return `data:${type};base64,${Buffer.from(`${this.width}x${this.height}@${quality}`).toString('base64')}`;
+  }
+});
+
+const file = (type, size = 1000) => new window.File([new Uint8Array(size)], 'me.jpg', { type });
+
+beforeEach(() => {
+  drawn = [];
+  bitmap = { width: 4032, height: 3024 };
+});
+
+test('scales down to fit without enlarging', () => {
+  assert.deepEqual(fitWithin(4032, 3024, 1024), { width: 1024, height: 768 });
+  assert.deepEqual(fitWithin(3024, 4032, 160), { width: 120, height: 160 });
+  assert.deepEqual(fitWithin(300, 200, 1024), { width: 300, height: 200 });
+});
+
+test('re-encodes the photo as a resized JPEG with a thumbnail', async () => {
+  const photo = await prepareImage(file('image/png'));
+  assert.deepEqual(drawn, [[1024, 768], [160, 120]]);
+  assert.match(photo.dataUrl, /^data:image\/jpeg;base64,/);
+  assert.equal(Buffer.from(photo.dataUrl.split(',')[1], 'base64').toString(), '1024x768@0.85');
+  assert.match(photo.thumbnail, /^data:image\/jpeg;base64,/);
+  assert.equal(photo.width, 160);
+  assert.equal(photo.height, 120);
+});
+
+test('rejects unsupported, oversized and unreadable files', async () => {
+  await assert.rejects(prepareImage(file('image/gif')), { name: 'PhotoError', message: /JPEG, PNG or WebP/ });
+  await assert.rejects(prepareImage(file('image/heic')), { name: 'PhotoError' });
+  await assert.rejects(prepareImage(file('image/jpeg', 16 * 1024 * 1024)), { name: 'PhotoError', message: /too large/ });
+  bitmap = null;
+  await assert.rejects(prepareImage(file('image/jpeg')), { name: 'PhotoError', message: /could not be opened/ });
+  assert.equal(drawn.length, 0);
+});
+
+test('keeps only small image data URLs as saved photos', () => {
+  const thumbnail = 'data:image/jpeg;base64,/9j/4AAQ';
+  assert.deepEqual(normalizePhoto({ thumbnail, width: 160, height: 120, dataUrl: 'x' }), { thumbnail, width: 160, height: 120 });
+  assert.deepEqual(normalizePhoto({ thumbnail, width: 5000, height: 'x' }), { thumbnail, width: 0, height: 0 });
+  assert.equal(normalizePhoto({ thumbnail: 'https://example.com/me.jpg' }), null);
+  assert.equal(normalizePhoto({ thumbnail: 'data:image/svg+xml;base64,PHN2Zz4=' }), null);
+  assert.equal(normalizePhoto({ thumbnail: `data:image/jpeg;base64,${'A'.repeat(70000)}` }), null);
+  assert.equal(normalizePhoto('data:image/jpeg;base64,/9j/'), null);
+});
+
+test('preview shows the photo with a Remove button', () => {
+  const container = document.getElementById('photoPreview');
+  let removed = 0;
+  renderPhotoPreview(container, { thumbnail: 'data:image/jpeg;base64,/9j/' }, () => { removed++; });
+  assert.equal(container.hidden, false);
+  assert.equal(container.querySelector('img').getAttribute('src'), 'data:image/jpeg;base64,/9j/');
+  container.querySelector('button[aria-label="Remove photo"]').click();
+  assert.equal(removed, 1);
+
+  renderPhotoPreview(container, null);
+  assert.equal(container.hidden, true);
+  assert.equal(container.children.length, 0);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+// A saved conversation with product cards and a refusal, plus a second thread
+const thread = {
+  id: 't-restore',
+  title: 'Serum question',
+  createdAt: 1,
+  updatedAt: 3,
+  messages: [
+    { role: 'user', content: 'Best serum?', timestamp: 1 },
+    {
+      role: 'assistant',
+      content: 'Try **Revitalift**.',
+      timestamp: 2,
+      products: [{ id: 'lp-revitalift-ha-serum', name: 'Revitalift Serum', brand: "L'Oréal Paris", category: 'skincare', reason: 'Hydrates', image: '', url: 'https://www.lorealparisusa.com/' }]
+    },
+    { role: 'user', content: 'What is the stock price?', timestamp: 3 },
+    { role: 'assistant', content: 'I can only help with beauty questions.', timestamp: 3, refusal: true }
+  ],
+  summary: { text: 'User wants a serum.', covered: 2, updatedAt: 3 }
+};
+const other = { id: 't-other', title: 'Shampoo', createdAt: 0, updatedAt: 0, messages: [] };
+
+setupDom({
+  storage: {
+    loreal_chat_threads_v2: { activeId: 't-restore', threads: [thread, other] },
+    loreal_theme: 'deep'
+  }
+});
+await import('../script.js');
+
+test('restores the active conversation with cards and refusal styling', () => {
+  const bubbles = document.querySelectorAll('#chatWindow .bubble');
+  assert.equal(bubbles.length, 4);
+  assert.equal(bubbles[1].querySelector('strong').textContent, 'Revitalift');
+  assert.equal(document.querySelectorAll('#chatWindow .product-card').length, 1);
+  assert.equal(document.querySelector('.product-card-title').textContent, 'Revitalift Serum');
+  assert.ok(bubbles[3].classList.contains('refusal'));
+  assert.match(document.querySelector('.latest-question').textContent, /stock price/);
+});
+
+test('lists saved threads and the conversation summary', () => {
+  const items = document.querySelectorAll('#threadList .thread-item');
+  assert.equal(items.length, 2);
+  assert.ok(items[0].classList.contains('active'));
+  assert.match(document.querySelector('#memoryPanel .memory-text').textContent, /wants a serum/);
+});
+
+test('restores the saved theme and renders the profile panel', () => {
+  assert.equal(document.body.getAttribute('data-theme'), 'deep');
+  assert.ok(document.querySelector('#profilePanel #profileForm'));
+});
+
+test('switching threads shows the greeting for an empty conversation', () => {
+  document.querySelectorAll('#threadList .thread-open')[1].click();
+  const bubbles = document.querySelectorAll('#chatWindow .bubble');
+  assert.equal(bubbles.length, 1);
+  assert.match(bubbles[0].textContent, /ask me about L'Oréal/);
+  assert.equal(JSON.parse(localStorage.getItem('loreal_chat_threads_v2')).activeId, 't-other');
+});
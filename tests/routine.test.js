@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const { normalizeRoutine, routineToMarkdown, routineToText, renderRoutine } = await import('../routine.js');
+const { setLanguage } = await import('../i18n.js');
+
+function sampleRoutine() {
+  return normalizeRoutine({
+    title: 'Oily skin routine',
+    summary: 'Keep shine down without drying out.',
+    am: [
+      { order: 1, step: 'Cleanse', product: { id: 'lrp-effaclar-gel', name: 'Effaclar Gel', brand: 'La Roche-Posay', url: 'https://www.laroche-posay.us/' }, instructions: 'Massage and rinse.', frequency: 'daily' },
+      { order: 2, step: 'Sunscreen', product: null, instructions: 'SPF 30 or higher.', frequency: 'daily' }
+    ],
+    pm: [{ order: 1, step: 'Exfoliate', product: null, instructions: '', frequency: '2-3 times a week' }],
+    cautions: ['Do not combine acids with retinol.']
+  });
+}
+
+// A bubble inside a message row, like appendAssistantBubble() creates
+function bubbleInRow() {
+  const row = document.createElement('div');
+  row.className = 'message-row assistant';
+  const bubble = document.createElement('div');
+  row.appendChild(bubble);
+  document.body.appendChild(row);
+  return bubble;
+}
+
+test('normalizes routines and drops unsafe or malformed parts', () => {
+  const routine = normalizeRoutine({
+    am: [
+      { step: 'Cleanse', product: { id: 'x', name: 'Gel', url: 'javascript:alert(1)' }, frequency: 'hourly' },
+      { step: '   ' },
+      'junk'
+    ],
+    pm: 'nope',
+    cautions: ['', 'Patch test.']
+  });
+  assert.equal(routine.title, 'Your routine');
+  assert.equal(routine.am.length, 1);
+  assert.equal(routine.am[0].product.url, '');
+  assert.equal(routine.am[0].frequency, 'daily');
+  assert.equal(routine.am[0].done, false);
+  assert.deepEqual(routine.pm, []);
+  assert.deepEqual(routine.cautions, ['Patch test.']);
+
+  assert.equal(normalizeRoutine({ am: [], pm: [] }), null);
+  assert.equal(normalizeRoutine('plan'), null);
+});
+
+test('describes a routine as Markdown and as a short text for the Worker', () => {
+  const routine = sampleRoutine();
+  routine.am[0].done = true;
+  const md = routineToMarkdown(routine);
+  assert.match(md, /### Oily skin routine/);
+  assert.match(md, /1\. \[x\] \*\*Cleanse\*\* — \[Effaclar Gel\]\(https:\/\/www\.laroche-posay\.us\/\) \(daily\): Massage and rinse\./);
+  assert.match(md, /- Do not combine acids with retinol\./);
+
+  assert.equal(routineToText(routine),
+    'Saved routine "Oily skin routine". AM: 1. Cleanse (Effaclar Gel), daily; 2. Sunscreen, daily. PM: 1. Exfoliate, 2-3 times a week.');
+});
+
+test('translates checklist labels but keeps model context in English', () => {
+  setLanguage('fr');
+  try {
+    const routine = sampleRoutine();
+    assert.match(routineToMarkdown(routine), /\*\*Matin \(AM\)\*\*[\s\S]+\(tous les jours\)/);
+    assert.match(routineToText(routine), /AM: 1\. Cleanse \(Effaclar Gel\), daily;/);
+
+    const plan = renderRoutine(bubbleInRow(), routine);
+    assert.equal(plan.querySelector('.routine-frequency').textContent, 'tous les jours');
+  } finally {
+    setLanguage('en');
+  }
+});
+
+test('renders an AM/PM checklist and saves ticked steps', () => {
+  const routine = sampleRoutine();
+  const changes = [];
+  const plan = renderRoutine(bubbleInRow(), routine, (r) => changes.push(r));
+
+  assert.equal(plan.querySelector('.routine-title').textContent, 'Oily skin routine');
+  assert.equal(plan.querySelectorAll('.routine-am .routine-step').length, 2);
+  assert.equal(plan.querySelector('.routine-product').href, 'https://www.laroche-posay.us/');
+  assert.match(plan.querySelector('.routine-cautions').textContent, /retinol/);
+
+  const check = plan.querySelector('.routine-pm .routine-check');
+  check.checked = true;
+  check.dispatchEvent(new window.Event('change'));
+  assert.equal(routine.pm[0].done, true);
+  assert.equal(changes.length, 1);
+  assert.ok(plan.querySelector('.routine-pm .routine-step').classList.contains('done'));
+});
+
+test('edits, removes and adds steps', () => {
+  const routine = sampleRoutine();
+  let saves = 0;
+  const plan = renderRoutine(bubbleInRow(), routine, () => { saves++; });
+
+  // Edit the second AM step
+  plan.querySelectorAll('.routine-am .routine-icon-btn[aria-label^="Edit"]')[1].click();
+  const form = plan.querySelector('.routine-step-editor');
+  form.elements.step.value = 'Mineral sunscreen';
+  form.elements.frequency.value = 'as needed';
+  form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+  assert.equal(routine.am[1].step, 'Mineral sunscreen');
+  assert.equal(routine.am[1].frequency, 'as needed');
+  assert.equal(saves, 1);
+
+  // Remove the first AM step; the rest is renumbered
+  plan.querySelector('.routine-am .routine-icon-btn[aria-label^="Remove"]').click();
+  assert.deepEqual(routine.am.map((s) => [s.order, s.step]), [[1, 'Mineral sunscreen']]);
+  assert.equal(saves, 2);
+
+  // Adding a step opens the editor; cancelling drops the empty step again
+  plan.querySelector('.routine-pm .routine-add-btn').click();
+  assert.equal(routine.pm.length, 2);
+  plan.querySelector('.routine-cancel-btn').click();
+  assert.equal(routine.pm.length, 1);
+
+  plan.querySelector('.routine-pm .routine-add-btn').click();
+  const add = plan.querySelector('.routine-step-editor');
+  add.elements.step.value = 'Night cream';
+  add.dispatchEvent(new window.Event('submit', { cancelable: true }));
+  assert.deepEqual(routine.pm.map((s) => [s.order, s.step]), [[1, 'Exfoliate'], [2, 'Night cream']]);
+  assert.equal(saves, 3);
+});
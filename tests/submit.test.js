@@ -0,0 +1,422 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, sseResponse, jsonResponse, flush } from './dom.js';
+
+setupDom({ storage: { loreal_profile: { skinType: 'oily', hairType: '', concerns: ['acne'], budget: '$' } } });
+
+// Every request the client makes goes through this stub
+let requests = [];
+let nextResponse = null;
+globalThis.fetch = async (url, options) => {
+  requests.push({ url, options, body: JSON.parse(options.body) });
+  return typeof nextResponse === 'function' ? nextResponse(options) : nextResponse;
+};
+
+// Speech APIs (jsdom has none): recognition instances and spoken texts are recorded
+let recognition = null;
+window.SpeechRecognition = class {
+  constructor() { recognition = this; }
+  start() {}
+  stop() { this.onend(); }
+};
+const spoken = [];
+window.speechSynthesis = { cancel() {}, speak: (u) => spoken.push(u.text) };
+window.SpeechSynthesisUtterance = class { constructor(text) { this.text = text; } };
+
+await import('../script.js');
+
+const input = document.getElementById('userInput');
+const form = document.getElementById('chatForm');
+const sendBtn = document.getElementById('sendBtn');
+
+// Type a question, submit and wait until the reply has been handled
+async function ask(text) {
+  input.value = text;
+  form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+  for (let i = 0; i < 50 && sendBtn.disabled; i++) await flush();
+}
+
+function savedMessages() {
+  const store = JSON.parse(localStorage.getItem('loreal_chat_threads_v2'));
+  return store.threads.find((t) => t.id === store.activeId).messages;
+}
+
+const lastBubble = () => [...document.querySelectorAll('#chatWindow .bubble.assistant')].pop();
+
+beforeEach(() => { requests = []; });
+
+test('streams a reply, renders product cards and saves the turn', async () => {
+  nextResponse = sseResponse([
+    { choices: [{ delta: { content: 'Try the ' } }] },
+    { choices: [{ delta: { content: '**Effaclar** gel.' } }] },
+    { product_ids: ['lrp-effaclar-gel'], products: [{ id: 'lrp-effaclar-gel', name: 'Effaclar Gel', brand: 'La Roche-Posay', category: 'skincare', reason: 'For oily skin', image: '', url: 'https://www.laroche-posay.us/' }] },
+    '[DONE]'
+  ]);
+  await ask('Cleanser for oily skin?');
+
+  assert.equal(requests.length, 1);
+  const [{ url, options, body }] = requests;
+  assert.equal(url, 'https://worker.test/');
+  assert.match(options.headers['X-Session-Id'], /^[A-Za-z0-9-]{8,64}$/);
+  assert.deepEqual(body.messages, [{ role: 'user', content: 'Cleanser for oily skin?' }]);
+  assert.equal(body.stream, true);
+  assert.deepEqual(body.profile, { skinType: 'oily', hairType: '', concerns: ['acne'], budget: '$' });
+
+  assert.equal(lastBubble().querySelector('strong').textContent, 'Effaclar');
+  assert.equal(document.querySelectorAll('.product-card').length, 1);
+  assert.equal(input.value, '');
+
+  const saved = savedMessages();
+  assert.deepEqual(saved.map((m) => m.role), ['user', 'assistant']);
+  assert.equal(saved[1].content, 'Try the **Effaclar** gel.');
+  assert.equal(saved[1].products[0].id, 'lrp-effaclar-gel');
+});
+
+test('renders a guardrail refusal and keeps sending the history', async () => {
+  nextResponse = jsonResponse({ refusal: { code: 'off_topic', message: 'I can only help with beauty questions.' }, prompt_version: 'v' });
+  await ask('Who wins the election?');
+
+  assert.equal(requests[0].body.messages.length, 3);
+  assert.ok(lastBubble().classList.contains('refusal'));
+  assert.equal(savedMessages().at(-1).refusal, true);
+});
+
+test('saves the summary from the Worker and sends it instead of old turns', async () => {
+  nextResponse = jsonResponse({
+    choices: [{ message: { role: 'assistant', content: 'Use sunscreen daily.' } }],
+    products: [],
+    memory: { summary: 'User has oily skin.', covered: 4 }
+  });
+  await ask('And for daytime?');
+  assert.equal(requests[0].body.messages.length, 5);
+  assert.match(document.querySelector('#memoryPanel .memory-text').textContent, /oily skin/);
+
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Yes.' } }] });
+  await ask('Every day?');
+  const { body } = requests[1];
+  assert.equal(body.memory, 'User has oily skin.');
+  assert.deepEqual(body.messages.map((m) => m.content), ['And for daytime?', 'Use sunscreen daily.', 'Every day?']);
+});
+
+test('shows Worker errors in the reply bubble', async () => {
+  nextResponse = jsonResponse({ code: 'rate_limited', message: 'Too many requests', retryable: true, retry_after: 30 }, { status: 429, headers: { 'Retry-After': '30' } });
+  await ask('Mascara?');
+  assert.match(lastBubble().textContent, /try again in 30 seconds/);
+  assert.equal(sendBtn.disabled, false);
+});
+
+test('offers Retry on a transient failure and keeps the question', async () => {
+  nextResponse = jsonResponse({ code: 'upstream_timeout', message: 'The assistant took too long to answer.', retryable: true }, { status: 504 });
+  await ask('Best primer?');
+
+  const failed = lastBubble();
+  assert.ok(failed.classList.contains('error'));
+  assert.match(failed.textContent, /took too long/);
+  assert.equal(savedMessages().at(-1).content, 'Best primer?');
+
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Try a silicone-free primer.' } }] });
+  failed.querySelector('.retry-btn').click();
+  for (let i = 0; i < 50 && (sendBtn.disabled || requests.length < 2); i++) await flush();
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests[1].body.messages, requests[0].body.messages);
+  assert.equal(requests[0].options.headers['Cache-Control'], undefined);
+  assert.equal(requests[1].options.headers['Cache-Control'], 'no-cache', 'Retry skips the response cache');
+  assert.ok(!failed.isConnected, 'the failed bubble is replaced');
+  assert.match(lastBubble().textContent, /silicone-free/);
+  assert.deepEqual(savedMessages().slice(-2).map((m) => m.role), ['user', 'assistant']);
+});
+
+test('clears the input as soon as a question is sent', async () => {
+  let release;
+  nextResponse = () => new Promise((resolve) => { release = resolve; });
+  input.value = 'Best primer?';
+  form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await flush();
+  assert.equal(input.value, '');
+
+  // What the user types while the reply streams is kept
+  input.value = 'And for dry skin?';
+  release(sseResponse([{ choices: [{ delta: { content: 'Try a silicone primer.' } }] }, '[DONE]']));
+  for (let i = 0; i < 50 && sendBtn.disabled; i++) await flush();
+  assert.match(lastBubble().textContent, /silicone primer/);
+  assert.equal(input.value, 'And for dry skin?');
+});
+
+test('offers Retry when the Worker cannot be reached, but not for permanent errors', async () => {
+  nextResponse = () => { throw new TypeError('Failed to fetch'); };
+  await ask('Lipstick?');
+  assert.match(lastBubble().textContent, /Could not reach the assistant/);
+  assert.ok(lastBubble().querySelector('.retry-btn'));
+  assert.equal(input.value, '', 'the failed question stays in the conversation for Retry');
+
+  nextResponse = jsonResponse({ code: 'origin_not_allowed', message: 'This site is not allowed to use the assistant.', retryable: false }, { status: 403 });
+  await ask('Mascara?');
+  const sent = requests.at(-1).body.messages.map((m) => m.content);
+  assert.equal(sent.filter((c) => c === 'Lipstick?').length, 1, 'the failed question is not sent twice');
+  assert.equal(sent.at(-1), 'Mascara?');
+  assert.match(lastBubble().textContent, /This site is not allowed to use the assistant\./);
+  assert.equal(lastBubble().querySelector('.retry-btn'), null);
+  assert.notEqual(savedMessages().at(-1).content, 'Mascara?', 'a refused question is dropped from the conversation');
+
+  nextResponse = jsonResponse({ code: 'payload_too_large', message: 'A message is too long.', retryable: false }, { status: 413 });
+  await ask('x');
+  assert.equal(lastBubble().querySelector('.retry-btn'), null);
+  assert.equal(document.querySelectorAll('#chatWindow .retry-btn').length, 0, 'older Retry buttons are removed');
+
+  // The dropped questions are not sent with the next one
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Try a matte lipstick.' } }] });
+  await ask('Matte lipstick?');
+  assert.deepEqual(requests.at(-1).body.messages.map((m) => m.content), [...sent.slice(0, -1), 'Matte lipstick?']);
+});
+
+test('the message box is capped at the Worker\'s message length', () => {
+  assert.equal(input.maxLength, 4000);
+});
+
+test('routine mode asks for a plan and saves checklist edits', async () => {
+  const routineBtn = document.getElementById('routineBtn');
+  routineBtn.click();
+  assert.equal(routineBtn.getAttribute('aria-pressed'), 'true');
+
+  nextResponse = jsonResponse({
+    choices: [{ message: { role: 'assistant', content: 'A simple routine for oily skin.' } }],
+    products: [],
+    routine: {
+      title: 'Oily skin routine',
+      summary: 'A simple routine for oily skin.',
+      am: [{ order: 1, step: 'Cleanse', product: null, instructions: 'Gel cleanser.', frequency: 'daily' }],
+      pm: [{ order: 1, step: 'Treat', product: null, instructions: 'Salicylic acid.', frequency: 'every other day' }],
+      cautions: []
+    }
+  });
+  await ask('Build me a routine');
+  assert.equal(requests[0].body.mode, 'routine');
+  assert.equal(requests[0].body.stream, false);
+
+  const row = lastBubble().closest('.message-row');
+  const check = row.querySelector('.routine-am .routine-check');
+  check.checked = true;
+  check.dispatchEvent(new window.Event('change'));
+  assert.equal(savedMessages().at(-1).routine.am[0].done, true);
+
+  // Follow-up questions carry the plan as text
+  routineBtn.click();
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Yes, twice a week.' } }] });
+  await ask('Can I exfoliate too?');
+  assert.equal(requests[1].body.mode, undefined);
+  assert.match(requests[1].body.messages.at(-2).content, /AM: 1\. Cleanse, daily/);
+});
+
+test('checks ingredients from the form and saves the warning panel', async () => {
+  document.getElementById('ingredientBtn').click();
+  const fields = document.querySelectorAll('#ingredientFields textarea');
+  fields[0].value = 'Effaclar Duo';
+  fields[1].value = 'Aqua, Retinol';
+  nextResponse = jsonResponse({
+    items: [
+      { label: 'Effaclar Duo Acne Spot Treatment', product: { id: 'lrp-effaclar-duo', name: 'Effaclar Duo Acne Spot Treatment', brand: 'La Roche-Posay' }, ingredients: [{ id: 'benzoyl-peroxide', name: 'Benzoyl peroxide' }], unknown: [] },
+      { label: 'ingredient list 2', product: null, ingredients: [{ id: 'retinol', name: 'Retinol' }], unknown: [] }
+    ],
+    conflicts: [{ severity: 'avoid', items: [0, 1], ingredients: ['Benzoyl peroxide', 'Retinol'], message: 'Benzoyl peroxide can break down retinol.', advice: 'Use them at different times of day.' }],
+    allergens: [],
+    pregnancy: [],
+    summary: '- **Avoid:** Benzoyl peroxide + Retinol.',
+    disclaimer: 'Not medical advice.'
+  });
+  document.getElementById('ingredientForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  for (let i = 0; i < 50 && (sendBtn.disabled || !requests.length); i++) await flush();
+
+  assert.equal(requests[0].url, 'https://worker.test/ingredients');
+  assert.deepEqual(requests[0].body, { items: ['Effaclar Duo', 'Aqua, Retinol'] });
+  assert.ok(lastBubble().closest('.message-row').querySelector('.ingredient-report .severity-avoid'));
+  assert.equal(fields[0].value, '');
+
+  const [question, answer] = savedMessages().slice(-2);
+  assert.equal(question.content, 'Ingredient check: Effaclar Duo + Aqua, Retinol');
+  assert.equal(answer.ingredientCheck.conflicts[0].severity, 'avoid');
+
+  // The findings travel with the conversation as text
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Use Effaclar in the morning.' } }] });
+  await ask('When should I use each?');
+  assert.match(requests[1].body.messages.at(-2).content, /Ingredient check results:\n- \*\*Avoid:\*\*/);
+});
+
+test('a failed ingredient check leaves no unanswered question in the history', async () => {
+  const before = savedMessages().length;
+  const fields = document.querySelectorAll('#ingredientFields textarea');
+  fields[0].value = 'Retinol';
+  fields[1].value = 'Glycolic acid';
+  nextResponse = jsonResponse({ code: 'upstream_unavailable', message: 'The assistant is unavailable.', retryable: true }, { status: 503 });
+  document.getElementById('ingredientForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  for (let i = 0; i < 50 && (sendBtn.disabled || !requests.length); i++) await flush();
+
+  assert.ok(lastBubble().classList.contains('error'));
+  assert.equal(savedMessages().length, before);
+
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Alternate them.' } }] });
+  await ask('Can I use both?');
+  assert.ok(requests[1].body.messages.every((m) => !m.content.startsWith('Ingredient check: Retinol')));
+});
+
+test('shows the ingredient check that comes with a streamed reply', async () => {
+  nextResponse = sseResponse([
+    { choices: [{ delta: { content: 'Better not together.' } }] },
+    {
+      products: [],
+      ingredient_check: {
+        items: [{ label: 'Retinol', product: null, ingredients: [{ id: 'retinol', name: 'Retinol' }], unknown: [] }, { label: 'Glycolic acid', product: null, ingredients: [{ id: 'glycolic-acid', name: 'Glycolic acid' }], unknown: [] }],
+        conflicts: [{ severity: 'caution', items: [0, 1], ingredients: ['Retinol', 'Glycolic acid'], message: 'Irritating.', advice: 'Alternate nights.' }],
+        allergens: [],
+        pregnancy: [],
+        summary: '- **Caution:** Retinol + Glycolic acid.',
+        disclaimer: ''
+      }
+    },
+    '[DONE]'
+  ]);
+  await ask('Retinol with glycolic acid?');
+  assert.match(lastBubble().closest('.message-row').querySelector('.ingredient-report').textContent, /Alternate nights/);
+  assert.equal(savedMessages().at(-1).ingredientCheck.conflicts[0].severity, 'caution');
+});
+
+test('sends an attached photo once and saves only its thumbnail', async () => {
+  globalThis.createImageBitmap = async () => ({ width: 800, height: 600, close() {} });
+  Object.assign(window.HTMLCanvasElement.prototype, {
+    getContext: () => ({ fillRect() {}, drawImage() {} }),
+    toDataURL() { return `data:image/jpeg;base64,${this.width === 800 ? 'RlVMTA==' : 'VEhVTUI='}`; }
+  });
+  const photoInput = document.getElementById('photoInput');
+  Object.defineProperty(photoInput, 'files', { value: [new window.File(['x'], 'me.jpg', { type: 'image/jpeg' })], configurable: true });
+  photoInput.dispatchEvent(new window.Event('change'));
+  for (let i = 0; i < 5; i++) await flush();
+
+  const preview = document.getElementById('photoPreview');
+  assert.equal(preview.hidden, false);
+  assert.equal(document.getElementById('attachBtn').getAttribute('aria-pressed'), 'true');
+
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'A warm beige shade.' } }] });
+  await ask('Which foundation shade suits me?');
+  assert.deepEqual(requests[0].body.messages.at(-1).content, [
+    { type: 'text', text: 'Which foundation shade suits me?' },
+    { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,RlVMTA==' } }
+  ]);
+  assert.equal(preview.hidden, true);
+
+  const userBubbles = document.querySelectorAll('#chatWindow .bubble.user');
+  assert.equal(userBubbles[userBubbles.length - 1].querySelector('.bubble-photo').getAttribute('src'), 'data:image/jpeg;base64,VEhVTUI=');
+  const saved = savedMessages().at(-2);
+  assert.deepEqual(saved.image, { thumbnail: 'data:image/jpeg;base64,VEhVTUI=', width: 160, height: 120 });
+
+  // The next question only mentions the earlier photo
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Yes.' } }] });
+  await ask('Does it come in a matte finish?');
+  const history = requests[1].body.messages;
+  assert.equal(history.at(-3).content, 'Which foundation shade suits me?\n\n(I shared a photo here.)');
+  assert.equal(history.at(-1).content, 'Does it come in a matte finish?');
+});
+
+test('the microphone fills in the question and replies can be read aloud', async () => {
+  const micBtn = document.getElementById('micBtn');
+  assert.equal(micBtn.hidden, false);
+  input.value = 'Hi,';
+  micBtn.click();
+  assert.equal(micBtn.getAttribute('aria-pressed'), 'true');
+  recognition.onresult({ results: [Object.assign([{ transcript: 'which mascara lasts longest?' }], { isFinal: true })] });
+  assert.equal(input.value, 'Hi, which mascara lasts longest?');
+  micBtn.click();
+  assert.equal(micBtn.getAttribute('aria-pressed'), 'false');
+
+  const readAloudBtn = document.getElementById('readAloudBtn');
+  readAloudBtn.click();
+  assert.equal(readAloudBtn.getAttribute('aria-pressed'), 'true');
+  assert.equal(localStorage.getItem('loreal_read_aloud'), 'on');
+
+  nextResponse = jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Try **Telescopic**.' } }] });
+  await ask(input.value);
+  assert.deepEqual(spoken, ['Try Telescopic.']);
+  readAloudBtn.click();
+  assert.equal(localStorage.getItem('loreal_read_aloud'), 'off');
+});
+
+test('the language picker translates the page and asks for replies in that language', async () => {
+  const languageSelect = document.getElementById('languageSelect');
+  assert.deepEqual([...languageSelect.options].map((o) => o.value), ['en', 'fr', 'es', 'de']);
+  assert.equal(languageSelect.value, 'en');
+  languageSelect.value = 'fr';
+  languageSelect.dispatchEvent(new window.Event('change'));
+  assert.equal(document.documentElement.lang, 'fr');
+  assert.equal(localStorage.getItem('loreal_language'), 'fr');
+  assert.equal(document.getElementById('clearBtn').textContent, 'Effacer');
+  assert.equal(document.getElementById('micBtn').title, 'Poser la question à voix haute');
+  // Panels drawn from JavaScript follow too
+  assert.equal(document.querySelector('#profilePanel .profile-summary').textContent, 'peau grasse · acné · $');
+  assert.equal(document.querySelector('#profileForm .profile-save').textContent, 'Enregistrer le profil');
+  assert.equal(document.querySelector('#threadList .thread-action').title, 'Renommer');
+  assert.equal(document.querySelector('label[for="ingredientItem1"]').textContent, 'Produit 1');
+
+  nextResponse = jsonResponse({ code: 'upstream_timeout', message: 'The assistant took too long to answer.', retryable: true }, { status: 504 });
+  await ask('Quel sérum pour peau sèche ?');
+  assert.equal(requests[0].body.language, 'fr');
+  assert.equal(lastBubble().firstChild.textContent, 'Erreur : L’assistant a mis trop de temps à répondre. Veuillez réessayer.');
+  assert.match(lastBubble().querySelector('.retry-btn').textContent, /Réessayer/);
+  assert.equal(document.querySelector('.latest-question').textContent, 'Dernière question : Quel sérum pour peau sèche ?');
+
+  languageSelect.value = 'en';
+  languageSelect.dispatchEvent(new window.Event('change'));
+  assert.equal(document.getElementById('clearBtn').textContent, 'Clear');
+  assert.equal(document.querySelector('#profilePanel .profile-summary').textContent, 'oily skin · acne · $');
+});
+
+test('rates and reports a reply with its turn ID', async () => {
+  nextResponse = sseResponse([
+    { choices: [{ delta: { content: 'Use SPF 50 daily.' } }] },
+    { turn_id: 'turn-1234-abcd' },
+    '[DONE]'
+  ]);
+  await ask('Do I need sunscreen?');
+  assert.equal(savedMessages().at(-1).turnId, 'turn-1234-abcd');
+  const row = () => lastBubble().parentElement;
+
+  requests = [];
+  nextResponse = jsonResponse({ ok: true });
+  row().querySelector('.feedback-up').click();
+  assert.equal(row().querySelector('.feedback-up').getAttribute('aria-pressed'), 'true');
+  await flush();
+  assert.equal(requests[0].url, 'https://worker.test/feedback');
+  assert.deepEqual(requests[0].body, { turn_id: 'turn-1234-abcd', rating: 'up' });
+  assert.equal(savedMessages().at(-1).feedback, 'up');
+
+  // The Worker did not record the change: the previous rating comes back
+  nextResponse = jsonResponse({ code: 'unknown_turn', message: 'Unknown turn.' }, { status: 404 });
+  row().querySelector('.feedback-up').click();
+  await flush();
+  await flush();
+  assert.equal(requests[1].body.rating, 'none');
+  assert.equal(row().querySelector('.feedback-up').getAttribute('aria-pressed'), 'true');
+
+  requests = [];
+  const alerts = [];
+  globalThis.prompt = () => '  Wrong product  ';
+  globalThis.alert = (text) => alerts.push(text);
+  nextResponse = jsonResponse({ ok: true });
+  row().querySelector('.feedback-report').click();
+  await flush();
+  await flush();
+  assert.equal(requests[0].body.rating, 'report');
+  assert.equal(requests[0].body.comment, 'Wrong product');
+  assert.deepEqual(requests[0].body.messages.slice(-2), [
+    { role: 'user', content: 'Do I need sunscreen?' },
+    { role: 'assistant', content: 'Use SPF 50 daily.' }
+  ]);
+  assert.equal(alerts.length, 1);
+  assert.equal(row().querySelector('.feedback-report').disabled, true);
+  assert.equal(savedMessages().at(-1).reported, true);
+  globalThis.prompt = () => null;
+  globalThis.alert = () => {};
+});
+
+test('does not send empty questions', async () => {
+  await ask('   ');
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,128 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+// An adjustment saved by the old automatic text darkening
+setupDom({ storage: { loreal_theme: 'warm', loreal_color_adjusts: { '--text': '#111111' } } });
+const {
+  loadThemeId,
+  loadAdjustments,
+  loadCustomThemes,
+  applyTheme,
+  renderThemeOptions,
+  renderThemeEditor
+} = await import('../themes.js');
+
+const body = document.body;
+const select = document.getElementById('themeSelect');
+const panel = document.getElementById('themeEditor');
+const row = (id) => [...panel.querySelectorAll('.contrast-row')][['body', 'replies', 'panels', 'secondary', 'replyTime', 'user', 'userTime', 'goldButton', 'darkButton', 'warning', 'goldIcon'].indexOf(id)];
+const colorInput = (token) => panel.querySelector(`input[data-token="${token}"]`);
+
+function pickColor(token, value) {
+  const input = colorInput(token);
+  input.value = value;
+  input.dispatchEvent(new window.Event('input'));
+  input.dispatchEvent(new window.Event('change'));
+}
+
+let changes = [];
+const render = () => renderThemeEditor(panel, { onChange: (id) => changes.push(id) });
+
+beforeEach(() => { changes = []; });
+
+test('applies the saved theme with its adjustments from older versions', () => {
+  assert.equal(loadThemeId(), 'warm');
+  assert.deepEqual(loadAdjustments(), { warm: { '--text': '#111111' } });
+  assert.equal(applyTheme('warm'), 'warm');
+  assert.equal(body.getAttribute('data-theme'), 'warm');
+  assert.equal(body.style.getPropertyValue('--text'), '#111111');
+
+  // Other presets have their own colors; unknown themes fall back to Classic
+  assert.equal(applyTheme('nope'), 'classic');
+  assert.equal(body.style.getPropertyValue('--text'), '');
+  assert.equal(localStorage.getItem('loreal_theme'), 'classic');
+});
+
+test('the editor audits colors live and applies a suggested fix', () => {
+  applyTheme('classic');
+  render();
+  assert.equal(panel.querySelector('.theme-editor-title').textContent, 'Theme editor: Classic');
+  assert.equal(panel.querySelectorAll('.contrast-row').length, 11);
+  assert.equal(panel.querySelector('.theme-audit-summary').textContent, '1 of 11 color pairs fail AA.');
+  assert.ok(row('goldIcon').classList.contains('fail'));
+  assert.deepEqual([...row('body').querySelectorAll('.contrast-badge')].map((b) => b.textContent), ['AA pass', 'AAA pass']);
+
+  pickColor('--text', '#aaaaaa');
+  assert.equal(body.style.getPropertyValue('--text'), '#aaaaaa');
+  assert.deepEqual(JSON.parse(localStorage.getItem('loreal_color_adjusts')).classic, { '--text': '#aaaaaa' });
+  assert.ok(row('body').classList.contains('fail'));
+  assert.match(row('body').querySelector('.contrast-ratio').textContent, /^2\.32:1 · needs 4\.5:1$/);
+
+  const fixes = [...row('body').querySelectorAll('.contrast-fix')];
+  assert.match(fixes[0].textContent, /^Darker Body text: #[0-9a-f]{6} \(4\.\d\d:1\)$/);
+  assert.match(fixes[1].textContent, /^Darker White: /);
+  fixes[0].click();
+  assert.ok(row('body').classList.contains('pass'));
+  assert.equal(colorInput('--text').value, body.style.getPropertyValue('--text'));
+});
+
+test('fixes everything for the target level and resets the changes', () => {
+  applyTheme('classic');
+  render();
+  panel.querySelector('.theme-target select').value = 'AAA';
+  panel.querySelector('.theme-target select').dispatchEvent(new window.Event('change'));
+  assert.match(panel.querySelector('.theme-audit-summary').textContent, /fail AAA\.$/);
+  assert.equal(panel.querySelector('.theme-fix-all span:last-child').textContent, 'Fix all for AAA');
+
+  panel.querySelector('.theme-target select').value = 'AA';
+  panel.querySelector('.theme-target select').dispatchEvent(new window.Event('change'));
+  panel.querySelector('.theme-fix-all').click();
+  assert.equal(panel.querySelector('.theme-audit-summary').textContent, 'All 11 color pairs meet AA.');
+
+  const reset = panel.querySelector('.theme-reset');
+  assert.equal(reset.disabled, false);
+  globalThis.confirm = () => false;
+  reset.click();
+  assert.ok(loadAdjustments().classic);
+  globalThis.confirm = () => true;
+  panel.querySelector('.theme-reset').click();
+  assert.equal(loadAdjustments().classic, undefined);
+  assert.equal(body.style.getPropertyValue('--text'), '');
+  assert.equal(panel.querySelector('.theme-reset').disabled, true);
+});
+
+test('saves the edits as a custom theme and deletes it again', () => {
+  applyTheme('deep');
+  render();
+  pickColor('--user-bg', '#123456');
+
+  globalThis.prompt = () => '  Night <b>Blue</b> ';
+  panel.querySelector('.theme-save').click();
+  globalThis.prompt = () => null;
+
+  const [theme] = loadCustomThemes();
+  assert.equal(theme.name, 'Night <b>Blue</b>');
+  assert.equal(theme.base, 'deep');
+  assert.equal(theme.colors['--user-bg'], '#123456');
+  assert.deepEqual(changes, [theme.id]);
+  assert.equal(loadThemeId(), theme.id);
+  // The edits moved to the new theme
+  assert.equal(loadAdjustments().deep, undefined);
+  assert.equal(body.getAttribute('data-theme'), 'deep');
+  assert.equal(body.style.getPropertyValue('--user-bg'), '#123456');
+  assert.equal(panel.querySelector('.theme-editor-title').textContent, 'Theme editor: Night <b>Blue</b>');
+
+  renderThemeOptions(select, theme.id);
+  const option = select.querySelector('optgroup.custom-themes option');
+  assert.equal(option.textContent, 'Night <b>Blue</b>');
+  assert.equal(select.value, theme.id);
+
+  panel.querySelector('.theme-delete').click();
+  assert.deepEqual(loadCustomThemes(), []);
+  assert.equal(loadThemeId(), 'deep');
+  assert.deepEqual(changes, [theme.id, 'deep']);
+  renderThemeOptions(select);
+  assert.equal(select.querySelector('optgroup.custom-themes'), null);
+  assert.equal(select.value, 'deep');
+});
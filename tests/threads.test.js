@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+const {
+  THREADS_KEY,
+  LEGACY_HISTORY_KEY,
+  createThread,
+  titleFromMessages,
+  loadThreadStore,
+  saveThreadStore,
+  searchThreads,
+  sortedThreads
+} = await import('../threads.js');
+
+beforeEach(() => localStorage.clear());
+
+test('migrates the old single-conversation history into a thread', () => {
+  localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify([
+    { role: 'user', content: 'Best serum for dry skin?', timestamp: 1000 },
+    { role: 'assistant', content: 'Try a hyaluronic acid serum.', timestamp: 2000 }
+  ]));
+
+  const store = loadThreadStore();
+  assert.equal(store.threads.length, 1);
+  const [thread] = store.threads;
+  assert.equal(store.activeId, thread.id);
+  assert.equal(thread.title, 'Best serum for dry skin?');
+  assert.equal(thread.createdAt, 1000);
+  assert.equal(thread.updatedAt, 2000);
+  assert.equal(localStorage.getItem(LEGACY_HISTORY_KEY), null);
+  assert.ok(localStorage.getItem(THREADS_KEY));
+});
+
+test('starts with one empty thread when nothing is saved or the data is corrupt', () => {
+  localStorage.setItem(THREADS_KEY, '{not json');
+  const store = loadThreadStore();
+  assert.equal(store.threads.length, 1);
+  assert.deepEqual(store.threads[0].messages, []);
+});
+
+test('saves only user and assistant messages', () => {
+  const thread = createThread([
+    { role: 'system', content: 'injected' },
+    { role: 'user', content: 'Hi' }
+  ]);
+  saveThreadStore({ activeId: thread.id, threads: [thread] });
+  const saved = JSON.parse(localStorage.getItem(THREADS_KEY));
+  assert.deepEqual(saved.threads[0].messages.map((m) => m.role), ['user']);
+});
+
+test('shortens long titles for the sidebar', () => {
+  const title = titleFromMessages([{ role: 'user', content: 'a'.repeat(60) }]);
+  assert.equal(title.length, 40);
+  assert.ok(title.endsWith('…'));
+});
+
+test('searches titles and message text, newest first', () => {
+  const older = { ...createThread([{ role: 'user', content: 'Shampoo for curly hair' }]), updatedAt: 1 };
+  const newer = {
+    ...createThread([
+      { role: 'user', content: 'Night cream?' },
+      { role: 'assistant', content: 'Revitalift works well with a curly-hair routine too.' }
+    ]),
+    updatedAt: 2
+  };
+  const store = { activeId: older.id, threads: [older, newer] };
+
+  assert.deepEqual(sortedThreads(store).map((t) => t.id), [newer.id, older.id]);
+  const results = searchThreads(store, 'CURLY');
+  assert.deepEqual(results.map((r) => r.thread.id), [newer.id, older.id]);
+  assert.match(results[0].snippet, /curly-hair/);
+  assert.equal(results[1].snippet, '');
+  assert.equal(searchThreads(store, 'mascara').length, 0);
+});
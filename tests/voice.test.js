@@ -0,0 +1,129 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, flush } from './dom.js';
+
+setupDom();
+const {
+  voiceInputMode,
+  startVoiceInput,
+  loadReadAloud,
+  saveReadAloud,
+  speak,
+  READ_ALOUD_KEY
+} = await import('../voice.js');
+
+// —— Browser API stubs ——
+
+let recognition = null;
+class FakeRecognition {
+  constructor() { recognition = this; }
+  start() { this.started = true; }
+  stop() { this.onend(); }
+}
+const result = (transcript, isFinal) => Object.assign([{ transcript }], { isFinal });
+
+class FakeRecorder {
+  constructor(stream) { this.stream = stream; this.state = 'inactive'; this.mimeType = 'audio/webm;codecs=opus'; this.listeners = {}; }
+  addEventListener(type, fn) { this.listeners[type] = fn; }
+  start() { this.state = 'recording'; }
+  stop() {
+    this.state = 'inactive';
+    this.listeners.dataavailable({ data: new window.Blob(['clip'], { type: this.mimeType }) });
+    this.listeners.stop();
+  }
+}
+let stopped = 0;
+const microphone = { getUserMedia: async () => ({ getTracks: () => [{ stop: () => { stopped++; } }] }) };
+
+function track() {
+  const events = { texts: [], states: [], errors: [] };
+  return {
+    events,
+    options: {
+      lang: 'fr-FR',
+      onText: (text, final) => events.texts.push([text, final]),
+      onState: (state) => events.states.push(state),
+      onError: (message) => events.errors.push(message),
+      transcribe: async (audio) => { events.audio = audio; return 'Un sérum pour peau sèche ?'; }
+    }
+  };
+}
+
+beforeEach(() => {
+  delete window.SpeechRecognition;
+  delete window.webkitSpeechRecognition;
+  delete window.MediaRecorder;
+  Object.defineProperty(window.navigator, 'mediaDevices', { value: undefined, configurable: true });
+  localStorage.clear();
+});
+
+test('detects which kind of voice input the browser supports', () => {
+  assert.equal(voiceInputMode(), null);
+  window.MediaRecorder = FakeRecorder;
+  Object.defineProperty(window.navigator, 'mediaDevices', { value: microphone, configurable: true });
+  assert.equal(voiceInputMode(), 'record');
+  window.webkitSpeechRecognition = FakeRecognition;
+  assert.equal(voiceInputMode(), 'speech');
+});
+
+test('fills in recognized speech as it arrives', () => {
+  window.SpeechRecognition = FakeRecognition;
+  const { events, options } = track();
+  const input = startVoiceInput(options);
+  assert.equal(recognition.lang, 'fr-FR');
+  assert.equal(recognition.interimResults, true);
+
+  recognition.onresult({ results: [result('Un sérum', false)] });
+  recognition.onresult({ results: [result('Un sérum', true), result(' pour peau sèche', true)] });
+  assert.deepEqual(events.texts, [['Un sérum', false], ['Un sérum pour peau sèche', true]]);
+
+  recognition.onerror({ error: 'not-allowed' });
+  recognition.onerror({ error: 'aborted' });
+  assert.equal(events.errors.length, 1);
+  assert.match(events.errors[0], /Microphone access is blocked/);
+
+  input.stop();
+  assert.deepEqual(events.states, ['listening', 'idle']);
+});
+
+test('records and transcribes when speech recognition is missing', async () => {
+  window.MediaRecorder = FakeRecorder;
+  Object.defineProperty(window.navigator, 'mediaDevices', { value: microphone, configurable: true });
+  stopped = 0;
+  const { events, options } = track();
+  const input = startVoiceInput(options);
+  await flush();
+  input.stop();
+  for (let i = 0; i < 5; i++) await flush();
+
+  assert.equal(events.audio.type, 'audio/webm;codecs=opus');
+  assert.deepEqual(events.texts, [['Un sérum pour peau sèche ?', true]]);
+  assert.deepEqual(events.states, ['listening', 'transcribing', 'idle']);
+  assert.equal(stopped, 1);
+});
+
+test('reports a blocked microphone', async () => {
+  window.MediaRecorder = FakeRecorder;
+  const denied = Object.assign(new Error('denied'), { name: 'NotAllowedError' });
+  Object.defineProperty(window.navigator, 'mediaDevices', { value: { getUserMedia: async () => { throw denied; } }, configurable: true });
+  const { events, options } = track();
+  startVoiceInput(options);
+  await flush();
+  assert.match(events.errors[0], /Microphone access is blocked/);
+  assert.deepEqual(events.states, ['listening', 'idle']);
+});
+
+test('saves the read-aloud choice and speaks one reply at a time', () => {
+  assert.equal(loadReadAloud(), false);
+  saveReadAloud(true);
+  assert.equal(localStorage.getItem(READ_ALOUD_KEY), 'on');
+  assert.equal(loadReadAloud(), true);
+
+  const calls = [];
+  window.speechSynthesis = { cancel: () => calls.push('cancel'), speak: (u) => calls.push(u) };
+  window.SpeechSynthesisUtterance = class { constructor(text) { this.text = text; } };
+  speak('Try a gentle cleanser.', 'en-GB');
+  assert.equal(calls[0], 'cancel');
+  assert.equal(calls[1].text, 'Try a gentle cleanser.');
+  assert.equal(calls[1].lang, 'en-GB');
+});
@@ -0,0 +1,351 @@
+/*
+  themes.js
+
+  Color themes: the presets in style.css (#themeSelect), custom themes the user saves,
+  and the theme editor panel, which shows the contrast audit from contrast.js live and
+  applies the fixes the user picks.
+
+  A theme's colors are its preset's (style.css, `data-theme` on <body>), then a custom
+  theme's saved colors, then the user's unsaved edits to that theme ("adjustments"),
+  set inline on <body>. Adjustments can be reset, or saved as a new theme.
+
+  localStorage:
+    loreal_theme          active theme: a preset id or a custom theme id ("custom-…")
+    loreal_custom_themes  [{ id, name, base, colors: { token: color } }]
+    loreal_color_adjusts  { themeId: { token: color } }
+
+  ES module imported by script.js.
+*/
+
+import { t } from './i18n.js';
+import {
+  COLOR_TOKENS,
+  LEVELS,
+  normalizeHex,
+  readThemeColors,
+  auditColors,
+  requiredRatio,
+  suggestFixes,
+  autoFixColors
+} from './contrast.js';
+
+export const THEME_KEY = 'loreal_theme';
+export const CUSTOM_THEMES_KEY = 'loreal_custom_themes';
+export const ADJUSTMENTS_KEY = 'loreal_color_adjusts';
+export const PRESET_THEMES = ['classic', 'warm', 'deep'];
+const MAX_THEME_NAME = 40;
+
+function readJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn('Failed to save theme colors:', e && e.message ? e.message : e);
+  }
+}
+
+// Keep only known tokens with valid hex colors
+function cleanColors(colors) {
+  const clean = {};
+  if (!colors || typeof colors !== 'object') return clean;
+  COLOR_TOKENS.forEach((token) => {
+    const value = normalizeHex(colors[token]);
+    if (value) clean[token] = value;
+  });
+  return clean;
+}
+
+export function loadCustomThemes() {
+  const themes = readJson(CUSTOM_THEMES_KEY);
+  if (!Array.isArray(themes)) return [];
+  return themes
+    .filter((theme) => theme && /^custom-[a-z0-9]+$/.test(theme.id) && typeof theme.name === 'string')
+    .map((theme) => ({
+      id: theme.id,
+      name: theme.name.trim().slice(0, MAX_THEME_NAME) || theme.id,
+      base: PRESET_THEMES.includes(theme.base) ? theme.base : 'classic',
+      colors: cleanColors(theme.colors)
+    }));
+}
+
+function findCustomTheme(id) {
+  return loadCustomThemes().find((theme) => theme.id === id) || null;
+}
+
+const themeExists = (id) => PRESET_THEMES.includes(id) || Boolean(findCustomTheme(id));
+
+// The saved theme, or 'classic'
+export function loadThemeId() {
+  let id = null;
+  try { id = localStorage.getItem(THEME_KEY); } catch (e) {}
+  return id && themeExists(id) ? id : 'classic';
+}
+
+// Adjustments per theme. Older versions saved one flat { token: color } object (from the
+// automatic text darkening); it belongs to the theme that was active then.
+export function loadAdjustments() {
+  const saved = readJson(ADJUSTMENTS_KEY);
+  if (!saved || typeof saved !== 'object') return {};
+  if (Object.keys(saved).some((key) => key.startsWith('--'))) {
+    return { [loadThemeId()]: cleanColors(saved) };
+  }
+  const all = {};
+  Object.entries(saved).forEach(([id, colors]) => {
+    const clean = cleanColors(colors);
+    if (themeExists(id) && Object.keys(clean).length) all[id] = clean;
+  });
+  return all;
+}
+
+function saveThemeAdjustments(id, colors) {
+  const all = loadAdjustments();
+  if (Object.keys(colors).length) all[id] = colors;
+  else delete all[id];
+  writeJson(ADJUSTMENTS_KEY, all);
+}
+
+export function themeName(id) {
+  const custom = findCustomTheme(id);
+  return custom ? custom.name : t(`theme.${id}`);
+}
+
+// Show theme `id` (falling back to 'classic') and remember it. Returns the id shown.
+export function applyTheme(id) {
+  const themeId = themeExists(id) ? id : 'classic';
+  const custom = findCustomTheme(themeId);
+  const body = document.body;
+  body.setAttribute('data-theme', custom ? custom.base : themeId);
+  COLOR_TOKENS.forEach((token) => body.style.removeProperty(token));
+  const colors = { ...(custom ? custom.colors : {}), ...(loadAdjustments()[themeId] || {}) };
+  Object.entries(colors).forEach(([token, value]) => body.style.setProperty(token, value));
+  try { localStorage.setItem(THEME_KEY, themeId); } catch (e) {}
+  return themeId;
+}
+
+// Change some colors of the active theme (kept as adjustments) and show them
+function adjustColors(id, changes) {
+  saveThemeAdjustments(id, { ...(loadAdjustments()[id] || {}), ...cleanColors(changes) });
+  applyTheme(id);
+}
+
+// Save the colors on the page as a new custom theme (the edits move to it, so the
+// theme they were made on goes back to its own colors). Returns the new theme's id.
+export function saveCustomTheme(name, fromId = loadThemeId()) {
+  const source = findCustomTheme(fromId);
+  const theme = {
+    id: `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: String(name).trim().slice(0, MAX_THEME_NAME),
+    base: source ? source.base : (PRESET_THEMES.includes(fromId) ? fromId : 'classic'),
+    colors: readThemeColors()
+  };
+  writeJson(CUSTOM_THEMES_KEY, [...loadCustomThemes(), theme]);
+  saveThemeAdjustments(fromId, {});
+  return applyTheme(theme.id);
+}
+
+// Delete a custom theme and switch to its preset. Returns the id shown.
+export function deleteCustomTheme(id) {
+  const theme = findCustomTheme(id);
+  if (!theme) return applyTheme(id);
+  writeJson(CUSTOM_THEMES_KEY, loadCustomThemes().filter((other) => other.id !== id));
+  saveThemeAdjustments(id, {});
+  return applyTheme(theme.base);
+}
+
+// Add the custom themes to the theme picker (after the presets) and select `activeId`
+export function renderThemeOptions(select, activeId = loadThemeId()) {
+  const old = select.querySelector('optgroup.custom-themes');
+  if (old) old.remove();
+  const themes = loadCustomThemes();
+  if (themes.length) {
+    const group = document.createElement('optgroup');
+    group.className = 'custom-themes';
+    group.label = t('themeEditor.customThemes');
+    themes.forEach((theme) => {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = theme.name;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  }
+  select.value = activeId;
+}
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+};
+
+const tokenLabel = (token) => t(`themeEditor.token.${token.slice(2)}`);
+// Shown rounded down, so a ratio that fails never reads as the target ("4.49:1")
+const formatRatio = (ratio) => t('themeEditor.ratio', { ratio: (Math.floor(ratio * 100) / 100).toFixed(2) });
+
+// Level the editor suggests fixes for (not saved)
+let targetLevel = 'AA';
+
+function button(className, icon, label, onClick) {
+  const btn = el('button', `toolbar-btn ${className}`);
+  btn.type = 'button';
+  btn.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+  btn.appendChild(el('span', '', label));
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// One audited pair: sample, name, ratio, AA/AAA badges and fixes for the target level
+function contrastRow(result, colors, onFix) {
+  const row = el('li', `contrast-row ${result[targetLevel] ? 'pass' : 'fail'}`);
+  const sample = el('span', 'contrast-sample', 'Aa');
+  sample.setAttribute('aria-hidden', 'true');
+  sample.style.color = result.fgColor;
+  sample.style.background = result.bgColor;
+  row.appendChild(sample);
+
+  const info = el('div', 'contrast-info');
+  info.appendChild(el('span', 'contrast-name', t(`themeEditor.pair.${result.id}`)));
+  info.appendChild(el('span', 'contrast-ratio', `${formatRatio(result.ratio)} · ${t('themeEditor.needs', { ratio: requiredRatio(result, targetLevel) })}`));
+  row.appendChild(info);
+
+  const badges = el('span', 'contrast-badges');
+  LEVELS.forEach((level) => {
+    const pass = result[level];
+    badges.appendChild(el('span', `contrast-badge ${pass ? 'pass' : 'fail'}`, t(pass ? 'themeEditor.pass' : 'themeEditor.fail', { level })));
+  });
+  row.appendChild(badges);
+
+  if (!result[targetLevel]) {
+    const fixes = el('div', 'contrast-fixes');
+    suggestFixes(colors, result, targetLevel).forEach((fix) => {
+      const btn = el('button', 'contrast-fix');
+      btn.type = 'button';
+      const swatch = el('span', 'contrast-swatch');
+      swatch.setAttribute('aria-hidden', 'true');
+      swatch.style.background = fix.value;
+      btn.appendChild(swatch);
+      btn.appendChild(document.createTextNode(t(`themeEditor.${fix.direction}`, {
+        token: tokenLabel(fix.token),
+        color: fix.value,
+        ratio: formatRatio(fix.ratio)
+      })));
+      btn.addEventListener('click', () => onFix({ [fix.token]: fix.value }));
+      fixes.appendChild(btn);
+    });
+    row.appendChild(fixes);
+  }
+  return row;
+}
+
+// Render the theme editor for the active theme into `container`.
+// `onChange(themeId)` is called when the active theme or the list of themes changes.
+export function renderThemeEditor(container, { onChange = () => {} } = {}) {
+  const themeId = loadThemeId();
+  const custom = findCustomTheme(themeId);
+  const adjusted = Boolean(loadAdjustments()[themeId]);
+  container.innerHTML = '';
+
+  container.appendChild(el('h2', 'theme-editor-title', t('themeEditor.title', { name: themeName(themeId) })));
+
+  const colorsSet = el('fieldset', 'theme-colors');
+  colorsSet.appendChild(el('legend', '', t('themeEditor.colors')));
+  const colors = readThemeColors();
+  COLOR_TOKENS.forEach((token) => {
+    const label = el('label', 'theme-color');
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = colors[token];
+    input.dataset.token = token;
+    // Live while dragging; the panel is redrawn once the color is picked
+    input.addEventListener('input', () => {
+      adjustColors(themeId, { [token]: input.value });
+      drawAudit();
+    });
+    input.addEventListener('change', () => renderThemeEditor(container, { onChange }));
+    label.appendChild(input);
+    label.appendChild(el('span', '', tokenLabel(token)));
+    colorsSet.appendChild(label);
+  });
+  container.appendChild(colorsSet);
+
+  const auditHead = el('div', 'theme-audit-head');
+  auditHead.appendChild(el('h3', '', t('themeEditor.contrast')));
+  const levelLabel = el('label', 'theme-target', t('themeEditor.target'));
+  const levelSelect = document.createElement('select');
+  LEVELS.forEach((level) => {
+    const option = el('option', '', level);
+    option.value = level;
+    levelSelect.appendChild(option);
+  });
+  levelSelect.value = targetLevel;
+  levelSelect.addEventListener('change', () => {
+    targetLevel = levelSelect.value;
+    renderThemeEditor(container, { onChange });
+    container.querySelector('.theme-target select').focus();
+  });
+  levelLabel.appendChild(levelSelect);
+  auditHead.appendChild(levelLabel);
+  container.appendChild(auditHead);
+
+  const summary = el('p', 'theme-audit-summary');
+  summary.setAttribute('aria-live', 'polite');
+  container.appendChild(summary);
+  const list = el('ul', 'contrast-list');
+  container.appendChild(list);
+
+  const applyFix = (changes) => {
+    adjustColors(themeId, changes);
+    renderThemeEditor(container, { onChange });
+  };
+
+  function drawAudit() {
+    const current = readThemeColors();
+    const results = auditColors(current);
+    const failed = results.filter((r) => !r[targetLevel]).length;
+    summary.textContent = failed
+      ? t('themeEditor.summaryFail', { failed, count: results.length, level: targetLevel })
+      : t('themeEditor.summaryPass', { count: results.length, level: targetLevel });
+    summary.className = `theme-audit-summary ${failed ? 'fail' : 'pass'}`;
+    list.innerHTML = '';
+    results.forEach((result) => list.appendChild(contrastRow(result, current, applyFix)));
+  }
+  drawAudit();
+
+  const actions = el('div', 'theme-editor-actions');
+  actions.appendChild(button('theme-fix-all', 'auto_fix_high', t('themeEditor.fixAll', { level: targetLevel }), () => {
+    applyFix(autoFixColors(readThemeColors(), targetLevel));
+  }));
+  actions.appendChild(button('theme-save', 'save', t('themeEditor.saveAs'), () => {
+    const name = prompt(t('themeEditor.namePrompt'), t('themeEditor.defaultName'));
+    if (!name || !name.trim()) return;
+    const id = saveCustomTheme(name);
+    renderThemeEditor(container, { onChange });
+    onChange(id);
+  }));
+  const reset = button('theme-reset', 'restart_alt', t('themeEditor.reset'), () => {
+    if (!confirm(t('themeEditor.resetConfirm', { name: themeName(themeId) }))) return;
+    saveThemeAdjustments(themeId, {});
+    applyTheme(themeId);
+    renderThemeEditor(container, { onChange });
+  });
+  reset.disabled = !adjusted;
+  actions.appendChild(reset);
+  if (custom) {
+    actions.appendChild(button('theme-delete', 'delete', t('themeEditor.delete'), () => {
+      if (!confirm(t('themeEditor.deleteConfirm', { name: custom.name }))) return;
+      const id = deleteCustomTheme(themeId);
+      renderThemeEditor(container, { onChange });
+      onChange(id);
+    }));
+  }
+  container.appendChild(actions);
+}
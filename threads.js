@@ -0,0 +1,205 @@
+/*
+  threads.js
+
+  Multiple saved conversations ("threads") and the sidebar that lists them.
+
+  Storage format (localStorage key `loreal_chat_threads_v2`):
+    {
+      activeId: "t-...",
+      threads: [
+        { id, title, createdAt, updatedAt, messages: [{ role, content, timestamp, ... }] }
+      ]
+    }
+
+  The old single-conversation key `loreal_chat_history_v1` is migrated into a
+  thread the first time this file loads.
+
+  ES module imported by script.js, which owns the chat window and calls these
+  helpers to load, save and render threads.
+*/
+
+import { formatTime } from './chat-ui.js';
+import { t } from './i18n.js';
+
+export const THREADS_KEY = 'loreal_chat_threads_v2';
+export const LEGACY_HISTORY_KEY = 'loreal_chat_history_v1';
+// Saved title of a conversation that has no question yet; shown as threadTitle()
+export const DEFAULT_THREAD_TITLE = 'New chat';
+
+export function createThread(messages = []) {
+  const now = Date.now();
+  return {
+    id: `t-${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    title: messages.length ? titleFromMessages(messages) : DEFAULT_THREAD_TITLE,
+    createdAt: now,
+    updatedAt: now,
+    messages
+  };
+}
+
+// Title to show for `thread`: untitled conversations get "New chat" in the interface language
+export function threadTitle(thread) {
+  return thread.title === DEFAULT_THREAD_TITLE ? t('sidebar.newChat') : thread.title;
+}
+
+// Auto-title: the first question, shortened to fit the sidebar
+export function titleFromMessages(messages) {
+  const first = messages.find((m) => m.role === 'user' && m.content);
+  if (!first) return DEFAULT_THREAD_TITLE;
+  const text = first.content.replace(/\s+/g, ' ').trim();
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+// Move an existing v1 conversation into the new format (runs once)
+function migrateLegacyHistory() {
+  try {
+    const raw = localStorage.getItem(LEGACY_HISTORY_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed) || !parsed.length) return null;
+    const messages = parsed.filter((m) => m && (m.role === 'user' || m.role === 'assistant'));
+    const thread = createThread(messages);
+    const last = messages[messages.length - 1];
+    if (messages[0] && messages[0].timestamp) thread.createdAt = messages[0].timestamp;
+    if (last && last.timestamp) thread.updatedAt = last.timestamp;
+    return { activeId: thread.id, threads: [thread] };
+  } catch (e) {
+    console.warn('Failed to migrate saved history.');
+    return null;
+  }
+}
+
+// Load all threads. Always returns a store with at least one thread and a valid activeId.
+export function loadThreadStore() {
+  let store = null;
+  try {
+    const raw = localStorage.getItem(THREADS_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (parsed && Array.isArray(parsed.threads)) store = parsed;
+    }
+  } catch (e) {
+    console.warn('Failed to parse saved conversations, starting fresh.');
+    localStorage.removeItem(THREADS_KEY);
+  }
+
+  if (!store) {
+    store = migrateLegacyHistory() || { activeId: null, threads: [] };
+    saveThreadStore(store);
+    // The old key is only removed once the migrated copy is saved
+    try { if (localStorage.getItem(THREADS_KEY)) localStorage.removeItem(LEGACY_HISTORY_KEY); } catch (e) {}
+  }
+
+  // Drop malformed entries
+  store.threads = store.threads.filter((t) => t && t.id && Array.isArray(t.messages));
+  if (!store.threads.length) store.threads.push(createThread());
+  if (!findThread(store, store.activeId)) store.activeId = sortedThreads(store)[0].id;
+  return store;
+}
+
+export function saveThreadStore(store) {
+  try {
+    // Persist only user/assistant roles
+    const toSave = {
+      activeId: store.activeId,
+      threads: store.threads.map((t) => ({
+        ...t,
+        messages: t.messages.filter((m) => m.role === 'user' || m.role === 'assistant')
+      }))
+    };
+    localStorage.setItem(THREADS_KEY, JSON.stringify(toSave));
+  } catch (e) {
+    console.warn('Failed to save history:', e && e.message ? e.message : e);
+  }
+}
+
+export function findThread(store, id) {
+  return store.threads.find((t) => t.id === id) || null;
+}
+
+// Most recently updated first
+export function sortedThreads(store) {
+  return [...store.threads].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+// Search titles and message text across every thread.
+// Returns [{ thread, snippet }] where snippet is the first matching message (if any).
+export function searchThreads(store, query) {
+  const q = query.trim().toLowerCase();
+  const threads = sortedThreads(store);
+  if (!q) return threads.map((thread) => ({ thread, snippet: '' }));
+
+  const results = [];
+  threads.forEach((thread) => {
+    const titleMatch = threadTitle(thread).toLowerCase().includes(q);
+    const match = thread.messages.find((m) => typeof m.content === 'string' && m.content.toLowerCase().includes(q));
+    if (titleMatch || match) {
+      // Only show a snippet when the title alone doesn't explain the match
+      results.push({ thread, snippet: match && !titleMatch ? snippetAround(match.content, q) : '' });
+    }
+  });
+  return results;
+}
+
+// A short piece of text around the search match
+function snippetAround(text, q) {
+  const i = text.toLowerCase().indexOf(q);
+  const start = Math.max(0, i - 20);
+  const end = Math.min(text.length, i + q.length + 40);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+// Render the thread list in the sidebar.
+// handlers: { onSelect(id), onRename(id), onDelete(id) }
+export function renderThreadList(store, handlers, query = '') {
+  const list = document.getElementById('threadList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  const results = searchThreads(store, query);
+  if (!results.length) {
+    const empty = document.createElement('li');
+    empty.className = 'thread-empty';
+    empty.textContent = t('sidebar.empty');
+    list.appendChild(empty);
+    return;
+  }
+
+  results.forEach(({ thread, snippet }) => {
+    const item = document.createElement('li');
+    item.className = 'thread-item';
+    if (thread.id === store.activeId) item.classList.add('active');
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'thread-open';
+    if (thread.id === store.activeId) open.setAttribute('aria-current', 'true');
+    open.addEventListener('click', () => handlers.onSelect(thread.id));
+
+    const title = document.createElement('span');
+    title.className = 'thread-title';
+    title.textContent = threadTitle(thread);
+    open.appendChild(title);
+
+    const meta = document.createElement('span');
+    meta.className = 'thread-meta';
+    meta.textContent = snippet || formatTime(thread.updatedAt);
+    open.appendChild(meta);
+
+    item.appendChild(open);
+
+    // Small icon buttons for rename and delete
+    [['edit', 'thread.rename', handlers.onRename], ['delete', 'thread.delete', handlers.onDelete]].forEach(([icon, key, handler]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'thread-action';
+      btn.setAttribute('aria-label', t(`${key}Label`, { title: threadTitle(thread) }));
+      btn.title = t(key);
+      btn.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+      btn.addEventListener('click', () => handler(thread.id));
+      item.appendChild(btn);
+    });
+
+    list.appendChild(item);
+  });
+}
@@ -0,0 +1,314 @@
+/*
+  transcript.js
+
+  Export and import of conversations, so a routine can leave this browser:
+    - Markdown: a readable transcript with the recommended products
+    - JSON: the saved thread (messages, timestamps, product cards, routine plans,
+      ingredient checks, photo thumbnails, summary); the same file can be imported
+      again in any browser
+    - Print view: a printer-friendly routine sheet (use "Save as PDF" to keep it)
+
+  JSON export format:
+    { format: "loreal-chat-export", version: 1, exportedAt, threads: [thread, ...] }
+  where each thread looks like the ones in threads.js. Import also accepts the old
+  single-conversation format (a plain array of messages). Markdown and the print
+  view are written in the interface language (i18n.js).
+
+  ES module imported by script.js.
+*/
+
+import { renderMarkdown } from './markdown.js';
+import { formatTime } from './chat-ui.js';
+import { createThread, titleFromMessages, threadTitle, DEFAULT_THREAD_TITLE } from './threads.js';
+import { normalizeRoutine, routineToMarkdown, frequencyLabel } from './routine.js';
+import { normalizeIngredientReport, ingredientReportToMarkdown } from './ingredients.js';
+import { normalizePhoto } from './photos.js';
+import { t } from './i18n.js';
+
+export const EXPORT_FORMAT = 'loreal-chat-export';
+export const EXPORT_VERSION = 1;
+
+// Limits for imported files (they end up in localStorage, which holds ~5 MB)
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_THREADS = 100;
+const MAX_IMPORT_MESSAGES = 500;
+const MAX_IMPORT_CHARS = 20000;
+
+// —— Export ——
+
+// Products recommended anywhere in the conversation, first mention wins
+export function recommendedProducts(thread) {
+  const seen = new Map();
+  thread.messages.forEach((m) => {
+    if (m.role !== 'assistant' || !Array.isArray(m.products)) return;
+    m.products.forEach((p) => { if (p && p.id && !seen.has(p.id)) seen.set(p.id, p); });
+  });
+  return [...seen.values()];
+}
+
+export function conversationToMarkdown(thread) {
+  const lines = [`# ${threadTitle(thread)}`, ''];
+  lines.push(`_${t('export.exportedOn', { date: formatTime(Date.now()) })}_`, '');
+
+  const products = recommendedProducts(thread);
+  if (products.length) {
+    lines.push(`## ${t('export.products')}`, '');
+    products.forEach((p) => {
+      const name = p.url ? `[${p.name}](${p.url})` : p.name;
+      lines.push(`- **${name}** (${[p.brand, p.category].filter(Boolean).join(', ')})${p.reason ? ` — ${p.reason}` : ''}`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`## ${t('export.conversation')}`, '');
+  thread.messages.forEach((m) => {
+    const who = t(m.role === 'user' ? 'export.you' : 'export.advisor');
+    lines.push(`**${who}**${m.timestamp ? ` · ${formatTime(m.timestamp)}` : ''}`, '');
+    lines.push(m.content, '');
+    if (m.image) lines.push(`_${t('export.photo')}_`, '');
+    if (m.routine) lines.push(routineToMarkdown(m.routine));
+    if (m.ingredientCheck) lines.push(ingredientReportToMarkdown(m.ingredientCheck));
+  });
+  return lines.join('\n');
+}
+
+export function conversationToJson(thread) {
+  const { id, title, createdAt, updatedAt, messages, summary } = thread;
+  const exported = { id, title, createdAt, updatedAt, messages };
+  if (summary) exported.summary = summary;
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: Date.now(),
+    threads: [exported]
+  }, null, 2);
+}
+
+// File name like "loreal-chat-best-serum-for-dry-skin-2025-11-20.md"
+export function exportFileName(thread, extension) {
+  const slug = threadTitle(thread).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'conversation';
+  const date = new Date(thread.updatedAt || Date.now()).toISOString().slice(0, 10);
+  return `loreal-chat-${slug}-${date}.${extension}`;
+}
+
+// Save text as a file through a temporary download link
+export function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// —— Print view ——
+
+// Fill #printView (hidden on screen, the only thing shown when printing) with a
+// routine sheet for `thread`. `profileSummary` is the describeProfile() text.
+export function renderPrintView(thread, profileSummary) {
+  let view = document.getElementById('printView');
+  if (!view) {
+    view = document.createElement('section');
+    view.id = 'printView';
+    view.className = 'print-view';
+    view.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(view);
+  }
+  view.innerHTML = '';
+
+  const add = (tag, text, className) => {
+    const el = document.createElement(tag);
+    if (text) el.textContent = text;
+    if (className) el.className = className;
+    return el;
+  };
+
+  view.appendChild(add('h1', t('print.heading')));
+  view.appendChild(add('p', threadTitle(thread), 'print-title'));
+  const meta = [t('print.prepared', { date: formatTime(Date.now()) })];
+  if (profileSummary && profileSummary !== t('profile.notSet')) meta.push(t('print.profile', { profile: profileSummary }));
+  view.appendChild(add('p', meta.join(' · '), 'print-meta'));
+
+  const products = recommendedProducts(thread);
+  if (products.length) {
+    view.appendChild(add('h2', t('export.products')));
+    const list = add('ol', '', 'print-products');
+    products.forEach((p) => {
+      const item = add('li');
+      item.appendChild(add('strong', p.name));
+      item.appendChild(document.createTextNode(` — ${[p.brand, p.category].filter(Boolean).join(', ')}`));
+      if (p.reason) item.appendChild(add('p', p.reason, 'print-reason'));
+      // Printed links can't be clicked, so show the address
+      if (p.url) item.appendChild(add('p', p.url, 'print-url'));
+      list.appendChild(item);
+    });
+    view.appendChild(list);
+  }
+
+  view.appendChild(add('h2', t('print.advice')));
+  // Refusals are left out: they are not part of the routine
+  thread.messages.filter((m) => !m.refusal).forEach((m) => {
+    const entry = add('div', '', `print-message ${m.role}`);
+    const who = t(m.role === 'user' ? 'export.you' : 'export.advisor');
+    entry.appendChild(add('p', m.timestamp ? `${who} · ${formatTime(m.timestamp)}` : who, 'print-who'));
+    if (m.image) {
+      const photo = add('img', '', 'print-photo');
+      photo.src = m.image.thumbnail;
+      photo.alt = t('photo.sent');
+      entry.appendChild(photo);
+    }
+    const body = add('div', '', 'md-content');
+    body.appendChild(renderMarkdown(m.content));
+    if (m.ingredientCheck) body.appendChild(renderMarkdown(ingredientReportToMarkdown(m.ingredientCheck)));
+    entry.appendChild(body);
+    if (m.routine) entry.appendChild(printRoutine(m.routine, add));
+    view.appendChild(entry);
+  });
+  return view;
+}
+
+// A routine plan as printed lists, with empty boxes to tick off on paper
+function printRoutine(routine, add) {
+  const block = add('div', '', 'print-routine');
+  block.appendChild(add('h3', routine.title));
+  ['am', 'pm'].forEach((key) => {
+    if (!routine[key].length) return;
+    block.appendChild(add('p', t(`routine.${key}`), 'print-who'));
+    const list = add('ol');
+    routine[key].forEach((s) => {
+      const product = s.product ? ` — ${s.product.name}` : '';
+      const item = add('li', `${s.done ? '☑' : '☐'} ${s.step}${product} (${frequencyLabel(s.frequency)})`);
+      if (s.instructions) item.appendChild(add('p', s.instructions, 'print-reason'));
+      list.appendChild(item);
+    });
+    block.appendChild(list);
+  });
+  if (routine.cautions.length) {
+    block.appendChild(add('p', t('routine.cautions'), 'print-who'));
+    const list = add('ul');
+    routine.cautions.forEach((c) => list.appendChild(add('li', c)));
+    block.appendChild(list);
+  }
+  return block;
+}
+
+// —— Import ——
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+const str = (value, max = 200) => (typeof value === 'string' ? value.slice(0, max) : '');
+const time = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+// Product cards are rendered as links and images, so only keep http(s) addresses
+function sanitizeProduct(p) {
+  if (!p || typeof p !== 'object' || typeof p.id !== 'string' || typeof p.name !== 'string') return null;
+  return {
+    id: str(p.id, 80),
+    name: str(p.name),
+    brand: str(p.brand),
+    category: str(p.category, 40),
+    reason: str(p.reason, 500),
+    image: isHttpUrl(p.image) ? p.image : '',
+    url: isHttpUrl(p.url) ? p.url : ''
+  };
+}
+
+function sanitizeMessage(m) {
+  if (!m || (m.role !== 'user' && m.role !== 'assistant') || typeof m.content !== 'string') return null;
+  const message = { role: m.role, content: m.content.slice(0, MAX_IMPORT_CHARS) };
+  if (time(m.timestamp)) message.timestamp = m.timestamp;
+  // Photo thumbnails are shown as images, so only small image data URLs are kept
+  const image = m.role === 'user' ? normalizePhoto(m.image) : null;
+  if (image) message.image = image;
+  if (m.role === 'assistant') {
+    message.products = Array.isArray(m.products) ? m.products.map(sanitizeProduct).filter(Boolean) : [];
+    if (m.refusal === true) message.refusal = true;
+    const routine = normalizeRoutine(m.routine);
+    if (routine) message.routine = routine;
+    const ingredientCheck = normalizeIngredientReport(m.ingredientCheck);
+    if (ingredientCheck) message.ingredientCheck = ingredientCheck;
+  }
+  return message;
+}
+
+function sanitizeThread(t) {
+  const source = Array.isArray(t) ? { messages: t } : t;
+  if (!source || !Array.isArray(source.messages)) return null;
+  const messages = source.messages.slice(0, MAX_IMPORT_MESSAGES).map(sanitizeMessage).filter(Boolean);
+  if (!messages.length) return null;
+
+  const thread = createThread(messages);
+  if (typeof source.id === 'string' && /^[\w-]{1,80}$/.test(source.id)) thread.id = source.id;
+  if (typeof source.title === 'string' && source.title.trim()) thread.title = source.title.trim().slice(0, 80);
+  const first = messages.find((m) => m.timestamp);
+  const last = [...messages].reverse().find((m) => m.timestamp);
+  thread.createdAt = time(source.createdAt) || (first && first.timestamp) || thread.createdAt;
+  thread.updatedAt = time(source.updatedAt) || (last && last.timestamp) || thread.updatedAt;
+
+  const summary = source.summary;
+  if (summary && typeof summary.text === 'string' && Number.isInteger(summary.covered) && summary.covered > 0) {
+    thread.summary = {
+      text: summary.text.slice(0, 2000),
+      covered: Math.min(summary.covered, messages.length),
+      updatedAt: time(summary.updatedAt) || thread.updatedAt
+    };
+  }
+  return thread;
+}
+
+// Parse and validate an export file. Resolves to a list of clean threads or throws
+// an Error with a message that can be shown to the user.
+export function parseImport(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) throw new Error(t('import.fileEmpty'));
+  if (raw.length > MAX_IMPORT_BYTES) throw new Error(t('import.fileTooLarge'));
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(t('import.invalidJson'));
+  }
+
+  let candidates;
+  if (Array.isArray(data)) {
+    // Old single-conversation history (loreal_chat_history_v1)
+    candidates = [data];
+  } else if (data && data.format === EXPORT_FORMAT && Array.isArray(data.threads)) {
+    if (data.version > EXPORT_VERSION) throw new Error(t('import.newerVersion'));
+    candidates = data.threads;
+  } else {
+    throw new Error(t('import.notExport'));
+  }
+
+  const threads = candidates.slice(0, MAX_IMPORT_THREADS).map(sanitizeThread).filter(Boolean);
+  if (!threads.length) throw new Error(t('import.noMessages'));
+  return threads;
+}
+
+const sameMessages = (a, b) => a.length === b.length
+  && a.every((m, i) => m.role === b[i].role && m.content === b[i].content);
+
+// Add imported threads to the store. A thread that is already saved (same id and
+// messages) is skipped; a different thread with a clashing id is added as a copy.
+// Returns { added: [thread], skipped: number }.
+export function mergeImportedThreads(store, threads) {
+  const added = [];
+  let skipped = 0;
+  threads.forEach((thread) => {
+    const existing = store.threads.find((t) => t.id === thread.id)
+      || store.threads.find((t) => t.messages.length && sameMessages(t.messages, thread.messages));
+    if (existing && sameMessages(existing.messages, thread.messages)) {
+      skipped++;
+      return;
+    }
+    if (existing) {
+      thread.id = createThread().id;
+      thread.title = t('import.imported', { title: thread.title === DEFAULT_THREAD_TITLE ? titleFromMessages(thread.messages) : thread.title });
+    }
+    store.threads.push(thread);
+    added.push(thread);
+  });
+  return { added, skipped };
+}
@@ -0,0 +1,166 @@
+/*
+  voice.js
+
+  Voice input and spoken replies, for kiosk users who prefer talking to typing.
+
+  - Microphone: the browser's speech recognition (Web Speech API) when there is
+    one. Otherwise the question is recorded with MediaRecorder and transcribed by
+    the Worker (POST /transcribe, see worker/transcription.js). Either way the text
+    only fills the message box; the user still presses Send.
+  - Read aloud: when switched on, finished assistant replies are spoken with
+    speechSynthesis. The choice is saved in localStorage (READ_ALOUD_KEY), like
+    the theme.
+
+  ES module imported by script.js.
+*/
+
+import { t } from './i18n.js';
+
+export const READ_ALOUD_KEY = 'loreal_read_aloud';
+
+// Recordings stop by themselves after this long (the Worker caps the size too)
+const MAX_RECORDING_MS = 30000;
+// Longest text read aloud in one go
+const MAX_SPOKEN_CHARS = 3000;
+
+// Catalog keys (see i18n.js) for speech recognition and getUserMedia errors
+const ERROR_MESSAGES = {
+  'not-allowed': 'voice.blocked',
+  'service-not-allowed': 'voice.blocked',
+  NotAllowedError: 'voice.blocked',
+  NotFoundError: 'voice.noMicrophone',
+  'audio-capture': 'voice.noMicrophone',
+  'no-speech': 'voice.noSpeech',
+  network: 'voice.offline'
+};
+
+const errorMessage = (code) => t(ERROR_MESSAGES[code] || 'voice.failed');
+
+// How this browser can take voice input: 'speech' (recognized in the browser),
+// 'record' (recorded and sent to the Worker) or null (no microphone support)
+export function voiceInputMode() {
+  if (window.SpeechRecognition || window.webkitSpeechRecognition) return 'speech';
+  if (window.MediaRecorder && navigator.mediaDevices && navigator.mediaDevices.getUserMedia) return 'record';
+  return null;
+}
+
+function startRecognition({ lang, onText, onState, onError }) {
+  const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+  recognition.maxAlternatives = 1;
+
+  recognition.onresult = (e) => {
+    const results = [...e.results];
+    const text = results.map((r) => r[0].transcript).join('').trim();
+    onText(text, results.every((r) => r.isFinal));
+  };
+  recognition.onerror = (e) => {
+    // "aborted" is our own stop()
+    if (e.error !== 'aborted') onError(errorMessage(e.error));
+  };
+  recognition.onend = () => onState('idle');
+
+  recognition.start();
+  onState('listening');
+  return { stop: () => recognition.stop() };
+}
+
+function startRecording({ onText, onState, onError, transcribe }) {
+  let recorder = null;
+  let stream = null;
+  let stopped = false;
+  let timer = null;
+  const chunks = [];
+
+  const release = () => {
+    clearTimeout(timer);
+    if (stream) stream.getTracks().forEach((t) => t.stop());
+  };
+
+  onState('listening');
+  navigator.mediaDevices.getUserMedia({ audio: true }).then((s) => {
+    stream = s;
+    // Stop pressed while the browser was still asking for permission
+    if (stopped) {
+      release();
+      onState('idle');
+      return;
+    }
+    recorder = new window.MediaRecorder(stream);
+    recorder.addEventListener('dataavailable', (e) => { if (e.data && e.data.size) chunks.push(e.data); });
+    recorder.addEventListener('stop', async () => {
+      release();
+      const audio = new window.Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+      if (!audio.size) {
+        onError(errorMessage('no-speech'));
+        onState('idle');
+        return;
+      }
+      onState('transcribing');
+      try {
+        const text = await transcribe(audio);
+        if (text) onText(text, true);
+      } catch (err) {
+        if (!err || err.name !== 'AbortError') onError(err && err.message ? err.message : errorMessage());
+      } finally {
+        onState('idle');
+      }
+    });
+    recorder.start();
+    timer = setTimeout(() => recorder.state === 'recording' && recorder.stop(), MAX_RECORDING_MS);
+  }).catch((err) => {
+    onError(errorMessage(err && err.name));
+    onState('idle');
+  });
+
+  return {
+    stop() {
+      stopped = true;
+      if (recorder && recorder.state === 'recording') recorder.stop();
+    }
+  };
+}
+
+// Start listening for a spoken question. Returns { stop() }.
+//   lang              BCP 47 language for speech recognition, e.g. "en-US"
+//   onText(text, final)  recognized text so far (final once the user stops talking)
+//   onState(state)    'listening', 'transcribing' (recordings only) or 'idle'
+//   onError(message)  a message that can be shown to the user as is
+//   transcribe(blob)  resolves to the text of a recording (used without speech recognition)
+export function startVoiceInput(options) {
+  return voiceInputMode() === 'speech' ? startRecognition(options) : startRecording(options);
+}
+
+// —— Read aloud ——
+
+export function speechOutputSupported() {
+  return Boolean(window.speechSynthesis && typeof window.SpeechSynthesisUtterance === 'function');
+}
+
+export function loadReadAloud() {
+  try {
+    return localStorage.getItem(READ_ALOUD_KEY) === 'on';
+  } catch (e) {
+    return false;
+  }
+}
+
+export function saveReadAloud(on) {
+  try { localStorage.setItem(READ_ALOUD_KEY, on ? 'on' : 'off'); } catch (e) {}
+}
+
+// Speak `text`, interrupting anything that is still being read
+export function speak(text, lang) {
+  if (!speechOutputSupported() || !text) return;
+  window.speechSynthesis.cancel();
+  const utterance = new window.SpeechSynthesisUtterance(text.slice(0, MAX_SPOKEN_CHARS));
+  if (lang) utterance.lang = lang;
+  window.speechSynthesis.speak(utterance);
+}
+
+export function stopSpeaking() {
+  if (speechOutputSupported()) window.speechSynthesis.cancel();
+}
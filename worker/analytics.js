@@ -0,0 +1,220 @@
+// Answer feedback and anonymized per-turn analytics, plus the admin dashboard's data.
+//
+// Every chat reply (and refusal) gets a random `turn_id`, sent back to the client, and a
+// small record of how the turn went. No message text, IP address or session ID is kept:
+//
+//   turn:<turn_id>    { at, latency_ms, prompt_tokens, completion_tokens, total_tokens,
+//                       refusal, cached, error, interrupted, mode, language, photo, stream }
+//   rating:<turn_id>  { at, rating: "up" | "down" }                 (POST /feedback)
+//   report:<turn_id>  { at, turn_id, comment, messages }             (POST /feedback)
+//
+// A report carries the conversation up to the reported answer, which the user chose to
+// share; it is what the admin dashboard lists as a flagged conversation.
+// Records live in the ANALYTICS_KV binding (see storage.js) and expire after
+// ANALYTICS_RETENTION_DAYS (default 30). The admin routes need ADMIN_PASSWORD.
+
+import { storeFrom, listAll } from './storage.js';
+import { sanitizeMessages } from './guardrails.js';
+import { checkMessageLimits } from './limits.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const TURN_ID = /^[A-Za-z0-9-]{8,64}$/;
+const RATINGS = ['up', 'down', 'none'];
+const MAX_COMMENT_CHARS = 500;
+// Flagged conversations returned to the dashboard (newest first)
+const MAX_FLAGGED = 50;
+
+const store = (env) => storeFrom(env, 'ANALYTICS_KV');
+
+function retentionSeconds(env) {
+  const days = Number(env && env.ANALYTICS_RETENTION_DAYS);
+  return Math.round((Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS) * 86400);
+}
+
+// Records are stored as JSON and, when small, also as KV metadata (at most 1 KB), so
+// stats can be computed from a key listing without reading every value
+async function putRecord(env, key, record, metadata = record) {
+  await store(env).put(key, JSON.stringify(record), { metadata, expirationTtl: retentionSeconds(env) });
+}
+
+export function newTurnId() {
+  return crypto.randomUUID();
+}
+
+// —— Turns ——
+
+// Record of one chat turn. `usage` is the provider's token usage (null when it sent none);
+// only the main model call is counted, not the topic check or summaries. `cached` turns
+// were answered from the response cache (cache.js) without a model call. `error` is the
+// error code of a turn whose model call failed; `interrupted` turns stopped before the
+// reply was complete (the user pressed Stop or the stream broke off).
+export function turnRecord({ started, usage = null, refusal = false, cached = false, error = null, interrupted = false, mode = 'chat', language = null, photo = false, stream = false }) {
+  const tokens = (name) => (usage && Number.isFinite(usage[name]) ? usage[name] : null);
+  return {
+    at: Date.now(),
+    latency_ms: Date.now() - started,
+    prompt_tokens: tokens('prompt_tokens'),
+    completion_tokens: tokens('completion_tokens'),
+    total_tokens: tokens('total_tokens'),
+    refusal,
+    cached,
+    error,
+    interrupted,
+    mode,
+    language,
+    photo,
+    stream
+  };
+}
+
+export async function recordTurn(env, turnId, record) {
+  await putRecord(env, `turn:${turnId}`, record);
+}
+
+// —— Feedback ——
+
+// Check a POST /feedback body: { turn_id, rating: "up" | "down" | "none" } or
+// { turn_id, rating: "report", comment?, messages }. Returns an error message or null.
+export function validateFeedback(body, env) {
+  if (!body || typeof body !== 'object') return 'Expected a JSON object';
+  if (typeof body.turn_id !== 'string' || !TURN_ID.test(body.turn_id)) return 'turn_id is missing or invalid';
+  if (body.rating === 'report') {
+    if (body.comment !== undefined && typeof body.comment !== 'string') return 'comment must be a string';
+    if (typeof body.comment === 'string' && body.comment.length > MAX_COMMENT_CHARS) {
+      return `comment is too long (max ${MAX_COMMENT_CHARS} characters)`;
+    }
+    if (!sanitizeMessages(body.messages).length) return 'messages must include the reported conversation';
+    return checkMessageLimits(body.messages, env);
+  }
+  if (!RATINGS.includes(body.rating)) return 'rating must be "up", "down", "none" or "report"';
+  return null;
+}
+
+// Save validated feedback for a turn the Worker answered. Resolves to true, or false
+// when the turn is unknown (never recorded, or expired).
+export async function recordFeedback(env, body) {
+  const turnId = body.turn_id;
+  if (!(await store(env).get(`turn:${turnId}`))) return false;
+  if (body.rating === 'report') {
+    const at = Date.now();
+    await putRecord(env, `report:${turnId}`, {
+      at,
+      turn_id: turnId,
+      comment: (body.comment || '').trim(),
+      messages: sanitizeMessages(body.messages)
+    }, { at });
+  } else if (body.rating === 'none') {
+    await store(env).delete(`rating:${turnId}`);
+  } else {
+    await putRecord(env, `rating:${turnId}`, { at: Date.now(), rating: body.rating });
+  }
+  return true;
+}
+
+// —— Admin ——
+
+// Compare secrets without leaking where they differ (both are hashed to the same length)
+async function sameSecret(a, b) {
+  const encoder = new TextEncoder();
+  const [x, y] = await Promise.all([a, b].map((s) => crypto.subtle.digest('SHA-256', encoder.encode(s))));
+  const left = new Uint8Array(x);
+  const right = new Uint8Array(y);
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) diff |= left[i] ^ right[i];
+  return diff === 0;
+}
+
+// Admin requests send `Authorization: Bearer <ADMIN_PASSWORD>`.
+// Resolves to null when allowed, or { status, code, message }.
+export async function checkAdmin(request, env) {
+  const password = env && env.ADMIN_PASSWORD;
+  if (!password) {
+    return { status: 503, code: 'admin_unavailable', message: 'The admin dashboard is not configured on this server (set ADMIN_PASSWORD).' };
+  }
+  const match = /^Bearer (.+)$/.exec(request.headers.get('Authorization') || '');
+  if (!match || !(await sameSecret(match[1], password))) {
+    return { status: 401, code: 'unauthorized', message: 'Wrong admin password.' };
+  }
+  return null;
+}
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+const average = (values) => (values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.ceil(p * sorted.length) - 1] : null);
+const day = (at) => new Date(at).toISOString().slice(0, 10);
+
+// Aggregate stats from turn, rating and report records
+export function summarizeAnalytics(turns, ratings, reports) {
+  const refusals = turns.filter((t) => t.refusal).length;
+  const errors = turns.filter((t) => t.error).length;
+  const interrupted = turns.filter((t) => t.interrupted).length;
+  const cached = turns.filter((t) => t.cached).length;
+  // Latency of turns that got an answer (refusals and failures are not answers)
+  const latencies = turns.filter((t) => !t.refusal && !t.error).map((t) => t.latency_ms).filter(Number.isFinite).sort((a, b) => a - b);
+  const withUsage = turns.filter((t) => Number.isFinite(t.total_tokens));
+  const sum = (name) => withUsage.reduce((total, t) => total + (t[name] || 0), 0);
+  const up = ratings.filter((r) => r.rating === 'up').length;
+  const down = ratings.filter((r) => r.rating === 'down').length;
+
+  const days = new Map();
+  const dayEntry = (at) => {
+    const key = day(at);
+    if (!days.has(key)) days.set(key, { date: key, turns: 0, refusals: 0, errors: 0, up: 0, down: 0, reports: 0 });
+    return days.get(key);
+  };
+  turns.forEach((t) => {
+    const entry = dayEntry(t.at);
+    entry.turns++;
+    if (t.refusal) entry.refusals++;
+    if (t.error) entry.errors++;
+  });
+  ratings.forEach((r) => { dayEntry(r.at)[r.rating]++; });
+  reports.forEach((r) => { dayEntry(r.at).reports++; });
+
+  return {
+    turns: turns.length,
+    refusals,
+    refusal_rate: ratio(refusals, turns.length),
+    errors,
+    error_rate: ratio(errors, turns.length),
+    interrupted,
+    cached,
+    cache_hit_rate: ratio(cached, turns.length - refusals - errors),
+    latency_ms: { average: average(latencies), median: percentile(latencies, 0.5), p95: percentile(latencies, 0.95) },
+    tokens: {
+      prompt: sum('prompt_tokens'),
+      completion: sum('completion_tokens'),
+      total: sum('total_tokens'),
+      average_per_turn: average(withUsage.map((t) => t.total_tokens))
+    },
+    feedback: { up, down, reports: reports.length, helpful_rate: ratio(up, up + down) },
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+const metadataOf = async (env, prefix) => (await listAll(store(env), prefix)).map((k) => k.metadata).filter(Boolean);
+
+// GET /admin/stats
+export async function adminStats(env) {
+  const [turns, ratings, reports] = await Promise.all(['turn:', 'rating:', 'report:'].map((prefix) => metadataOf(env, prefix)));
+  return summarizeAnalytics(turns, ratings, reports);
+}
+
+// GET /admin/flagged: reported conversations, newest first, with the reported turn's record
+export async function flaggedConversations(env) {
+  const keys = await listAll(store(env), 'report:');
+  const newest = keys
+    .sort((a, b) => ((b.metadata && b.metadata.at) || 0) - ((a.metadata && a.metadata.at) || 0))
+    .slice(0, MAX_FLAGGED);
+  const read = async (key) => {
+    const value = await store(env).get(key);
+    try { return value ? JSON.parse(value) : null; } catch (e) { return null; }
+  };
+  const reports = await Promise.all(newest.map(async (k) => {
+    const report = await read(k.name);
+    if (!report) return null;
+    return { ...report, turn: await read(`turn:${report.turn_id}`), rating: await read(`rating:${report.turn_id}`) };
+  }));
+  return { reports: reports.filter(Boolean), total: keys.length };
+}
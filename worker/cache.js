@@ -0,0 +1,95 @@
+// Response cache for common first questions ("best shampoo for dry hair?"), so the same
+// question from many users costs one model call.
+//
+// Only the first turn of a conversation is cached: a single user message, with no photo
+// and no summary. The key is a hash of everything that shapes the answer: the question
+// (ignoring case, spacing and trailing punctuation), the beauty profile (ignoring the
+// order of its concerns), the reply language, the mode, the provider's chat model (the
+// deployment on Azure) and SYSTEM_PROMPT_VERSION, so a new prompt or model starts with
+// an empty cache.
+//
+// The finished reply is cached (text, product cards, routine plan, ingredient check), not
+// the raw model output, and is sent back as JSON or as a stream, whichever the client
+// asked for. Chat responses say how they were served in the `X-Cache` header:
+//   HIT     from the cache, without calling the model
+//   MISS    not cached yet: answered by the model (and cached if it was a full answer)
+//   BYPASS  not cacheable (later turn, photo, caching off) or the client skipped the cache
+//
+// Clients skip the cache with a `Cache-Control` request header:
+//   no-cache  answer fresh and replace the cached reply
+//   no-store  answer fresh and leave the cache alone
+//
+// RESPONSE_CACHE_TTL is how many seconds a reply stays cached (KV needs at least 60);
+// unset or 0 turns caching off. Entries live in the RESPONSE_CACHE_KV binding (see
+// storage.js). POST /admin/cache/purge empties the cache.
+
+import { storeFrom, listAll } from './storage.js';
+import { sanitizeProfile } from './profile.js';
+import { SYSTEM_PROMPT_VERSION } from './guardrails.js';
+
+const MIN_TTL_SECONDS = 60;
+const PREFIX = 'reply:';
+
+const store = (env) => storeFrom(env, 'RESPONSE_CACHE_KV');
+
+// Cache lifetime in seconds, or 0 when caching is off
+export function cacheTtl(env) {
+  const ttl = Number(env && env.RESPONSE_CACHE_TTL);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.max(MIN_TTL_SECONDS, Math.round(ttl)) : 0;
+}
+
+// Questions that differ only in case, spacing, curly quotes or trailing punctuation share
+// an entry
+export function normalizeQuestion(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[¿¡]+/, '')
+    .replace(/[\s?!.¿¡]+$/, '');
+}
+
+// Whether to look the turn up in the cache and whether to cache a fresh answer
+export function cachePolicy(request, env, { conversation, memory, image }) {
+  const firstTurn = conversation.length === 1 && conversation[0].role === 'user' && !memory && !image;
+  if (!cacheTtl(env) || !firstTurn) return { lookup: false, store: false };
+  const directives = (request.headers.get('Cache-Control') || '').toLowerCase();
+  const noStore = directives.includes('no-store');
+  return { lookup: !noStore && !directives.includes('no-cache'), store: !noStore };
+}
+
+// Cache key for a first question. `model` identifies what answers it (provider and model
+// or deployment).
+export async function cacheKey({ question, profile, language, mode, model }) {
+  const clean = sanitizeProfile(profile);
+  if (clean) clean.concerns.sort();
+  const material = JSON.stringify([SYSTEM_PROMPT_VERSION, mode, model, language, clean, normalizeQuestion(question)]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return PREFIX + [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The cached reply ({ content, products, routine?, ingredient_check? }) or null. A broken
+// cache never breaks a reply: read errors count as a miss.
+export async function readCachedReply(env, key) {
+  try {
+    const value = await store(env).get(key);
+    const reply = value ? JSON.parse(value) : null;
+    return reply && typeof reply.content === 'string' ? reply : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export async function cacheReply(env, key, reply) {
+  const at = Date.now();
+  await store(env).put(key, JSON.stringify({ ...reply, at }), { metadata: { at }, expirationTtl: cacheTtl(env) });
+}
+
+// POST /admin/cache/purge: drop every cached reply
+export async function purgeCache(env) {
+  const keys = await listAll(store(env), PREFIX);
+  await Promise.all(keys.map((k) => store(env).delete(k.name)));
+  return { purged: keys.length };
+}
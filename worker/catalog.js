@@ -0,0 +1,509 @@
+// Local product catalog owned by the Worker.
+// The retriever (retrieval.js) searches these entries for every user turn so the
+// model only recommends real products instead of inventing names and shades.
+//
+// Each product has:
+//   id          - stable identifier returned to the client as a citation
+//   brand       - L'Oréal group brand
+//   name        - exact product name (the model is told to use it verbatim)
+//   category    - skincare | makeup | haircare | fragrance | men
+//   description - one short sentence
+//   ingredients - key ingredients
+//   skinTypes / hairTypes - who the product is for ('all' when it suits everyone)
+//   concerns    - problems the product addresses
+//   priceTier   - $ (drugstore), $$ (mid-range), $$$ (prestige)
+//   url         - brand website
+//   image       - optional product photo URL (cards show a category icon without one)
+
+export const PRODUCTS = [
+  // —— Skincare ——
+  {
+    id: 'lp-revitalift-ha-serum',
+    brand: "L'Oréal Paris",
+    name: 'Revitalift Derm Intensives 1.5% Pure Hyaluronic Acid Serum',
+    category: 'skincare',
+    description: 'Lightweight serum that plumps and hydrates skin and softens the look of fine lines.',
+    ingredients: ['hyaluronic acid'],
+    skinTypes: ['all', 'dry', 'normal', 'combination', 'sensitive'],
+    hairTypes: [],
+    concerns: ['dehydration', 'fine lines', 'wrinkles', 'dullness'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'lp-revitalift-vitc-serum',
+    brand: "L'Oréal Paris",
+    name: 'Revitalift Derm Intensives 10% Pure Vitamin C Serum',
+    category: 'skincare',
+    description: 'Brightening serum that evens skin tone and boosts radiance.',
+    ingredients: ['vitamin c', 'vitamin e', 'salicylic acid'],
+    skinTypes: ['normal', 'combination', 'oily'],
+    hairTypes: [],
+    concerns: ['dullness', 'dark spots', 'uneven tone'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'lp-revitalift-retinol-serum',
+    brand: "L'Oréal Paris",
+    name: 'Revitalift Triple Power Retinol Night Serum',
+    category: 'skincare',
+    description: 'Night serum with pure retinol that reduces the look of wrinkles and refines texture.',
+    ingredients: ['retinol'],
+    skinTypes: ['normal', 'combination', 'oily', 'dry'],
+    hairTypes: [],
+    concerns: ['wrinkles', 'fine lines', 'texture', 'aging'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'lp-age-perfect-day-cream',
+    brand: "L'Oréal Paris",
+    name: 'Age Perfect Rosy Tone Moisturizer',
+    category: 'skincare',
+    description: 'Rich day cream for mature skin that restores a rosy, healthy glow.',
+    ingredients: ['lha', 'imperial peony'],
+    skinTypes: ['dry', 'mature', 'normal'],
+    hairTypes: [],
+    concerns: ['aging', 'dullness', 'dryness'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'cerave-hydrating-cleanser',
+    brand: 'CeraVe',
+    name: 'Hydrating Facial Cleanser',
+    category: 'skincare',
+    description: 'Gentle, non-foaming cleanser that removes dirt without disrupting the skin barrier.',
+    ingredients: ['ceramides', 'hyaluronic acid', 'glycerin'],
+    skinTypes: ['dry', 'normal', 'sensitive'],
+    hairTypes: [],
+    concerns: ['dryness', 'sensitivity', 'barrier'],
+    priceTier: '$',
+    url: 'https://www.cerave.com/'
+  },
+  {
+    id: 'cerave-foaming-cleanser',
+    brand: 'CeraVe',
+    name: 'Foaming Facial Cleanser',
+    category: 'skincare',
+    description: 'Foaming gel cleanser that removes excess oil while keeping the skin barrier intact.',
+    ingredients: ['ceramides', 'niacinamide', 'hyaluronic acid'],
+    skinTypes: ['oily', 'combination', 'normal'],
+    hairTypes: [],
+    concerns: ['oiliness', 'shine', 'clogged pores'],
+    priceTier: '$',
+    url: 'https://www.cerave.com/'
+  },
+  {
+    id: 'cerave-moisturizing-cream',
+    brand: 'CeraVe',
+    name: 'Moisturizing Cream',
+    category: 'skincare',
+    description: 'Rich, fragrance-free cream for face and body that restores the protective barrier.',
+    ingredients: ['ceramides', 'hyaluronic acid', 'petrolatum'],
+    skinTypes: ['dry', 'very dry', 'sensitive', 'eczema-prone'],
+    hairTypes: [],
+    concerns: ['dryness', 'barrier', 'itchiness', 'eczema'],
+    priceTier: '$',
+    url: 'https://www.cerave.com/'
+  },
+  {
+    id: 'cerave-sa-cleanser',
+    brand: 'CeraVe',
+    name: 'SA Smoothing Cleanser',
+    category: 'skincare',
+    description: 'Exfoliating cleanser that softens rough, bumpy skin.',
+    ingredients: ['salicylic acid', 'ceramides', 'niacinamide'],
+    skinTypes: ['oily', 'combination', 'normal'],
+    hairTypes: [],
+    concerns: ['texture', 'rough skin', 'clogged pores', 'acne'],
+    priceTier: '$',
+    url: 'https://www.cerave.com/'
+  },
+  {
+    id: 'lrp-effaclar-duo',
+    brand: 'La Roche-Posay',
+    name: 'Effaclar Duo Acne Spot Treatment',
+    category: 'skincare',
+    description: 'Benzoyl peroxide treatment that clears blemishes and helps prevent new breakouts.',
+    ingredients: ['benzoyl peroxide', 'lha'],
+    skinTypes: ['oily', 'combination', 'acne-prone'],
+    hairTypes: [],
+    concerns: ['acne', 'breakouts', 'blemishes'],
+    priceTier: '$$',
+    url: 'https://www.laroche-posay.us/'
+  },
+  {
+    id: 'lrp-toleriane-double-repair',
+    brand: 'La Roche-Posay',
+    name: 'Toleriane Double Repair Face Moisturizer',
+    category: 'skincare',
+    description: 'Oil-free daily moisturizer that repairs the skin barrier in one hour.',
+    ingredients: ['ceramides', 'niacinamide', 'glycerin', 'prebiotic thermal water'],
+    skinTypes: ['sensitive', 'normal', 'dry', 'combination'],
+    hairTypes: [],
+    concerns: ['sensitivity', 'barrier', 'dryness', 'redness'],
+    priceTier: '$$',
+    url: 'https://www.laroche-posay.us/'
+  },
+  {
+    id: 'lrp-anthelios-melt-in',
+    brand: 'La Roche-Posay',
+    name: 'Anthelios Melt-in Milk Sunscreen SPF 60',
+    category: 'skincare',
+    description: 'Broad-spectrum, fast-absorbing sunscreen for face and body.',
+    ingredients: ['avobenzone', 'homosalate', 'octocrylene', 'antioxidants'],
+    skinTypes: ['all', 'sensitive'],
+    hairTypes: [],
+    concerns: ['sun protection', 'spf', 'aging', 'dark spots'],
+    priceTier: '$$',
+    url: 'https://www.laroche-posay.us/'
+  },
+  {
+    id: 'lrp-cicaplast-baume',
+    brand: 'La Roche-Posay',
+    name: 'Cicaplast Baume B5',
+    category: 'skincare',
+    description: 'Soothing multi-purpose balm for dry, irritated skin.',
+    ingredients: ['panthenol', 'madecassoside', 'shea butter'],
+    skinTypes: ['sensitive', 'dry', 'very dry'],
+    hairTypes: [],
+    concerns: ['irritation', 'dryness', 'redness', 'barrier'],
+    priceTier: '$$',
+    url: 'https://www.laroche-posay.us/'
+  },
+  {
+    id: 'vichy-mineral-89',
+    brand: 'Vichy',
+    name: 'Minéral 89 Hyaluronic Acid Face Serum',
+    category: 'skincare',
+    description: 'Daily booster with volcanic water and hyaluronic acid that strengthens and hydrates.',
+    ingredients: ['hyaluronic acid', 'volcanic water'],
+    skinTypes: ['all', 'sensitive'],
+    hairTypes: [],
+    concerns: ['dehydration', 'barrier', 'dullness'],
+    priceTier: '$$',
+    url: 'https://www.vichyusa.com/'
+  },
+  {
+    id: 'kiehls-ultra-facial-cream',
+    brand: "Kiehl's",
+    name: 'Ultra Facial Cream',
+    category: 'skincare',
+    description: 'Lightweight 24-hour moisturizer with squalane and glacial glycoprotein.',
+    ingredients: ['squalane', 'glycerin', 'glacial glycoprotein'],
+    skinTypes: ['all', 'dry', 'normal', 'combination'],
+    hairTypes: [],
+    concerns: ['dryness', 'dehydration'],
+    priceTier: '$$',
+    url: 'https://www.kiehls.com/'
+  },
+  {
+    id: 'kiehls-midnight-recovery',
+    brand: "Kiehl's",
+    name: 'Midnight Recovery Concentrate',
+    category: 'skincare',
+    description: 'Botanical face oil that replenishes skin overnight for a restored look by morning.',
+    ingredients: ['evening primrose oil', 'lavender essential oil', 'squalane'],
+    skinTypes: ['dry', 'normal', 'mature'],
+    hairTypes: [],
+    concerns: ['dullness', 'dryness', 'fatigue'],
+    priceTier: '$$$',
+    url: 'https://www.kiehls.com/'
+  },
+  {
+    id: 'lancome-advanced-genifique',
+    brand: 'Lancôme',
+    name: 'Advanced Génifique Face Serum',
+    category: 'skincare',
+    description: 'Prestige serum with pre- and probiotic fractions for radiant, resilient skin.',
+    ingredients: ['bifidus prebiotic', 'hyaluronic acid'],
+    skinTypes: ['all', 'mature'],
+    hairTypes: [],
+    concerns: ['aging', 'dullness', 'fine lines', 'barrier'],
+    priceTier: '$$$',
+    url: 'https://www.lancome-usa.com/'
+  },
+  {
+    id: 'garnier-micellar-water',
+    brand: 'Garnier',
+    name: 'SkinActive Micellar Cleansing Water All-in-1',
+    category: 'skincare',
+    description: 'No-rinse micellar water that removes makeup and cleanses in one step.',
+    ingredients: ['micelles', 'glycerin'],
+    skinTypes: ['all', 'sensitive'],
+    hairTypes: [],
+    concerns: ['makeup removal', 'cleansing'],
+    priceTier: '$',
+    url: 'https://www.garnierusa.com/'
+  },
+  {
+    id: 'garnier-vitc-serum',
+    brand: 'Garnier',
+    name: 'SkinActive Vitamin C Brightening Serum',
+    category: 'skincare',
+    description: 'Brightening serum that targets dark spots and dullness.',
+    ingredients: ['vitamin c', 'niacinamide', 'salicylic acid'],
+    skinTypes: ['normal', 'oily', 'combination'],
+    hairTypes: [],
+    concerns: ['dark spots', 'dullness', 'uneven tone'],
+    priceTier: '$',
+    url: 'https://www.garnierusa.com/'
+  },
+
+  // —— Makeup ——
+  {
+    id: 'lp-true-match-foundation',
+    brand: "L'Oréal Paris",
+    name: 'True Match Super-Blendable Foundation',
+    category: 'makeup',
+    description: 'Medium-coverage foundation in a wide shade range matched to warm, neutral and cool undertones.',
+    ingredients: ['glycerin'],
+    skinTypes: ['all', 'normal', 'combination', 'dry'],
+    hairTypes: [],
+    concerns: ['coverage', 'shade matching', 'uneven tone'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'lp-infallible-24h-foundation',
+    brand: "L'Oréal Paris",
+    name: 'Infallible 24H Fresh Wear Foundation',
+    category: 'makeup',
+    description: 'Long-wear, breathable foundation with a matte finish and SPF.',
+    ingredients: ['spf'],
+    skinTypes: ['oily', 'combination', 'normal'],
+    hairTypes: [],
+    concerns: ['long wear', 'shine', 'oiliness', 'coverage'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'lp-voluminous-mascara',
+    brand: "L'Oréal Paris",
+    name: 'Voluminous Original Mascara',
+    category: 'makeup',
+    description: 'Classic volumizing mascara that builds lashes up to five times their natural thickness.',
+    ingredients: [],
+    skinTypes: ['all'],
+    hairTypes: [],
+    concerns: ['lash volume', 'eyes'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'maybelline-fit-me',
+    brand: 'Maybelline New York',
+    name: 'Fit Me Matte + Poreless Foundation',
+    category: 'makeup',
+    description: 'Lightweight matte foundation that blurs pores and controls shine.',
+    ingredients: ['clay'],
+    skinTypes: ['oily', 'combination', 'normal'],
+    hairTypes: [],
+    concerns: ['shine', 'pores', 'oiliness', 'coverage'],
+    priceTier: '$',
+    url: 'https://www.maybelline.com/'
+  },
+  {
+    id: 'maybelline-sky-high',
+    brand: 'Maybelline New York',
+    name: 'Lash Sensational Sky High Mascara',
+    category: 'makeup',
+    description: 'Lengthening mascara with a flexible brush for sky-high lashes.',
+    ingredients: ['bamboo extract', 'fibers'],
+    skinTypes: ['all'],
+    hairTypes: [],
+    concerns: ['lash length', 'eyes'],
+    priceTier: '$',
+    url: 'https://www.maybelline.com/'
+  },
+  {
+    id: 'maybelline-superstay-matte-ink',
+    brand: 'Maybelline New York',
+    name: 'SuperStay Matte Ink Liquid Lipstick',
+    category: 'makeup',
+    description: 'Long-lasting liquid lipstick with up to 16 hours of matte color.',
+    ingredients: [],
+    skinTypes: ['all'],
+    hairTypes: [],
+    concerns: ['long wear', 'lips'],
+    priceTier: '$',
+    url: 'https://www.maybelline.com/'
+  },
+  {
+    id: 'nyx-setting-spray',
+    brand: 'NYX Professional Makeup',
+    name: 'Matte Finish Setting Spray',
+    category: 'makeup',
+    description: 'Lightweight setting spray that keeps makeup in place with a matte finish.',
+    ingredients: [],
+    skinTypes: ['oily', 'combination', 'normal'],
+    hairTypes: [],
+    concerns: ['long wear', 'shine'],
+    priceTier: '$',
+    url: 'https://www.nyxcosmetics.com/'
+  },
+  {
+    id: 'lancome-teint-idole',
+    brand: 'Lancôme',
+    name: 'Teint Idole Ultra Long Wear Foundation',
+    category: 'makeup',
+    description: 'Full-coverage, transfer-resistant prestige foundation with a natural matte finish.',
+    ingredients: ['spf'],
+    skinTypes: ['all', 'oily', 'combination', 'normal'],
+    hairTypes: [],
+    concerns: ['coverage', 'long wear', 'shade matching'],
+    priceTier: '$$$',
+    url: 'https://www.lancome-usa.com/'
+  },
+
+  // —— Haircare ——
+  {
+    id: 'lp-elvive-hyaluron-plump',
+    brand: "L'Oréal Paris",
+    name: 'Elvive Hyaluron Plump Shampoo',
+    category: 'haircare',
+    description: 'Moisturizing shampoo that hydrates and plumps dry, dehydrated hair.',
+    ingredients: ['hyaluronic acid'],
+    skinTypes: [],
+    hairTypes: ['dry', 'dehydrated', 'straight', 'wavy'],
+    concerns: ['dryness', 'frizz', 'dull hair'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'lp-elvive-bond-repair',
+    brand: "L'Oréal Paris",
+    name: 'Elvive Total Repair 5 Repairing Shampoo',
+    category: 'haircare',
+    description: 'Repairing shampoo for damaged hair that targets split ends, weakness and roughness.',
+    ingredients: ['protein', 'ceramide'],
+    skinTypes: [],
+    hairTypes: ['damaged', 'color-treated', 'dry'],
+    concerns: ['damage', 'split ends', 'breakage'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+  {
+    id: 'garnier-fructis-sleek-shine',
+    brand: 'Garnier',
+    name: 'Fructis Sleek & Shine Shampoo',
+    category: 'haircare',
+    description: 'Smoothing shampoo that tames frizz for sleek, shiny hair.',
+    ingredients: ['argan oil', 'plant keratin'],
+    skinTypes: [],
+    hairTypes: ['frizzy', 'dry', 'wavy', 'curly'],
+    concerns: ['frizz', 'dryness', 'shine'],
+    priceTier: '$',
+    url: 'https://www.garnierusa.com/'
+  },
+  {
+    id: 'kerastase-nutritive-bain',
+    brand: 'Kérastase',
+    name: 'Nutritive Bain Satin Riche Shampoo',
+    category: 'haircare',
+    description: 'Nourishing salon shampoo for very dry hair.',
+    ingredients: ['niacinamide', 'plant proteins'],
+    skinTypes: [],
+    hairTypes: ['very dry', 'dry', 'thick', 'curly'],
+    concerns: ['dryness', 'nourishment'],
+    priceTier: '$$$',
+    url: 'https://www.kerastase-usa.com/'
+  },
+  {
+    id: 'kerastase-elixir-ultime',
+    brand: 'Kérastase',
+    name: 'Elixir Ultime Original Hair Oil',
+    category: 'haircare',
+    description: 'Multi-purpose hair oil that adds shine and protects from heat.',
+    ingredients: ['marula oil', 'camellia oil', 'argan oil'],
+    skinTypes: [],
+    hairTypes: ['all', 'dry', 'frizzy', 'curly'],
+    concerns: ['shine', 'frizz', 'heat protection'],
+    priceTier: '$$$',
+    url: 'https://www.kerastase-usa.com/'
+  },
+  {
+    id: 'redken-acidic-bonding',
+    brand: 'Redken',
+    name: 'Acidic Bonding Concentrate Shampoo',
+    category: 'haircare',
+    description: 'Sulfate-free salon shampoo that strengthens damaged and color-treated hair.',
+    ingredients: ['citric acid', 'bonding care complex'],
+    skinTypes: [],
+    hairTypes: ['damaged', 'color-treated', 'bleached'],
+    concerns: ['damage', 'breakage', 'color protection'],
+    priceTier: '$$',
+    url: 'https://www.redken.com/'
+  },
+  {
+    id: 'lp-excellence-creme',
+    brand: "L'Oréal Paris",
+    name: 'Excellence Crème Permanent Hair Color',
+    category: 'haircare',
+    description: 'At-home permanent hair color with 100% gray coverage.',
+    ingredients: ['pro-keratin', 'ceramide'],
+    skinTypes: [],
+    hairTypes: ['all', 'gray'],
+    concerns: ['hair color', 'gray coverage'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  },
+
+  // —— Fragrance ——
+  {
+    id: 'lancome-la-vie-est-belle',
+    brand: 'Lancôme',
+    name: 'La Vie Est Belle Eau de Parfum',
+    category: 'fragrance',
+    description: 'Sweet gourmand floral fragrance with iris, praline and vanilla.',
+    ingredients: ['iris', 'praline', 'vanilla', 'patchouli'],
+    skinTypes: [],
+    hairTypes: [],
+    concerns: ['fragrance', 'gift'],
+    priceTier: '$$$',
+    url: 'https://www.lancome-usa.com/'
+  },
+  {
+    id: 'ysl-libre',
+    brand: 'YSL Beauty',
+    name: 'Libre Eau de Parfum',
+    category: 'fragrance',
+    description: 'Floral lavender fragrance with orange blossom and a warm musky base.',
+    ingredients: ['lavender', 'orange blossom', 'vanilla', 'musk'],
+    skinTypes: [],
+    hairTypes: [],
+    concerns: ['fragrance', 'gift'],
+    priceTier: '$$$',
+    url: 'https://www.yslbeautyus.com/'
+  },
+  {
+    id: 'armani-acqua-di-gio',
+    brand: 'Giorgio Armani Beauty',
+    name: 'Acqua di Giò Eau de Toilette',
+    category: 'fragrance',
+    description: 'Fresh aquatic fragrance with marine and citrus notes.',
+    ingredients: ['bergamot', 'marine notes', 'rosemary', 'patchouli'],
+    skinTypes: [],
+    hairTypes: [],
+    concerns: ['fragrance', 'gift'],
+    priceTier: '$$$',
+    url: 'https://www.giorgioarmanibeauty-usa.com/'
+  },
+
+  // —— Men ——
+  {
+    id: 'lp-men-expert-hydra-energetic',
+    brand: "L'Oréal Paris",
+    name: 'Men Expert Hydra Energetic Daily Moisturizer',
+    category: 'men',
+    description: 'Non-greasy daily moisturizer that fights signs of fatigue.',
+    ingredients: ['vitamin c', 'taurine'],
+    skinTypes: ['normal', 'combination', 'oily'],
+    hairTypes: [],
+    concerns: ['fatigue', 'dullness', 'dehydration'],
+    priceTier: '$',
+    url: 'https://www.lorealparisusa.com/'
+  }
+];
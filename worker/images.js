@@ -0,0 +1,120 @@
+// Photo attachments for skin and hair analysis.
+// The client sends the photo inside the latest user message, as OpenAI content parts:
+//   { "role": "user", "content": [
+//       { "type": "text", "text": "What foundation shade suits me?" },
+//       { "type": "image_url", "image_url": { "url": "data:image/jpeg;base64,..." } } ] }
+// Only that message may carry a photo, and only one. It is checked here (type, file
+// signature, decoded size) and taken out of the conversation so the guardrails,
+// retrieval and summaries keep working on plain text; withImage() puts it back on the
+// latest user message right before the model call.
+//
+//   MAX_IMAGE_BYTES  largest photo accepted, decoded (limits.js, default 1500000)
+
+import { limitFrom } from './limits.js';
+
+// Accepted types and the bytes every such file starts with
+const SIGNATURES = {
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47,
+  // "RIFF" .... "WEBP"
+  'image/webp': (b) => b[0] === 0x52 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x46
+    && b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50
+};
+
+const DATA_URL = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+// Shown to the model in place of photos from earlier turns (only the latest is re-sent)
+const EARLIER_PHOTO = '(The user shared a photo here.)';
+
+export const PHOTO_INSTRUCTIONS = 'The user attached a photo to their latest message. Base skin, hair or shade advice on what you can see, say when lighting, filters or image quality make something hard to judge, and suggest seeing a dermatologist for anything that looks like a medical condition. Never try to identify the person or comment on anything other than their skin, hair and makeup.';
+
+// Bytes in a base64 string once decoded
+function decodedSize(base64) {
+  const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+// First bytes of a base64 string (enough for the file signature)
+function leadingBytes(base64, count) {
+  const binary = atob(base64.slice(0, Math.ceil(count / 3) * 4));
+  return Array.from(binary.slice(0, count), (c) => c.charCodeAt(0));
+}
+
+// Check one image_url part. Returns { image } or { error: { status, code, message } }.
+function validateImagePart(part, env) {
+  const url = part && part.image_url && typeof part.image_url.url === 'string' ? part.image_url.url : '';
+  const match = DATA_URL.exec(url);
+  if (!match) {
+    return { error: { status: 400, code: 'invalid_image', message: 'Photos must be sent as a base64 data URL.' } };
+  }
+  const [, type, base64] = match;
+  if (!SIGNATURES[type]) {
+    return { error: { status: 400, code: 'invalid_image', message: 'Only JPEG, PNG and WebP photos are supported.' } };
+  }
+  const max = limitFrom(env, 'MAX_IMAGE_BYTES');
+  if (decodedSize(base64) > max) {
+    return { error: { status: 413, code: 'payload_too_large', message: `Photo is too large (max ${max} bytes).` } };
+  }
+  let bytes;
+  try {
+    bytes = leadingBytes(base64, 12);
+  } catch (e) {
+    bytes = [];
+  }
+  if (!SIGNATURES[type](bytes)) {
+    return { error: { status: 400, code: 'invalid_image', message: 'The photo could not be read. Please try another one.' } };
+  }
+  return { image: { url, type, bytes: decodedSize(base64) } };
+}
+
+// Text of a content-parts array; photos become EARLIER_PHOTO when `notePhotos` is set
+function partsToText(parts, notePhotos) {
+  const texts = parts
+    .filter((p) => p && p.type === 'text' && typeof p.text === 'string')
+    .map((p) => p.text);
+  if (notePhotos && parts.some((p) => p && p.type === 'image_url')) texts.push(EARLIER_PHOTO);
+  return texts.join('\n').trim();
+}
+
+// Take the photo (if any) out of `messages`.
+// Returns { messages, image, error }: every message with array content is flattened to
+// text, `image` is the validated photo of the latest user message (or null) and
+// `error` ({ status, code, message }) is set when the photo cannot be accepted.
+export function extractImage(messages, env) {
+  if (!Array.isArray(messages)) return { messages, image: null, error: null };
+  let lastUser = -1;
+  messages.forEach((m, i) => { if (m && m.role === 'user') lastUser = i; });
+
+  let image = null;
+  let error = null;
+  const flattened = messages.map((m, i) => {
+    if (!m || !Array.isArray(m.content)) return m;
+    if (i !== lastUser) return { ...m, content: partsToText(m.content, true) };
+
+    const photos = m.content.filter((p) => p && p.type === 'image_url');
+    if (photos.length > 1) {
+      error = { status: 400, code: 'invalid_image', message: 'Only one photo can be sent per message.' };
+    } else if (photos.length === 1) {
+      const checked = validateImagePart(photos[0], env);
+      error = checked.error || null;
+      image = checked.image || null;
+    }
+    return { ...m, content: partsToText(m.content, false) };
+  });
+  return { messages: flattened, image: error ? null : image, error };
+}
+
+// Put the photo back on the latest user message as content parts
+export function withImage(messages, image) {
+  if (!image) return messages;
+  let lastUser = -1;
+  messages.forEach((m, i) => { if (m && m.role === 'user') lastUser = i; });
+  if (lastUser === -1) return messages;
+  return messages.map((m, i) => (i !== lastUser ? m : {
+    ...m,
+    content: [
+      { type: 'text', text: m.content },
+      { type: 'image_url', image_url: { url: image.url } }
+    ]
+  }));
+}
@@ -1,51 +1,654 @@
-// Cloudflare Worker that forwards chat/completion requests to OpenAI
-// This is the same as RESOURCE_cloudflare-worker.js but placed here for wrangler deployments.
+// Cloudflare Worker that forwards chat/completion requests to the configured model provider
+// (OpenAI by default; see providers.js for Azure OpenAI, OpenAI-compatible servers and the mock).
+// Every chat turn is grounded on the local product catalog (see catalog.js and retrieval.js).
+
+import { retrieveForMessages, buildCatalogContext, findCitedProducts } from './retrieval.js';
+import {
+  recommendationResponseFormat,
+  RECOMMENDATION_INSTRUCTIONS,
+  parseStructuredReply,
+  toRecommendationCards,
+  createAnswerExtractor
+} from './recommendations.js';
+import { buildProfileContext } from './profile.js';
+import { sanitizeLanguage, buildLanguageContext } from './language.js';
+import {
+  SYSTEM_PROMPT_VERSION,
+  sanitizeMessages,
+  withSystemPrompt,
+  classifyTopic,
+  refusalBody,
+  offTopicMessage
+} from './guardrails.js';
+import { createProvider } from './providers.js';
+import {
+  ROUTINE_INSTRUCTIONS,
+  routineResponseFormat,
+  parseRoutine,
+  routineRecommendations,
+  retrieveForRoutine
+} from './routine.js';
+import {
+  resolveAllowedOrigin,
+  byteLength,
+  checkBodySize,
+  checkMessageLimits,
+  checkRateLimit
+} from './limits.js';
+import {
+  sanitizeMemory,
+  planContext,
+  tokenBudgetFrom,
+  summarizeTurns,
+  memoryMessage
+} from './context.js';
+import { describeUpstreamFailure, describeUpstreamException } from './upstream.js';
+import {
+  validateCheckRequest,
+  checkIngredients,
+  checkQuestion,
+  buildIngredientContext
+} from './ingredients.js';
+import { extractImage, withImage, PHOTO_INSTRUCTIONS } from './images.js';
+import { audioTypeOf, checkAudio, transcriptFrom } from './transcription.js';
+import {
+  newTurnId,
+  turnRecord,
+  recordTurn,
+  validateFeedback,
+  recordFeedback,
+  checkAdmin,
+  adminStats,
+  flaggedConversations
+} from './analytics.js';
+import { cachePolicy, cacheKey, readCachedReply, cacheReply, purgeCache } from './cache.js';
+
+// Add per-turn context (profile + catalog) as a system message right before the latest user message
+function withTurnContext(messages, context) {
+  const list = Array.isArray(messages) ? [...messages] : [];
+  let lastUser = -1;
+  list.forEach((m, i) => { if (m && m.role === 'user') lastUser = i; });
+  const contextMessage = { role: 'system', content: context };
+  if (lastUser === -1) list.push(contextMessage);
+  else list.splice(lastUser, 0, contextMessage);
+  return list;
+}
+
+// Work out the text to show and the product cards to send back.
+// In structured mode `content` is the model's JSON; if it cannot be parsed we fall
+// back to showing it as text and matching product names like plain mode does.
+function finishReply(content, candidates, structured) {
+  const parsed = structured ? parseStructuredReply(content) : null;
+  if (parsed) {
+    const products = toRecommendationCards(parsed.recommendations, candidates);
+    return { answer: parsed.answer, products };
+  }
+  const cited = findCitedProducts(content, candidates);
+  const products = toRecommendationCards(cited.map((p) => ({ product_id: p.id, reason: '' })), candidates);
+  return { answer: content, products };
+}
+
+// Product payload sent back to the client next to the reply
+function productPayload(products) {
+  return { product_ids: products.map((p) => p.id), products };
+}
+
+// A cached reply (cache.js) in the shape the client asked for: a chat-completions JSON
+// response, or a stream with the whole answer in one delta event, then the extras event
+// and `[DONE]`, like relayChatStream
+function cachedReplyResponse(cached, stream, extras, headers) {
+  const { content, products, routine, ingredient_check: ingredientCheck } = cached;
+  const fields = { ...productPayload(products || []), ...extras };
+  if (routine) fields.routine = routine;
+  if (ingredientCheck) fields.ingredient_check = ingredientCheck;
+  if (stream) {
+    const events = [{ choices: [{ delta: { content } }] }, fields].map((e) => `data: ${JSON.stringify(e)}\n\n`);
+    return new Response(`${events.join('')}data: [DONE]\n\n`, {
+      headers: { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+    });
+  }
+  const data = { choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }], ...fields };
+  return new Response(JSON.stringify(data), { headers });
+}
+
+// If the upstream stream breaks off (connection dropped, or nothing arrives for
+// `idleTimeoutMs`), end it with an error event in the usual envelope instead of failing
+// the whole response:
+//   data: {"error":{"code":"upstream_interrupted","message":"...","retryable":true}}
+function guardStream(body, idleTimeoutMs = 0) {
+  const reader = body.getReader();
+  const encoder = new TextEncoder();
+  // The next chunk, or a rejection once the stream has been silent for too long
+  const read = () => {
+    if (!idleTimeoutMs) return reader.read();
+    let timer;
+    const idle = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // Reject before cancelling: cancel() ends the pending read as if the stream were done
+        reject(new Error('upstream idle timeout'));
+        reader.cancel('idle timeout').catch(() => {});
+      }, idleTimeoutMs);
+    });
+    return Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+  };
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (err) {
+        const error = { code: 'upstream_interrupted', message: 'The reply was interrupted. Please try again.', retryable: true };
+        controller.enqueue(encoder.encode(`\ndata: ${JSON.stringify({ error })}\n\n`));
+        controller.close();
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+// Relay an OpenAI SSE stream to the client.
+// `extras` are extra fields (e.g. an updated conversation summary) added to the final event.
+// Plain mode passes the events through unchanged. Structured mode pulls the
+// "answer" text out of the streamed JSON and re-emits it as normal delta events,
+// so the client always receives `data: {"choices":[{"delta":{"content":"..."}}]}`.
+// Just before `data: [DONE]` one extra event carries the product cards:
+//   data: {"product_ids":[...],"products":[...]}
+// `onEnd(usage, reply)` is called once the stream is over, with the token usage the
+// provider reported in its last event (or null) and the finished { answer, products }
+// (null when the stream broke off before `[DONE]` or the client cancelled it with Stop).
+// `idleTimeoutMs` is passed to guardStream.
+function relayChatStream(body, candidates, structured, extras = {}, onEnd = () => {}, idleTimeoutMs = 0) {
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  const extractAnswer = createAnswerExtractor();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+  let complete = false;
+  let interrupted = false;
+  let finished = false;
+
+  const send = (controller, line) => controller.enqueue(encoder.encode(line));
+
+  const sendProducts = (controller) => {
+    if (finished) return;
+    finished = true;
+    const { answer, products } = finishReply(content, candidates, structured);
+    send(controller, `data: ${JSON.stringify({ ...productPayload(products), ...extras })}\n\n`);
+    onEnd(usage, complete && !interrupted ? { answer, products } : null);
+  };
+
+  const relayed = guardStream(body, idleTimeoutMs).pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        const data = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : null;
+
+        if (data === '[DONE]') {
+          complete = true;
+          sendProducts(controller);
+          send(controller, 'data: [DONE]\n\n');
+          continue;
+        }
+
+        let event = null;
+        if (data) {
+          try {
+            event = JSON.parse(data);
+          } catch (e) {
+            // ignore lines that are not JSON
+          }
+        }
+        // Error events (see guardStream) go to the client as they are
+        if (event && event.error) {
+          interrupted = true;
+          send(controller, `data: ${data}\n\n`);
+          continue;
+        }
+        if (event && event.usage) usage = event.usage;
+        const delta = event?.choices?.[0]?.delta?.content || '';
+        content += delta;
+
+        if (!structured) {
+          send(controller, line + '\n');
+        } else if (delta) {
+          const answerDelta = extractAnswer(delta);
+          if (answerDelta) {
+            send(controller, `data: ${JSON.stringify({ choices: [{ delta: { content: answerDelta } }] })}\n\n`);
+          }
+        }
+      }
+    },
+    flush(controller) {
+      if (buffer && !structured) send(controller, buffer);
+      sendProducts(controller);
+    }
+  }));
+
+  // `flush` never runs when the client cancels the response, so end the turn here
+  const reader = relayed.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      if (!finished) {
+        finished = true;
+        onEnd(usage, null);
+      }
+      return reader.cancel(reason);
+    }
+  });
+}
+
+// Every error uses the same JSON envelope:
+//   { code: "machine_readable_code", message: "human readable message", retryable: false, ...extra }
+// `retryable` tells the client whether sending the same request again may succeed.
+function errorResponse(status, code, message, headers, extra = {}) {
+  return new Response(JSON.stringify({ code, message, retryable: false, ...extra }), { status, headers });
+}
+
+// Error response for a failed model call ({ status, code, message, retryable, retryAfter }).
+// The provider's `detail` only goes to the Worker log (`wrangler tail`), never to the client.
+function upstreamErrorResponse(failure, corsHeaders) {
+  if (failure.detail) console.warn(`Model API error (${failure.code}): ${failure.detail}`);
+  const headers = failure.retryAfter ? { ...corsHeaders, 'Retry-After': String(failure.retryAfter) } : corsHeaders;
+  const extra = { retryable: failure.retryable };
+  if (failure.retryAfter) extra.retry_after = failure.retryAfter;
+  return errorResponse(failure.status, failure.code, failure.message, headers, extra);
+}
+
+// Let `promise` finish after the response is sent (ctx.waitUntil); its errors are ignored
+// so analytics can never break a reply
+function inBackground(ctx, promise) {
+  const settled = promise.catch(() => {});
+  if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(settled);
+}
+
+// POST /feedback: thumbs up/down or a report for an answered turn (analytics.js)
+async function feedbackResponse(request, env, corsHeaders) {
+  if (request.method !== 'POST') {
+    return errorResponse(405, 'method_not_allowed', 'Use POST to send feedback.', corsHeaders);
+  }
+  const rawBody = await request.text();
+  const bodyError = checkBodySize(byteLength(rawBody), env);
+  if (bodyError) {
+    return errorResponse(413, 'payload_too_large', bodyError, corsHeaders);
+  }
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (err) {
+    return errorResponse(400, 'invalid_json', 'Invalid JSON body', corsHeaders);
+  }
+  const invalid = validateFeedback(body, env);
+  if (invalid) {
+    return errorResponse(400, 'invalid_request', invalid, corsHeaders);
+  }
+  if (!(await recordFeedback(env, body))) {
+    return errorResponse(404, 'unknown_turn', 'This answer can no longer receive feedback.', corsHeaders);
+  }
+  return new Response(JSON.stringify({ ok: true }), { headers: corsHeaders });
+}
+
+// Admin routes for the dashboard (admin.html): path -> method and handler(env)
+const ADMIN_ROUTES = {
+  '/admin/stats': { method: 'GET', handler: adminStats },
+  '/admin/flagged': { method: 'GET', handler: flaggedConversations },
+  '/admin/cache/purge': { method: 'POST', handler: purgeCache }
+};
+
+// Admin requests send `Authorization: Bearer <ADMIN_PASSWORD>`
+async function adminResponse(request, env, pathname, corsHeaders) {
+  const headers = { ...corsHeaders, 'Cache-Control': 'no-store' };
+  const denied = await checkAdmin(request, env);
+  if (denied) return errorResponse(denied.status, denied.code, denied.message, headers);
+  const route = ADMIN_ROUTES[pathname];
+  if (!route) {
+    return errorResponse(404, 'not_found', 'Unknown admin route.', headers);
+  }
+  if (request.method !== route.method) {
+    return errorResponse(405, 'method_not_allowed', `Use ${route.method} for this admin route.`, headers);
+  }
+  return new Response(JSON.stringify(await route.handler(env)), { headers });
+}
+
+// POST /ingredients: conflict, allergen and pregnancy check from the local knowledge
+// base (ingredients.js). No model call, so it works without a provider configured.
+async function ingredientCheckResponse(request, env, corsHeaders) {
+  if (request.method !== 'POST') {
+    return errorResponse(405, 'method_not_allowed', 'Use POST to check ingredients.', corsHeaders);
+  }
+  const rawBody = await request.text();
+  const bodyError = checkBodySize(byteLength(rawBody), env);
+  if (bodyError) {
+    return errorResponse(413, 'payload_too_large', bodyError, corsHeaders);
+  }
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (err) {
+    return errorResponse(400, 'invalid_json', 'Invalid JSON body', corsHeaders);
+  }
+  const invalid = validateCheckRequest(body);
+  if (invalid) {
+    return errorResponse(400, 'invalid_request', invalid, corsHeaders);
+  }
+  return new Response(JSON.stringify(checkIngredients(body.items)), { headers: corsHeaders });
+}
+
+// POST /transcribe: speech to text for voice input (transcription.js). The clip is the
+// raw request body; the answer is { text }.
+async function transcriptionResponse(request, env, corsHeaders) {
+  if (request.method !== 'POST') {
+    return errorResponse(405, 'method_not_allowed', 'Use POST to send a recording.', corsHeaders);
+  }
+  const provider = createProvider(env);
+  if (provider.configError) {
+    return errorResponse(500, 'config_error', provider.configError, corsHeaders);
+  }
+  if (!provider.transcribe) {
+    return errorResponse(501, 'transcription_unavailable', 'Voice input is not available on this server. Please type your question.', corsHeaders);
+  }
+  const type = audioTypeOf(request.headers.get('Content-Type'));
+  // Check the declared size first so a huge upload is not read into memory
+  const declared = Number(request.headers.get('Content-Length')) || null;
+  let error = checkAudio(type, declared, env);
+  if (error) return errorResponse(error.status, error.code, error.message, corsHeaders);
+
+  const audio = await request.arrayBuffer();
+  error = checkAudio(type, audio.byteLength, env);
+  if (error) return errorResponse(error.status, error.code, error.message, corsHeaders);
+
+  let response;
+  try {
+    response = await provider.transcribe(audio, type);
+  } catch (err) {
+    return upstreamErrorResponse(describeUpstreamException(err), corsHeaders);
+  }
+  if (!response.ok) {
+    return upstreamErrorResponse(await describeUpstreamFailure(response), corsHeaders);
+  }
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    data = null;
+  }
+  const text = transcriptFrom(data);
+  if (!text) {
+    return errorResponse(422, 'no_speech', "Sorry, I couldn't hear a question. Please try again.", corsHeaders, { retryable: true });
+  }
+  return new Response(JSON.stringify({ text }), { headers: corsHeaders });
+}
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    // Turn latency (analytics.js) is measured from here
+    const started = Date.now();
+
+    // Only origins listed in ALLOWED_ORIGINS (wrangler.toml) may call the Worker. A refused
+    // site still gets its own origin back, so its page can read the 403 below.
+    const allowedOrigin = resolveAllowedOrigin(request, env);
+
     const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Origin': allowedOrigin || request.headers.get('Origin') || 'null',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Content-Type': 'application/json'
+      'Access-Control-Allow-Headers': 'Content-Type, X-Session-Id, Authorization, Cache-Control',
+      'Access-Control-Expose-Headers': 'X-Prompt-Version, Retry-After, X-Cache',
+      'Content-Type': 'application/json',
+      'Vary': 'Origin',
+      'X-Prompt-Version': SYSTEM_PROMPT_VERSION
     };
 
-    // Handle CORS preflight requests
+    // Handle CORS preflight requests (for refused origins too: a failed preflight would
+    // hide the 403 from the page)
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
-    const apiKey = env.OPENAI_API_KEY; // Make sure to name your secret OPENAI_API_KEY in Cloudflare
-    if (!apiKey) {
-      return new Response(JSON.stringify({ error: 'OPENAI_API_KEY not configured in Worker environment' }), { status: 500, headers: corsHeaders });
+    if (!allowedOrigin) {
+      return errorResponse(403, 'origin_not_allowed', 'This site is not allowed to use the assistant.', corsHeaders);
+    }
+
+    // Per-IP and per-session rate limit (KV binding, or in memory for local dev)
+    const rate = await checkRateLimit(request, env);
+    if (rate.limited) {
+      return errorResponse(429, 'rate_limited', `Too many requests. Please try again in ${rate.retryAfter} seconds.`,
+        { ...corsHeaders, 'Retry-After': String(rate.retryAfter) }, { retryable: true, retry_after: rate.retryAfter });
+    }
+
+    const { pathname } = new URL(request.url);
+    if (pathname === '/ingredients') {
+      return ingredientCheckResponse(request, env, corsHeaders);
+    }
+    if (pathname === '/feedback') {
+      return feedbackResponse(request, env, corsHeaders);
+    }
+    if (pathname.startsWith('/admin/')) {
+      return adminResponse(request, env, pathname, corsHeaders);
+    }
+    if (pathname === '/transcribe') {
+      return transcriptionResponse(request, env, corsHeaders);
+    }
+
+    if (request.method !== 'POST') {
+      return errorResponse(405, 'method_not_allowed', 'Use POST to send a question.', corsHeaders);
+    }
+
+    // Model provider picked by LLM_PROVIDER (OpenAI unless configured otherwise)
+    const provider = createProvider(env);
+    if (provider.configError) {
+      return errorResponse(500, 'config_error', provider.configError, corsHeaders);
+    }
+
+    // Read the body as text first so oversized requests are rejected before parsing
+    // (with room for one photo, see images.js)
+    const rawBody = await request.text();
+    const bodyError = checkBodySize(byteLength(rawBody), env, true);
+    if (bodyError) {
+      return errorResponse(413, 'payload_too_large', bodyError, corsHeaders);
     }
 
     let userInput;
     try {
-      userInput = await request.json();
+      userInput = JSON.parse(rawBody);
     } catch (err) {
-      return new Response(JSON.stringify({ error: 'Invalid JSON body' }), { status: 400, headers: corsHeaders });
+      return errorResponse(400, 'invalid_json', 'Invalid JSON body', corsHeaders);
+    }
+
+    // A photo on the latest user message is validated and set aside; the rest of the
+    // pipeline only sees text
+    const attachment = extractImage(userInput && userInput.messages, env);
+    if (attachment.error) {
+      return errorResponse(attachment.error.status, attachment.error.code, attachment.error.message, corsHeaders);
+    }
+    const image = attachment.image;
+
+    // Cap message count and length so a single request cannot run up a huge bill
+    const sizeError = checkMessageLimits(attachment.messages, env);
+    if (sizeError) {
+      return errorResponse(413, 'payload_too_large', sizeError, corsHeaders);
+    }
+
+    // Routine builder mode (`mode: "routine"`) answers with a structured AM/PM plan (routine.js)
+    const routineMode = userInput.mode === 'routine';
+
+    // The client can ask for a streamed reply by sending `stream: true` (not for routine plans)
+    const wantsStream = userInput.stream === true && !routineMode;
+
+    // Only user/assistant turns from the client are kept: the system prompt is the Worker's own
+    const conversation = sanitizeMessages(attachment.messages);
+    if (!conversation.some((m) => m.role === 'user')) {
+      return errorResponse(400, 'invalid_request', 'messages must include a user message', corsHeaders);
+    }
+
+    // Reply language picked in the client (`language`, e.g. "fr"); unknown codes are ignored
+    const language = sanitizeLanguage(userInput.language);
+
+    // Every reply gets an ID the client sends back with feedback, and an anonymized
+    // record of how the turn went (analytics.js)
+    const turnId = newTurnId();
+    const turnDetails = { started, mode: routineMode ? 'routine' : 'chat', language, photo: Boolean(image), stream: wantsStream };
+    const recordThisTurn = (details) => inBackground(ctx, recordTurn(env, turnId, turnRecord({ ...turnDetails, ...details })));
+
+    // Common first questions are answered from the response cache (cache.js), before
+    // the topic check, since only on-topic answers are cached
+    const caching = cachePolicy(request, env, { conversation, memory: sanitizeMemory(userInput.memory), image });
+    const cacheKeyFor = () => cacheKey({
+      question: conversation[0].content,
+      profile: userInput.profile,
+      language,
+      mode: turnDetails.mode,
+      model: `${provider.name}:${provider.chatModel}`
+    });
+    const cached = caching.lookup ? await readCachedReply(env, await cacheKeyFor()) : null;
+    const replyHeaders = { ...corsHeaders, 'X-Cache': cached ? 'HIT' : (caching.lookup ? 'MISS' : 'BYPASS') };
+    if (cached) {
+      recordThisTurn({ cached: true });
+      return cachedReplyResponse(cached, wantsStream, { turn_id: turnId }, replyHeaders);
+    }
+    const saveToCache = (reply) => {
+      if (caching.store && reply.content) inBackground(ctx, cacheKeyFor().then((key) => cacheReply(env, key, reply)));
+    };
+
+    // Topic guardrail: refuse off-topic questions before calling the main model
+    const topic = await classifyTopic(conversation, provider);
+    if (!topic.onTopic) {
+      recordThisTurn({ refusal: true });
+      const refusal = { ...refusalBody('off_topic', offTopicMessage(language)), turn_id: turnId };
+      return new Response(JSON.stringify(refusal), { headers: replyHeaders });
+    }
+
+    // Keep the request under the token budget: when the conversation is too long, fold the
+    // oldest turns into the rolling summary and tell the client (`memory` in the response).
+    // If summarizing fails we still drop the oldest turns for this request.
+    let memory = sanitizeMemory(userInput.memory);
+    const plan = planContext(conversation, memory, tokenBudgetFrom(env));
+    const extras = {};
+    if (plan.older.length) {
+      const summary = await summarizeTurns(memory, plan.older, provider);
+      if (summary) {
+        memory = summary;
+        extras.memory = { summary, covered: plan.older.length };
+      }
     }
+    const recent = plan.recent;
 
-    const apiUrl = 'https://api.openai.com/v1/chat/completions';
+    // Retrieve the catalog entries that best match this turn and give them to the model.
+    // When products matched, ask for a structured reply so we get recommendation cards.
+    // Routine plans are always structured and search with the profile too.
+    const candidates = routineMode ? retrieveForRoutine(recent, userInput.profile) : retrieveForMessages(recent);
+    const structured = !routineMode && candidates.length > 0;
+    const instructions = routineMode ? ROUTINE_INSTRUCTIONS : (structured ? RECOMMENDATION_INSTRUCTIONS : '');
+    const catalogContext = buildCatalogContext(candidates) + (instructions ? `\n${instructions}` : '');
+    // Fold the user's saved beauty profile (if any) into the same system context
+    const profileContext = buildProfileContext(userInput.profile);
+    // Layering and pregnancy questions get the ingredient checker's warnings: shown to the
+    // user as a panel (`ingredient_check`) and given to the model so its answer agrees
+    const latestQuestion = [...recent].reverse().find((m) => m.role === 'user');
+    const ingredientCheck = !routineMode && latestQuestion ? checkQuestion(latestQuestion.content) : null;
+    if (ingredientCheck) extras.ingredient_check = ingredientCheck;
+    const ingredientContext = ingredientCheck ? buildIngredientContext(ingredientCheck) : '';
+    const photoContext = image ? PHOTO_INSTRUCTIONS : '';
+    const languageContext = buildLanguageContext(language);
+    const turnContext = [profileContext, catalogContext, ingredientContext, photoContext, languageContext].filter(Boolean).join('\n\n');
+    const history = memory ? [memoryMessage(memory), ...recent] : recent;
+    const groundedMessages = withImage(withTurnContext(withSystemPrompt(history), turnContext), image);
 
+    // The provider fills in the model (CHAT_MODEL, or VISION_MODEL with a photo) and temperature
     const requestBody = {
-      model: 'gpt-4o',
-      messages: userInput.messages,
-      max_completion_tokens: 300,
+      messages: groundedMessages,
+      max_completion_tokens: routineMode ? provider.settings.routineMaxCompletionTokens : provider.settings.maxCompletionTokens,
+      stream: wantsStream,
     };
+    // Ask for token usage in the last streamed event (recorded with the turn)
+    if (wantsStream) requestBody.stream_options = { include_usage: true };
+    if (routineMode) {
+      requestBody.response_format = routineResponseFormat(candidates);
+    } else if (structured) {
+      requestBody.response_format = recommendationResponseFormat(candidates);
+    }
 
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+    // Failed turns are recorded with their error code
+    const failTurn = (failure) => {
+      recordThisTurn({ error: failure.code });
+      return upstreamErrorResponse(failure, replyHeaders);
+    };
+
+    // Timeouts and retries on transient failures happen inside the provider (upstream.js)
+    let response;
+    try {
+      response = await provider.chat(requestBody, { vision: Boolean(image) });
+    } catch (err) {
+      return failTurn(describeUpstreamException(err));
+    }
+    if (!response.ok) {
+      return failTurn(await describeUpstreamFailure(response));
+    }
+
+    // Streaming mode: relay the provider's server-sent events to the client.
+    // Each event looks like `data: {"choices":[{"delta":{"content":"Hi"}}]}` and the
+    // stream ends with `data: [DONE]`.
+    if (wantsStream && response.body) {
+      extras.turn_id = turnId;
+      const stream = relayChatStream(response.body, candidates, structured, extras, (usage, reply) => {
+        recordThisTurn({ usage, interrupted: !reply });
+        if (reply) saveToCache({ content: reply.answer, products: reply.products, ingredient_check: ingredientCheck });
+      }, provider.settings.retry.idleTimeoutMs);
+      return new Response(stream, {
+        headers: {
+          ...replyHeaders,
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (err) {
+      data = null;
+    }
+    if (!data?.choices?.[0]?.message) {
+      recordThisTurn({ error: 'upstream_invalid_response' });
+      return errorResponse(502, 'upstream_invalid_response', 'The assistant sent an unexpected response. Please try again.', replyHeaders, { retryable: true });
+    }
+
+    const message = data.choices[0].message;
+    const routine = routineMode ? parseRoutine(message.content || '', candidates) : null;
+    recordThisTurn({ usage: data.usage, error: routineMode && !routine ? 'invalid_routine' : null });
+    extras.turn_id = turnId;
+
+    // Routine mode: validate the plan and send it as `routine`, with its summary as the
+    // message text (kept in the history) and the products it uses as cards
+    if (routineMode) {
+      if (!routine) {
+        return errorResponse(502, 'invalid_routine', 'The assistant could not build a routine this time. Please try again.', replyHeaders, { retryable: true });
+      }
+      message.content = routine.summary || routine.title;
+      const products = toRecommendationCards(routineRecommendations(routine), candidates);
+      saveToCache({ content: message.content, products, routine });
+      Object.assign(data, productPayload(products), { routine }, extras);
+      return new Response(JSON.stringify(data), { headers: replyHeaders });
+    }
 
-    const data = await response.json();
+    // Swap the structured JSON for the plain answer and attach the product cards
+    // next to the normal OpenAI response fields
+    const { answer, products } = finishReply(message.content || '', candidates, structured);
+    message.content = answer;
+    saveToCache({ content: answer, products, ingredient_check: ingredientCheck });
+    Object.assign(data, productPayload(products), extras);
 
-    return new Response(JSON.stringify(data), { headers: corsHeaders });
+    return new Response(JSON.stringify(data), { headers: replyHeaders });
   }
 };
@@ -0,0 +1,200 @@
+// Local ingredient knowledge base for the conflict checker (ingredients.js).
+// Answers about layering, allergens and pregnancy come from these entries, not from
+// the model, so the same question always gets the same warnings.
+//
+// Each ingredient has:
+//   id        - stable identifier
+//   name      - display name
+//   aliases   - lowercase names to match in ingredient lists and questions (INCI and
+//               everyday names); `name` is matched too
+//   classes   - groups used by CONFLICT_RULES (retinoid, exfoliant, vitamin-c...)
+//   allergen  - why it is a known allergen (optional)
+//   pregnancy - pregnancy / breastfeeding caution (optional)
+//
+// Ingredients without classes or flags are listed so they are recognized (and not
+// reported as unknown).
+
+const FRAGRANCE_ALLERGEN = 'Fragrance allergen that must be listed on EU labels; a common cause of contact allergy.';
+const RETINOID_PREGNANCY = 'Retinoids are not recommended during pregnancy or breastfeeding.';
+
+export const INGREDIENTS = [
+  // —— Retinoids ——
+  { id: 'retinol', name: 'Retinol', aliases: ['pro-retinol', 'vitamin a'], classes: ['retinoid'], pregnancy: RETINOID_PREGNANCY },
+  { id: 'retinal', name: 'Retinal', aliases: ['retinaldehyde'], classes: ['retinoid'], pregnancy: RETINOID_PREGNANCY },
+  { id: 'retinyl-palmitate', name: 'Retinyl palmitate', aliases: ['retinyl acetate', 'retinyl retinoate'], classes: ['retinoid'], pregnancy: RETINOID_PREGNANCY },
+  { id: 'hpr', name: 'Hydroxypinacolone retinoate', aliases: ['granactive retinoid'], classes: ['retinoid'], pregnancy: RETINOID_PREGNANCY },
+  { id: 'tretinoin', name: 'Tretinoin', aliases: ['retinoic acid', 'retin-a'], classes: ['retinoid'], pregnancy: 'Prescription retinoids must not be used during pregnancy.' },
+  { id: 'adapalene', name: 'Adapalene', aliases: ['differin'], classes: ['retinoid'], pregnancy: 'Prescription retinoids must not be used during pregnancy.' },
+  { id: 'retinoids', name: 'Retinoids', aliases: ['retinoid'], classes: ['retinoid'], pregnancy: RETINOID_PREGNANCY },
+  { id: 'bakuchiol', name: 'Bakuchiol', aliases: [], classes: [] },
+
+  // —— Exfoliating acids ——
+  { id: 'aha', name: 'Alpha hydroxy acids (AHA)', aliases: ['aha', 'ahas', 'alpha hydroxy acid', 'alpha hydroxy acids'], classes: ['exfoliant'] },
+  { id: 'glycolic-acid', name: 'Glycolic acid', aliases: [], classes: ['exfoliant'] },
+  { id: 'lactic-acid', name: 'Lactic acid', aliases: [], classes: ['exfoliant'] },
+  { id: 'mandelic-acid', name: 'Mandelic acid', aliases: [], classes: ['exfoliant'] },
+  {
+    id: 'salicylic-acid',
+    name: 'Salicylic acid (BHA)',
+    aliases: ['salicylic acid', 'bha', 'bhas', 'beta hydroxy acid', 'beta hydroxy acids'],
+    classes: ['exfoliant'],
+    pregnancy: 'Avoid salicylic acid peels and high-strength products while pregnant; ask your doctor about everyday cleansers.'
+  },
+  { id: 'lha', name: 'Lipo-hydroxy acid (LHA)', aliases: ['lha', 'capryloyl salicylic acid'], classes: ['exfoliant'] },
+  { id: 'pha', name: 'Polyhydroxy acids (PHA)', aliases: ['pha', 'gluconolactone', 'lactobionic acid'], classes: ['exfoliant'] },
+
+  // —— Other actives ——
+  {
+    id: 'vitamin-c',
+    name: 'Vitamin C',
+    aliases: ['ascorbic acid', 'l-ascorbic acid', 'ethyl ascorbic acid', '3-o-ethyl ascorbic acid', 'ascorbyl glucoside', 'sodium ascorbyl phosphate', 'magnesium ascorbyl phosphate', 'ascorbyl tetraisopalmitate', 'tetrahexyldecyl ascorbate'],
+    classes: ['vitamin-c']
+  },
+  { id: 'niacinamide', name: 'Niacinamide', aliases: ['vitamin b3', 'nicotinamide'], classes: ['niacinamide'] },
+  { id: 'benzoyl-peroxide', name: 'Benzoyl peroxide', aliases: ['bpo'], classes: ['benzoyl-peroxide'] },
+  {
+    id: 'hydroquinone',
+    name: 'Hydroquinone',
+    aliases: [],
+    classes: ['hydroquinone'],
+    pregnancy: 'Hydroquinone is best avoided during pregnancy and breastfeeding.'
+  },
+  { id: 'azelaic-acid', name: 'Azelaic acid', aliases: [], classes: [] },
+  { id: 'copper-peptides', name: 'Copper peptides', aliases: ['copper peptide', 'copper tripeptide-1', 'ghk-cu'], classes: ['copper-peptide'] },
+
+  // —— Allergens ——
+  { id: 'fragrance', name: 'Fragrance (parfum)', aliases: ['parfum', 'perfume', 'fragrance'], classes: [], allergen: 'Fragrance mixes are the most common cause of cosmetic contact allergy.' },
+  { id: 'linalool', name: 'Linalool', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'limonene', name: 'Limonene', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'geraniol', name: 'Geraniol', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'citronellol', name: 'Citronellol', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'citral', name: 'Citral', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'eugenol', name: 'Eugenol', aliases: ['isoeugenol'], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'coumarin', name: 'Coumarin', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'cinnamal', name: 'Cinnamal', aliases: ['cinnamyl alcohol', 'amyl cinnamal'], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'hydroxycitronellal', name: 'Hydroxycitronellal', aliases: [], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  { id: 'benzyl-salicylate', name: 'Benzyl salicylate', aliases: ['benzyl benzoate', 'benzyl cinnamate'], classes: [], allergen: FRAGRANCE_ALLERGEN },
+  {
+    id: 'essential-oils',
+    name: 'Essential oils',
+    aliases: ['essential oil', 'lavender essential oil', 'lavender oil', 'tea tree oil', 'melaleuca alternifolia leaf oil', 'peppermint oil'],
+    classes: [],
+    allergen: 'Essential oils contain fragrance allergens and can irritate sensitive skin.'
+  },
+  {
+    id: 'methylisothiazolinone',
+    name: 'Methylisothiazolinone',
+    aliases: ['mit', 'methylchloroisothiazolinone', 'mci'],
+    classes: [],
+    allergen: 'Preservative that frequently causes contact allergy.'
+  },
+  {
+    id: 'formaldehyde-releasers',
+    name: 'Formaldehyde-releasing preservatives',
+    aliases: ['dmdm hydantoin', 'quaternium-15', 'imidazolidinyl urea', 'diazolidinyl urea', 'bronopol'],
+    classes: [],
+    allergen: 'Releases small amounts of formaldehyde, a known skin allergen.'
+  },
+  {
+    id: 'ppd',
+    name: 'p-Phenylenediamine (PPD)',
+    aliases: ['ppd', 'p-phenylenediamine', 'paraphenylenediamine', 'toluene-2,5-diamine'],
+    classes: [],
+    allergen: 'Hair dye allergen: do a skin allergy test 48 hours before every coloring.'
+  },
+  { id: 'lanolin', name: 'Lanolin', aliases: ['wool alcohols', 'lanolin alcohol'], classes: [], allergen: 'Wool-derived; can cause contact allergy, especially on damaged skin.' },
+  { id: 'propolis', name: 'Propolis', aliases: ['propolis extract'], classes: [], allergen: 'Bee product that often causes contact allergy.' },
+  { id: 'oxybenzone', name: 'Oxybenzone', aliases: ['benzophenone-3'], classes: [], allergen: 'UV filter that can cause allergic and photo-allergic reactions.' },
+
+  // —— Recognized, no warnings ——
+  { id: 'hyaluronic-acid', name: 'Hyaluronic acid', aliases: ['sodium hyaluronate'], classes: [] },
+  { id: 'ceramides', name: 'Ceramides', aliases: ['ceramide', 'ceramide np', 'ceramide ap', 'ceramide eop'], classes: [] },
+  { id: 'glycerin', name: 'Glycerin', aliases: ['glycerol'], classes: [] },
+  { id: 'squalane', name: 'Squalane', aliases: [], classes: [] },
+  { id: 'panthenol', name: 'Panthenol', aliases: ['vitamin b5', 'pro-vitamin b5'], classes: [] },
+  { id: 'vitamin-e', name: 'Vitamin E', aliases: ['tocopherol', 'tocopheryl acetate'], classes: [] },
+  { id: 'petrolatum', name: 'Petrolatum', aliases: [], classes: [] },
+  { id: 'peptides', name: 'Peptides', aliases: ['peptide'], classes: [] },
+  { id: 'centella', name: 'Centella asiatica', aliases: ['madecassoside', 'cica'], classes: [] },
+  { id: 'water', name: 'Water', aliases: ['aqua', 'eau'], classes: [] },
+  { id: 'spf', name: 'Sunscreen filters', aliases: ['spf', 'sunscreen', 'avobenzone', 'homosalate', 'octocrylene', 'zinc oxide', 'titanium dioxide'], classes: [] }
+];
+
+// Pairs of ingredient classes that should not be layered, or need care.
+//   severity - avoid (don't use together) | caution (may irritate) | info (usually fine)
+// A rule with the same class twice applies to two different products that both
+// contain that class (e.g. two exfoliating products).
+export const CONFLICT_RULES = [
+  {
+    classes: ['retinoid', 'benzoyl-peroxide'],
+    severity: 'avoid',
+    message: 'Benzoyl peroxide can break down retinol, and the pair is very drying.',
+    advice: 'Use benzoyl peroxide in the morning and the retinoid at night.'
+  },
+  {
+    classes: ['vitamin-c', 'benzoyl-peroxide'],
+    severity: 'avoid',
+    message: 'Benzoyl peroxide oxidizes vitamin C, so the vitamin C stops working.',
+    advice: 'Use them at different times of day.'
+  },
+  {
+    classes: ['hydroquinone', 'benzoyl-peroxide'],
+    severity: 'avoid',
+    message: 'Hydroquinone with benzoyl peroxide can temporarily stain the skin.',
+    advice: 'Use them at different times of day or on different days.'
+  },
+  {
+    classes: ['retinoid', 'exfoliant'],
+    severity: 'caution',
+    message: 'Retinoids and exfoliating acids together often cause redness, stinging and peeling.',
+    advice: 'Alternate nights, or use the acid in the morning (with sunscreen) and the retinoid at night.'
+  },
+  {
+    classes: ['retinoid', 'retinoid'],
+    severity: 'caution',
+    message: 'Two retinoid products add irritation, not results.',
+    advice: 'Pick one retinoid product.'
+  },
+  {
+    classes: ['retinoid', 'vitamin-c'],
+    severity: 'caution',
+    message: 'Vitamin C and retinoids can irritate together and work best at different times of day.',
+    advice: 'Use vitamin C in the morning and the retinoid at night.'
+  },
+  {
+    classes: ['vitamin-c', 'exfoliant'],
+    severity: 'caution',
+    message: 'Low-pH acids layered with vitamin C can sting and irritate.',
+    advice: 'Use vitamin C in the morning and acids at night.'
+  },
+  {
+    classes: ['exfoliant', 'exfoliant'],
+    severity: 'caution',
+    message: 'Several exfoliating products at once can over-exfoliate and damage the skin barrier.',
+    advice: 'Use one exfoliating product per routine, a few times a week.'
+  },
+  {
+    classes: ['benzoyl-peroxide', 'exfoliant'],
+    severity: 'caution',
+    message: 'Benzoyl peroxide with exfoliating acids is very drying.',
+    advice: 'Use them at different times of day and moisturize well.'
+  },
+  {
+    classes: ['copper-peptide', 'vitamin-c'],
+    severity: 'caution',
+    message: 'Copper peptides and vitamin C can make each other less effective.',
+    advice: 'Use them at different times of day.'
+  },
+  {
+    classes: ['copper-peptide', 'exfoliant'],
+    severity: 'caution',
+    message: 'Acids can break down copper peptides.',
+    advice: 'Use them at different times of day.'
+  },
+  {
+    classes: ['vitamin-c', 'niacinamide'],
+    severity: 'info',
+    message: 'Usually fine: the old warning comes from lab tests at high heat. A few people notice flushing.',
+    advice: 'If your skin gets red, wait a few minutes between them or use them at different times.'
+  }
+];
@@ -0,0 +1,274 @@
+// Ingredient lookup and conflict checker, backed by the local knowledge base
+// (ingredient-kb.js) instead of the model.
+//
+// Two ways in:
+//   POST /ingredients { "items": ["Effaclar Duo", "aqua, glycolic acid, ..."] }
+//     Each item is a catalog product name or a pasted ingredient list. The Worker
+//     answers with a report (see buildReport) without calling the model.
+//   Chat turns: when a question names two or more products or ingredients (or asks
+//     about pregnancy), the same report is attached to the reply as `ingredient_check`
+//     and given to the model as context so its answer agrees with the warnings.
+
+import { PRODUCTS } from './catalog.js';
+import { tokenize } from './retrieval.js';
+import { INGREDIENTS, CONFLICT_RULES } from './ingredient-kb.js';
+
+export const MAX_ITEMS = 6;
+const MAX_ITEM_CHARS = 4000;
+const MAX_UNKNOWN = 20;
+
+const SEVERITY_ORDER = ['avoid', 'caution', 'info'];
+const SEVERITY_LABELS = { avoid: 'Avoid', caution: 'Caution', info: 'Good to know' };
+
+const DISCLAIMER = 'General ingredient guidance, not medical advice. Patch test new products and ask a dermatologist or pharmacist if you are unsure.';
+
+const PREGNANCY_QUESTION = /\b(pregnan\w*|breast-?feeding|nursing|expecting)\b/i;
+
+// Lowercase, strip accents and collapse spaces ("Acide Glycolique " -> "acide glycolique")
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Every name we can match, longest first so "l-ascorbic acid" wins over "ascorbic acid"
+const ALIASES = INGREDIENTS
+  .flatMap((ing) => [ing.name, ...ing.aliases].map((alias) => ({ alias: normalize(alias), ing })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+const BY_ALIAS = new Map();
+ALIASES.forEach(({ alias, ing }) => { if (!BY_ALIAS.has(alias)) BY_ALIAS.set(alias, ing); });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const ALIAS_PATTERNS = ALIASES.map(({ alias, ing }) => ({
+  ing,
+  pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(alias)}(?=$|[^a-z0-9])`, 'g')
+}));
+
+// Find known ingredients anywhere in free text, in order of appearance. Matched
+// text is blanked out so "lavender essential oil" is not counted twice.
+function scanIngredients(text) {
+  let rest = normalize(text);
+  const found = [];
+  ALIAS_PATTERNS.forEach(({ ing, pattern }) => {
+    pattern.lastIndex = 0;
+    rest = rest.replace(pattern, (match, lead, offset) => {
+      found.push({ ing, at: offset });
+      return lead + ' '.repeat(match.length - lead.length);
+    });
+  });
+  return unique(found.sort((a, b) => a.at - b.at).map((f) => f.ing));
+}
+
+const unique = (list) => [...new Set(list)];
+
+// —— Products ——
+
+// Words that say what a product is rather than which one it is
+const GENERIC_WORDS = new Set(tokenize([
+  'serum cream moisturizer cleanser cleansing foundation mascara lipstick shampoo oil balm',
+  'spray water toilette parfum eau concentrate treatment face facial hair daily night',
+  'lotion gel mask toner essence color'
+].join(' ')));
+
+const INGREDIENT_WORDS = new Set(ALIASES.flatMap(({ alias }) => tokenize(alias)));
+
+// Name tokens for each product, plus the distinctive ones: words found in at most two
+// product names that are not generic or ingredient words ("effaclar", "cicaplast")
+const PRODUCT_NAMES = PRODUCTS.map((p) => ({ product: p, tokens: unique(tokenize(`${p.brand} ${p.name}`)) }));
+const NAME_COUNTS = new Map();
+PRODUCT_NAMES.forEach(({ product }) => unique(tokenize(product.name)).forEach((t) => NAME_COUNTS.set(t, (NAME_COUNTS.get(t) || 0) + 1)));
+PRODUCT_NAMES.forEach((entry) => {
+  entry.distinctive = unique(tokenize(entry.product.name))
+    .filter((t) => NAME_COUNTS.get(t) <= 2 && t.length > 2 && !GENERIC_WORDS.has(t) && !INGREDIENT_WORDS.has(t));
+});
+
+// Score every product against `text`: how many name words it contains and whether one
+// of them is distinctive. Best match first.
+function rankProducts(text) {
+  const words = new Set(tokenize(text));
+  return PRODUCT_NAMES
+    .map(({ product, tokens, distinctive }) => ({
+      product,
+      hits: tokens.filter((t) => words.has(t)).length,
+      distinctive: distinctive.some((t) => words.has(t)),
+      coverage: words.size ? tokens.filter((t) => words.has(t)).length / words.size : 0
+    }))
+    .filter((r) => r.hits > 0)
+    .sort((a, b) => b.hits - a.hits || b.coverage - a.coverage);
+}
+
+// The catalog product an item names, or null. "Effaclar Duo" and "Revitalift Vitamin C
+// Serum" match; "retinol serum" does not (it is an ingredient question).
+function findProduct(text) {
+  const byId = PRODUCTS.find((p) => p.id === text.trim());
+  if (byId) return byId;
+  const [best, second] = rankProducts(text);
+  if (!best) return null;
+  if (best.distinctive && best.coverage >= 0.5) return best.product;
+  const clearWinner = !second || best.hits > second.hits;
+  return best.hits >= 3 && best.coverage >= 0.75 && clearWinner ? best.product : null;
+}
+
+// Ingredients of a catalog product. Fragrances contain fragrance allergens even though
+// the catalog only lists their notes.
+function productIngredients(product) {
+  const found = product.ingredients.flatMap((name) => BY_ALIAS.get(normalize(name)) || scanIngredients(name));
+  if (product.category === 'fragrance') found.push(BY_ALIAS.get('fragrance'));
+  return unique(found);
+}
+
+// —— Items ——
+
+// Parse a pasted ingredient list ("Aqua, Glycerin, Retinol (0.3%), ...")
+function parseIngredientList(text) {
+  const found = [];
+  const unknown = [];
+  text.split(/[,;\n•|]+/).forEach((part) => {
+    const cleaned = normalize(part).replace(/\d+([.,]\d+)?\s*%/g, '').replace(/[*.]+$/, '').trim();
+    if (!cleaned) return;
+    const exact = BY_ALIAS.get(cleaned) || BY_ALIAS.get(cleaned.replace(/\s*\(.*\)\s*/g, ' ').trim());
+    const matches = exact ? [exact] : scanIngredients(cleaned);
+    if (matches.length) found.push(...matches);
+    else if (unknown.length < MAX_UNKNOWN) unknown.push(part.trim().slice(0, 80));
+  });
+  return { found: unique(found), unknown };
+}
+
+// One item of a check: { label, product, found: [ingredient], unknown: [text] }
+function parseItem(raw, index) {
+  const text = raw.trim().slice(0, MAX_ITEM_CHARS);
+  // Product names don't contain commas; ingredient lists do
+  const isList = /[,;\n]/.test(text);
+  const product = text.split(',').length <= 2 ? findProduct(text) : null;
+  if (product) return { label: product.name, product, found: productIngredients(product), unknown: [] };
+  return { label: isList ? `ingredient list ${index + 1}` : text.slice(0, 80), product: null, ...parseIngredientList(text) };
+}
+
+// —— Report ——
+
+const hasClass = (item, cls) => item.found.find((ing) => ing.classes.includes(cls));
+
+// Check the items against each other. Conflicts are only reported between different
+// items: ingredients inside one product were formulated to work together.
+export function buildReport(items) {
+  const conflicts = [];
+  items.forEach((a, i) => {
+    items.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      CONFLICT_RULES.forEach((rule) => {
+        const [first, second] = rule.classes;
+        let pair = [hasClass(a, first), hasClass(b, second)];
+        if (!pair[0] || !pair[1]) pair = [hasClass(a, second), hasClass(b, first)];
+        if (!pair[0] || !pair[1]) return;
+        conflicts.push({
+          severity: rule.severity,
+          items: [i, j],
+          ingredients: pair.map((ing) => ing.name),
+          message: rule.message,
+          advice: rule.advice
+        });
+      });
+    });
+  });
+  conflicts.sort((x, y) => SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity));
+
+  const flagged = (field) => items.flatMap((item, i) => item.found
+    .filter((ing) => ing[field])
+    .map((ing) => ({ item: i, ingredient: ing.name, message: ing[field] })));
+
+  const report = {
+    items: items.map((item) => ({
+      label: item.label,
+      product: item.product ? { id: item.product.id, name: item.product.name, brand: item.product.brand } : null,
+      ingredients: item.found.map((ing) => ({ id: ing.id, name: ing.name })),
+      unknown: item.unknown
+    })),
+    conflicts,
+    allergens: flagged('allergen'),
+    pregnancy: flagged('pregnancy'),
+    disclaimer: DISCLAIMER
+  };
+  report.summary = summarizeReport(report);
+  return report;
+}
+
+// Where an ingredient comes from, for the summary ("" when the item is just that ingredient)
+const source = (report, index, ingredient) => {
+  const { label } = report.items[index];
+  return normalize(label) === normalize(ingredient) ? '' : label;
+};
+
+// Short Markdown summary of a report (used as the chat message text and as model context)
+export function summarizeReport(report) {
+  if (!report.items.some((item) => item.ingredients.length)) {
+    return 'No ingredients from the knowledge base were recognized. Try a product name from the catalog or paste the full ingredient list.';
+  }
+  const lines = [];
+  if (report.conflicts.length) {
+    report.conflicts.forEach((c) => {
+      const sources = c.items.map((i, n) => source(report, i, c.ingredients[n]) || c.ingredients[n]);
+      const from = sources.join(' + ') === c.ingredients.join(' + ') ? '' : ` (${sources.join(' with ')})`;
+      lines.push(`- **${SEVERITY_LABELS[c.severity]}:** ${c.ingredients.join(' + ')}${from}. ${c.message} ${c.advice}`);
+    });
+  } else if (report.items.length > 1) {
+    lines.push('- No known layering conflicts between these.');
+  }
+  const flag = (title, f) => {
+    const from = source(report, f.item, f.ingredient);
+    lines.push(`- **${title}:** ${f.ingredient}${from ? ` in ${from}` : ''}. ${f.message}`);
+  };
+  report.allergens.forEach((a) => flag('Allergen', a));
+  report.pregnancy.forEach((p) => flag('Pregnancy', p));
+  if (!lines.length) lines.push('- No warnings for these ingredients.');
+  return lines.join('\n');
+}
+
+// Validate the /ingredients request body. Returns an error message or null.
+export function validateCheckRequest(body) {
+  const items = body && body.items;
+  if (!Array.isArray(items) || !items.length) return 'items must be a non-empty array of product names or ingredient lists';
+  if (items.length > MAX_ITEMS) return `Check at most ${MAX_ITEMS} items at a time.`;
+  if (!items.every((item) => typeof item === 'string' && item.trim())) return 'Every item must be a non-empty string.';
+  if (items.some((item) => item.length > MAX_ITEM_CHARS)) return `An item is too long (max ${MAX_ITEM_CHARS} characters).`;
+  return null;
+}
+
+// Report for the /ingredients endpoint (call validateCheckRequest first)
+export function checkIngredients(inputs) {
+  return buildReport(inputs.map(parseItem));
+}
+
+// —— Chat turns ——
+
+// Products and ingredients named in a question, one item each. An ingredient that is
+// already in a named product is not repeated as its own item.
+export function findMentionedItems(text) {
+  const words = new Set(tokenize(text));
+  const products = PRODUCT_NAMES
+    .filter(({ tokens, distinctive }) => distinctive.some((t) => words.has(t)) && tokens.filter((t) => words.has(t)).length >= 2)
+    .map(({ product }) => product);
+  const items = products.map((product) => ({ label: product.name, product, found: productIngredients(product), unknown: [] }));
+  const covered = new Set(items.flatMap((item) => item.found));
+  scanIngredients(text)
+    .filter((ing) => !covered.has(ing))
+    .forEach((ing) => items.push({ label: ing.name, product: null, found: [ing], unknown: [] }));
+  return items.slice(0, MAX_ITEMS);
+}
+
+// Report for the latest question, or null when there is nothing worth showing:
+// it needs a conflict, or a pregnancy caution when the user asks about pregnancy
+export function checkQuestion(text) {
+  const items = findMentionedItems(text);
+  if (!items.length) return null;
+  const report = buildReport(items);
+  if (report.conflicts.length) return report;
+  return PREGNANCY_QUESTION.test(text) && report.pregnancy.length ? report : null;
+}
+
+// System context for the model when a question triggered the checker
+export function buildIngredientContext(report) {
+  return `Ingredient check from the Worker's ingredient knowledge base (the user also sees these warnings in a panel; make your answer agree with them):\n${report.summary}`;
+}
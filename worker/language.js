@@ -0,0 +1,23 @@
+// Reply language chosen in the client's language picker (`language` field).
+// Only known codes are accepted, so the field cannot be used to smuggle extra
+// instructions into the system context. Keep this list in sync with LANGUAGES
+// in the client's i18n.js.
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  fr: 'French',
+  es: 'Spanish',
+  de: 'German'
+};
+
+// The language code, or null when it is missing or not supported
+export function sanitizeLanguage(code) {
+  return typeof code === 'string' && Object.hasOwn(LANGUAGE_NAMES, code) ? code : null;
+}
+
+// Tell the model which language to answer in (null when no language was chosen)
+export function buildLanguageContext(code) {
+  const clean = sanitizeLanguage(code);
+  if (!clean) return null;
+  return `Reply language: write your answer in ${LANGUAGE_NAMES[clean]}, even if earlier messages are in another language. Keep product and brand names as they are; translate everything else, including routine steps and explanations.`;
+}
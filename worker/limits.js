@@ -0,0 +1,142 @@
+// Abuse protection for the Worker: origin allow-list, request size caps and rate limiting.
+// All limits come from `[vars]` in wrangler.toml so they can be tuned without code changes.
+//
+//   ALLOWED_ORIGINS        comma-separated origins allowed to call the Worker ("*" = any;
+//                          unset = none, so a forgotten setting fails closed)
+//   MAX_BODY_BYTES         largest request body accepted (chat requests may add one photo on top)
+//   MAX_IMAGE_BYTES        largest photo accepted, decoded (see images.js)
+//   MAX_AUDIO_BYTES        largest voice recording accepted (see transcription.js)
+//   MAX_MESSAGES           most messages accepted in one request
+//   MAX_MESSAGE_CHARS      longest single message
+//   MAX_TOTAL_CHARS        all messages together
+//   RATE_LIMIT_PER_MINUTE  requests allowed per IP and per session each minute
+//
+// Rate limit counters live in the RATE_LIMIT_KV binding when it is configured.
+// Without it (e.g. local `wrangler dev`) they are kept in memory, which is per
+// Worker instance but good enough for development.
+
+const DEFAULTS = {
+  MAX_BODY_BYTES: 100000,
+  MAX_IMAGE_BYTES: 1500000,
+  MAX_AUDIO_BYTES: 2000000,
+  MAX_MESSAGES: 40,
+  MAX_MESSAGE_CHARS: 4000,
+  MAX_TOTAL_CHARS: 40000,
+  RATE_LIMIT_PER_MINUTE: 20
+};
+
+const WINDOW_SECONDS = 60;
+
+// Read a numeric limit from env vars (wrangler vars are strings)
+export function limitFrom(env, name) {
+  const value = Number(env && env[name]);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULTS[name];
+}
+
+// —— Origins ——
+
+function allowedOrigins(env) {
+  return String((env && env.ALLOWED_ORIGINS) || '')
+    .split(',')
+    .map((o) => o.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// Decide which Access-Control-Allow-Origin to send back.
+// Returns null when the request's origin is not on the allow-list (or there is no list).
+export function resolveAllowedOrigin(request, env) {
+  const allowed = allowedOrigins(env);
+  if (allowed.includes('*')) return '*';
+  const origin = request.headers.get('Origin');
+  if (origin && allowed.includes(origin)) return origin;
+  return null;
+}
+
+// —— Request size ——
+
+// Size of a request body in UTF-8 bytes (string length counts UTF-16 code units)
+export function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// Check the raw body size (in bytes, see byteLength) before parsing it. Returns an error
+// message or null. With `allowImage`, room for one base64-encoded photo is added to the limit.
+export function checkBodySize(length, env, allowImage = false) {
+  const photo = allowImage ? Math.ceil(limitFrom(env, 'MAX_IMAGE_BYTES') * 4 / 3) : 0;
+  const max = limitFrom(env, 'MAX_BODY_BYTES') + photo;
+  if (length > max) return `Request body is too large (max ${max} bytes).`;
+  return null;
+}
+
+// Check message count and characters. Returns an error message or null.
+export function checkMessageLimits(messages, env) {
+  const list = Array.isArray(messages) ? messages : [];
+  const maxMessages = limitFrom(env, 'MAX_MESSAGES');
+  const maxChars = limitFrom(env, 'MAX_MESSAGE_CHARS');
+  const maxTotal = limitFrom(env, 'MAX_TOTAL_CHARS');
+
+  if (list.length > maxMessages) {
+    return `Too many messages in this conversation (max ${maxMessages}). Please start a new chat.`;
+  }
+  let total = 0;
+  for (const m of list) {
+    const length = typeof m?.content === 'string' ? m.content.length : 0;
+    if (length > maxChars) return `A message is too long (max ${maxChars} characters).`;
+    total += length;
+  }
+  if (total > maxTotal) {
+    return `This conversation is too long (max ${maxTotal} characters). Please start a new chat.`;
+  }
+  return null;
+}
+
+// —— Rate limiting ——
+
+// In-memory fallback store: key -> { count, expires }
+const memoryCounters = new Map();
+
+async function incrementCounter(env, key) {
+  const kv = env && env.RATE_LIMIT_KV;
+  if (kv) {
+    const current = Number(await kv.get(key)) || 0;
+    // KV needs a TTL of at least 60 seconds; the key includes the window so it never carries over
+    await kv.put(key, String(current + 1), { expirationTtl: WINDOW_SECONDS * 2 });
+    return current + 1;
+  }
+
+  const now = Date.now();
+  // Drop expired entries so the map does not grow forever
+  if (memoryCounters.size > 1000) {
+    memoryCounters.forEach((v, k) => { if (v.expires < now) memoryCounters.delete(k); });
+  }
+  const entry = memoryCounters.get(key);
+  const count = entry && entry.expires > now ? entry.count + 1 : 1;
+  memoryCounters.set(key, { count, expires: now + WINDOW_SECONDS * 1000 });
+  return count;
+}
+
+// Session IDs come from the client (X-Session-Id header); ignore anything odd-looking
+export function sessionIdFrom(request) {
+  const id = request.headers.get('X-Session-Id') || '';
+  return /^[A-Za-z0-9-]{8,64}$/.test(id) ? id : '';
+}
+
+// Count this request against the caller's IP and session.
+// Resolves to { limited: false } or { limited: true, retryAfter: seconds }.
+export async function checkRateLimit(request, env) {
+  const limit = limitFrom(env, 'RATE_LIMIT_PER_MINUTE');
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const windowIndex = Math.floor(nowSeconds / WINDOW_SECONDS);
+  const retryAfter = (windowIndex + 1) * WINDOW_SECONDS - nowSeconds;
+
+  const ip = request.headers.get('CF-Connecting-IP') || 'local';
+  const keys = [`rl:ip:${ip}:${windowIndex}`];
+  const session = sessionIdFrom(request);
+  if (session) keys.push(`rl:session:${session}:${windowIndex}`);
+
+  for (const key of keys) {
+    const count = await incrementCounter(env, key);
+    if (count > limit) return { limited: true, retryAfter };
+  }
+  return { limited: false };
+}
@@ -0,0 +1,48 @@
+// Beauty profile sent by the client with every chat request (`profile` field).
+// Only known values are accepted, so the profile cannot be used to smuggle
+// extra instructions into the system context. Keep these lists in sync with
+// PROFILE_OPTIONS in the client's profile.js.
+
+const PROFILE_OPTIONS = {
+  skinType: ['normal', 'dry', 'oily', 'combination', 'sensitive'],
+  hairType: ['straight', 'wavy', 'curly', 'coily'],
+  concerns: ['acne', 'aging', 'dark spots', 'dryness', 'dullness', 'redness', 'frizz', 'damage', 'color care'],
+  budget: ['$', '$$', '$$$']
+};
+
+const BUDGET_DESCRIPTIONS = {
+  '$': 'drugstore prices ($)',
+  '$$': 'mid-range prices ($$)',
+  '$$$': 'prestige products ($$$)'
+};
+
+// Drop anything that is not one of the allowed values
+export function sanitizeProfile(profile) {
+  if (!profile || typeof profile !== 'object') return null;
+  const pick = (value, allowed) => (allowed.includes(value) ? value : '');
+  const clean = {
+    skinType: pick(profile.skinType, PROFILE_OPTIONS.skinType),
+    hairType: pick(profile.hairType, PROFILE_OPTIONS.hairType),
+    concerns: Array.isArray(profile.concerns)
+      ? [...new Set(profile.concerns.filter((c) => PROFILE_OPTIONS.concerns.includes(c)))]
+      : [],
+    budget: pick(profile.budget, PROFILE_OPTIONS.budget)
+  };
+  const empty = !clean.skinType && !clean.hairType && !clean.concerns.length && !clean.budget;
+  return empty ? null : clean;
+}
+
+// Describe the profile as a system message for the model (null when there is no profile)
+export function buildProfileContext(profile) {
+  const clean = sanitizeProfile(profile);
+  if (!clean) return null;
+  const facts = [];
+  if (clean.skinType) facts.push(`Skin type: ${clean.skinType}.`);
+  if (clean.hairType) facts.push(`Hair type: ${clean.hairType}.`);
+  if (clean.concerns.length) facts.push(`Main concerns: ${clean.concerns.join(', ')}.`);
+  if (clean.budget) facts.push(`Budget: prefers ${BUDGET_DESCRIPTIONS[clean.budget]}.`);
+  return [
+    'The user saved this beauty profile. Tailor recommendations to it without asking for these details again:',
+    ...facts
+  ].join(' ');
+}
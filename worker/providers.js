@@ -0,0 +1,279 @@
+// Model providers.
+// Every model call in the Worker goes through `provider.chat(body, options)`, where
+// `body` is an OpenAI chat-completions request (messages, stream, response_format...)
+// without `model`. The provider adds the model, URL and credentials and resolves to
+// a fetch Response in the OpenAI format (JSON, or server-sent events when streaming).
+// Voice input uses `provider.transcribe(audio, type)` the same way (OpenAI's
+// audio/transcriptions endpoint, answering { text }); it is null when the provider
+// has no transcription model configured. `provider.chatModel` names what answers chat
+// replies (the model, or the Azure deployment), for the response cache key.
+//
+// Pick a provider with the LLM_PROVIDER var (wrangler.toml or .dev.vars):
+//
+//   openai      OpenAI API                     secret: OPENAI_API_KEY
+//   azure       Azure OpenAI                   vars: AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT,
+//                                              AZURE_OPENAI_UTILITY_DEPLOYMENT, AZURE_OPENAI_VISION_DEPLOYMENT,
+//                                              AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT (optional),
+//                                              AZURE_OPENAI_API_VERSION; secret: AZURE_OPENAI_API_KEY
+//   compatible  any OpenAI-compatible server   vars: LLM_BASE_URL; secret: LLM_API_KEY (optional)
+//   mock        deterministic offline replies  nothing needed (for local development and tests)
+//
+// Shared settings:
+//   CHAT_MODEL             model for chat replies (default gpt-4o)
+//   UTILITY_MODEL          model for topic checks and summaries (default gpt-4o-mini)
+//   VISION_MODEL           model for questions with a photo attached (default CHAT_MODEL)
+//   TRANSCRIPTION_MODEL    speech-to-text model for voice input (default whisper-1)
+//   TEMPERATURE            sampling temperature for chat replies (provider default when unset)
+//   MAX_COMPLETION_TOKENS  reply length cap (default 300)
+//   ROUTINE_MAX_COMPLETION_TOKENS  length cap for routine plans, which are longer (default 1000)
+//
+// Requests to real APIs use the timeout and retry settings from upstream.js.
+
+import { fetchWithRetry, retrySettingsFrom } from './upstream.js';
+import { AUDIO_TYPES } from './transcription.js';
+
+const DEFAULT_CHAT_MODEL = 'gpt-4o';
+const DEFAULT_UTILITY_MODEL = 'gpt-4o-mini';
+const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+const DEFAULT_MAX_COMPLETION_TOKENS = 300;
+const DEFAULT_ROUTINE_MAX_COMPLETION_TOKENS = 1000;
+
+// Settings shared by every provider
+export function modelSettingsFrom(env) {
+  const temperature = Number(env && env.TEMPERATURE);
+  const maxTokens = Number(env && env.MAX_COMPLETION_TOKENS);
+  const routineMaxTokens = Number(env && env.ROUTINE_MAX_COMPLETION_TOKENS);
+  return {
+    chatModel: (env && env.CHAT_MODEL) || DEFAULT_CHAT_MODEL,
+    utilityModel: (env && env.UTILITY_MODEL) || DEFAULT_UTILITY_MODEL,
+    visionModel: (env && (env.VISION_MODEL || env.CHAT_MODEL)) || DEFAULT_CHAT_MODEL,
+    transcriptionModel: (env && env.TRANSCRIPTION_MODEL) || DEFAULT_TRANSCRIPTION_MODEL,
+    temperature: env && env.TEMPERATURE !== undefined && env.TEMPERATURE !== '' && Number.isFinite(temperature) ? temperature : null,
+    maxCompletionTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : DEFAULT_MAX_COMPLETION_TOKENS,
+    routineMaxCompletionTokens: Number.isFinite(routineMaxTokens) && routineMaxTokens > 0 ? routineMaxTokens : DEFAULT_ROUTINE_MAX_COMPLETION_TOKENS,
+    retry: retrySettingsFrom(env)
+  };
+}
+
+// POST a chat-completions body to an OpenAI-style endpoint (with timeout and retries)
+function postJson(url, headers, body, settings) {
+  return fetchWithRetry(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, settings.retry);
+}
+
+// POST an audio clip as multipart form data to an OpenAI-style transcription endpoint.
+// `model` is left out for Azure, which picks it from the deployment in the URL.
+function postAudio(url, headers, audio, type, model, settings) {
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type }), `speech.${AUDIO_TYPES[type] || 'webm'}`);
+  if (model) form.append('model', model);
+  form.append('response_format', 'json');
+  return fetchWithRetry(url, { method: 'POST', headers, body: form }, settings.retry);
+}
+
+// Build the request body: utility calls use the small model, chat calls the main model
+// (or the vision model when a photo is attached) plus the configured temperature.
+function withModel(body, settings, utility, vision) {
+  const model = utility ? settings.utilityModel : (vision ? settings.visionModel : settings.chatModel);
+  const full = { ...body, model };
+  if (!utility && settings.temperature !== null && full.temperature === undefined) {
+    full.temperature = settings.temperature;
+  }
+  return full;
+}
+
+function openAIProvider(env, settings) {
+  const apiKey = env.OPENAI_API_KEY; // Make sure to name your secret OPENAI_API_KEY in Cloudflare
+  return {
+    name: 'openai',
+    settings,
+    chatModel: settings.chatModel,
+    configError: apiKey ? null : 'OPENAI_API_KEY not configured in Worker environment',
+    chat(body, { utility = false, vision = false } = {}) {
+      return postJson('https://api.openai.com/v1/chat/completions',
+        { 'Authorization': `Bearer ${apiKey}` },
+        withModel(body, settings, utility, vision), settings);
+    },
+    transcribe(audio, type) {
+      return postAudio('https://api.openai.com/v1/audio/transcriptions',
+        { 'Authorization': `Bearer ${apiKey}` }, audio, type, settings.transcriptionModel, settings);
+    }
+  };
+}
+
+function azureProvider(env, settings) {
+  const endpoint = String(env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+  const apiKey = env.AZURE_OPENAI_API_KEY;
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT;
+  const utilityDeployment = env.AZURE_OPENAI_UTILITY_DEPLOYMENT || deployment;
+  const visionDeployment = env.AZURE_OPENAI_VISION_DEPLOYMENT || deployment;
+  const transcriptionDeployment = env.AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT;
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+
+  const missing = [
+    !endpoint && 'AZURE_OPENAI_ENDPOINT',
+    !apiKey && 'AZURE_OPENAI_API_KEY',
+    !deployment && 'AZURE_OPENAI_DEPLOYMENT'
+  ].filter(Boolean);
+
+  return {
+    name: 'azure',
+    settings,
+    // The deployment, not CHAT_MODEL, decides which model answers
+    chatModel: `${endpoint}/${deployment}`,
+    configError: missing.length ? `${missing.join(', ')} not configured in Worker environment` : null,
+    chat(body, { utility = false, vision = false } = {}) {
+      // Azure picks the model from the deployment in the URL
+      const name = utility ? utilityDeployment : (vision ? visionDeployment : deployment);
+      const url = `${endpoint}/openai/deployments/${encodeURIComponent(name)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+      const { model, ...rest } = withModel(body, settings, utility, vision);
+      return postJson(url, { 'api-key': apiKey }, rest, settings);
+    },
+    // Chat deployments can't transcribe, so voice input needs its own deployment
+    transcribe: transcriptionDeployment ? (audio, type) => {
+      const url = `${endpoint}/openai/deployments/${encodeURIComponent(transcriptionDeployment)}/audio/transcriptions?api-version=${encodeURIComponent(apiVersion)}`;
+      return postAudio(url, { 'api-key': apiKey }, audio, type, null, settings);
+    } : null
+  };
+}
+
+function compatibleProvider(env, settings) {
+  const baseUrl = String(env.LLM_BASE_URL || '').replace(/\/+$/, '');
+  const apiKey = env.LLM_API_KEY;
+  return {
+    name: 'compatible',
+    settings,
+    chatModel: `${baseUrl}/${settings.chatModel}`,
+    configError: baseUrl ? null : 'LLM_BASE_URL not configured in Worker environment',
+    chat(body, { utility = false, vision = false } = {}) {
+      const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+      return postJson(`${baseUrl}/chat/completions`, headers, withModel(body, settings, utility, vision), settings);
+    },
+    transcribe(audio, type) {
+      const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+      return postAudio(`${baseUrl}/audio/transcriptions`, headers, audio, type, settings.transcriptionModel, settings);
+    }
+  };
+}
+
+// —— Mock provider ——
+// Answers without any network access, always the same way for the same input:
+//   topic_check schema     on topic unless the question mentions an obviously unrelated subject
+//   product_advice schema  recommends the first two allowed catalog products
+//   skincare_routine schema  a two-step AM and PM plan using the first allowed catalog products
+//   anything else          a short canned reply quoting the last user message
+// A photo on the last user message is acknowledged in the answer. Transcription
+// always hears the same question.
+
+const MOCK_OFF_TOPIC = /\b(stock|stocks|crypto|bitcoin|election|politics|homework|javascript|python|weather|football)\b/i;
+
+function mockContent(body) {
+  const lastUser = [...(body.messages || [])].reverse().find((m) => m.role === 'user');
+  const parts = lastUser && Array.isArray(lastUser.content) ? lastUser.content : [];
+  const question = lastUser && typeof lastUser.content === 'string'
+    ? lastUser.content
+    : parts.filter((p) => p.type === 'text').map((p) => p.text).join(' ');
+  const photo = parts.some((p) => p.type === 'image_url') ? ' I looked at your photo.' : '';
+  const schemaName = body.response_format?.json_schema?.name;
+
+  if (schemaName === 'topic_check') {
+    const offTopic = MOCK_OFF_TOPIC.test(question);
+    return JSON.stringify({ on_topic: !offTopic, reason: offTopic ? 'mock: unrelated subject' : 'mock: beauty question' });
+  }
+  if (schemaName === 'product_advice') {
+    const ids = body.response_format.json_schema.schema.properties.recommendations.items.properties.product_id.enum || [];
+    const picks = ids.slice(0, 2);
+    return JSON.stringify({
+      answer: `Here are my picks for "${question.slice(0, 80)}" (mock reply).${photo}`,
+      recommendations: picks.map((id) => ({ product_id: id, reason: 'Matches your question (mock).' }))
+    });
+  }
+  if (schemaName === 'skincare_routine') {
+    const ids = body.response_format.json_schema.schema.properties.am.items.properties.product_id.enum.filter(Boolean);
+    const step = (order, name, id, frequency) => ({ order, step: name, product_id: id || '', instructions: `${name} (mock).`, frequency });
+    return JSON.stringify({
+      title: 'Mock routine',
+      summary: `A simple routine for "${question.slice(0, 80)}" (mock reply).`,
+      am: [step(1, 'Cleanse', ids[0], 'daily'), step(2, 'Sunscreen', '', 'daily')],
+      pm: [step(1, 'Cleanse', ids[0], 'daily'), step(2, 'Treat', ids[1], 'every other day')],
+      cautions: ['Patch test new products first (mock).']
+    });
+  }
+  return `Mock reply: you asked "${question.slice(0, 80)}".${photo} Configure LLM_PROVIDER to get real answers.`;
+}
+
+// Stream mock content as OpenAI-style SSE chunks, a few characters at a time, ending
+// with a usage event when the request asks for one (stream_options.include_usage)
+function mockStream(content, includeUsage) {
+  const encoder = new TextEncoder();
+  const pieces = content.match(/[\s\S]{1,12}/g) || [];
+  return new ReadableStream({
+    start(controller) {
+      pieces.forEach((piece) => {
+        const chunk = { choices: [{ index: 0, delta: { content: piece } }] };
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+      });
+      if (includeUsage) {
+        const chunk = { choices: [], usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  });
+}
+
+function mockProvider(env, settings) {
+  return {
+    name: 'mock',
+    settings,
+    chatModel: settings.chatModel,
+    configError: null,
+    async chat(body, { utility = false, vision = false } = {}) {
+      const full = withModel(body, settings, utility, vision);
+      const content = mockContent(full);
+      if (full.stream) {
+        return new Response(mockStream(content, Boolean(full.stream_options?.include_usage)), { headers: { 'Content-Type': 'text/event-stream' } });
+      }
+      const data = {
+        id: 'mock-completion',
+        object: 'chat.completion',
+        model: full.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      };
+      return new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json' } });
+    },
+    async transcribe() {
+      return new Response(JSON.stringify({ text: 'Which moisturizer is best for dry skin?' }), { headers: { 'Content-Type': 'application/json' } });
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: openAIProvider,
+  azure: azureProvider,
+  compatible: compatibleProvider,
+  mock: mockProvider
+};
+
+// Create the provider selected by LLM_PROVIDER (defaults to OpenAI)
+export function createProvider(env = {}) {
+  const name = String(env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = PROVIDERS[name];
+  const settings = modelSettingsFrom(env);
+  if (!factory) {
+    return {
+      name,
+      settings,
+      chatModel: settings.chatModel,
+      configError: `Unknown LLM_PROVIDER "${name}" (use openai, azure, compatible or mock)`,
+      chat() { throw new Error('provider not configured'); },
+      transcribe: null
+    };
+  }
+  return factory(env, settings);
+}
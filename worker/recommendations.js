@@ -0,0 +1,124 @@
+// Structured product recommendations.
+// When the retriever finds catalog products for a turn, the Worker asks the model
+// to answer with JSON that follows RESPONSE_SCHEMA:
+//   { "answer": "text shown in the chat bubble",
+//     "recommendations": [{ "product_id": "...", "reason": "..." }] }
+// `product_id` is limited to the retrieved catalog IDs, so every card the client
+// shows is a real product. Name, brand, image and link always come from the
+// catalog, never from the model.
+
+// Build the `response_format` for OpenAI's structured outputs
+export function recommendationResponseFormat(candidates) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'product_advice',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        // `answer` comes first so it can be streamed to the client as it is generated
+        properties: {
+          answer: { type: 'string', description: 'Reply to the user, in plain friendly prose.' },
+          recommendations: {
+            type: 'array',
+            description: 'Catalog products recommended in the answer (empty if none).',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                product_id: { type: 'string', enum: candidates.map((p) => p.id) },
+                reason: { type: 'string', description: 'One short sentence on why it suits the user.' }
+              },
+              required: ['product_id', 'reason']
+            }
+          }
+        },
+        required: ['answer', 'recommendations']
+      }
+    }
+  };
+}
+
+// Instruction added to the catalog context when structured mode is on
+export const RECOMMENDATION_INSTRUCTIONS = 'Reply as JSON. Put your full answer for the user in "answer" and list every catalog product you recommend in "recommendations" with a short reason.';
+
+// Parse the model's JSON reply. Returns null when it is not valid JSON.
+export function parseStructuredReply(content) {
+  try {
+    const parsed = JSON.parse(content);
+    if (!parsed || typeof parsed.answer !== 'string') return null;
+    return {
+      answer: parsed.answer,
+      recommendations: Array.isArray(parsed.recommendations) ? parsed.recommendations : []
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Turn validated recommendations into the cards the client renders.
+// Unknown IDs and duplicates are dropped.
+export function toRecommendationCards(recommendations, candidates) {
+  const byId = new Map(candidates.map((p) => [p.id, p]));
+  const seen = new Set();
+  const cards = [];
+  recommendations.forEach((rec) => {
+    const product = rec && byId.get(rec.product_id);
+    if (!product || seen.has(product.id)) return;
+    seen.add(product.id);
+    cards.push({
+      id: product.id,
+      name: product.name,
+      brand: product.brand,
+      category: product.category,
+      reason: typeof rec.reason === 'string' ? rec.reason : '',
+      image: product.image || '',
+      url: product.url
+    });
+  });
+  return cards;
+}
+
+// Reads the "answer" string out of a JSON reply that is still being streamed.
+// feed(chunk) returns the answer text that became available with this chunk, so
+// the client can show the answer token-by-token even though the model writes JSON.
+export function createAnswerExtractor() {
+  let raw = '';
+  let pos = 0;         // how far into `raw` we have scanned
+  let state = 'seek';  // seek -> inside -> done
+  let escape = '';     // pending escape sequence (e.g. "\\u00e9")
+
+  return function feed(chunk) {
+    raw += chunk;
+    let out = '';
+
+    if (state === 'seek') {
+      const match = /"answer"\s*:\s*"/.exec(raw);
+      if (!match) return '';
+      pos = match.index + match[0].length;
+      state = 'inside';
+    }
+
+    while (state === 'inside' && pos < raw.length) {
+      const ch = raw[pos];
+      if (escape) {
+        escape += ch;
+        // \uXXXX needs 6 characters, every other escape needs 2
+        const complete = escape[1] === 'u' ? escape.length === 6 : escape.length === 2;
+        if (complete) {
+          try { out += JSON.parse(`"${escape}"`); } catch (e) { /* skip bad escape */ }
+          escape = '';
+        }
+      } else if (ch === '\\') {
+        escape = ch;
+      } else if (ch === '"') {
+        state = 'done';
+      } else {
+        out += ch;
+      }
+      pos++;
+    }
+    return out;
+  };
+}
@@ -0,0 +1,131 @@
+// Keyword retriever for the product catalog (a small BM25 ranker).
+// For every user turn we score each catalog entry against the question, pass the
+// best matches to the model as context, and afterwards check which of them the
+// reply actually mentioned so the client can show those products.
+
+import { PRODUCTS } from './catalog.js';
+
+// Common words that carry no meaning for product search
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'best', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'good', 'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on',
+  'or', 'please', 'product', 'products', 'recommend', 'should', 'some', 'that', 'the',
+  'this', 'to', 'use', 'what', 'which', 'with', 'you', 'your'
+]);
+
+// BM25 tuning constants (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Lowercase, strip accents and split into simple word tokens ("Kérastase" -> "kerastase")
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+// Very small stemmer so "shampoos" matches "shampoo" and "wrinkles" matches "wrinkle"
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+// Build the searchable tokens for one product. Important fields are repeated so
+// they weigh more (a match in the name counts more than one in the description).
+function productTokens(p) {
+  return [
+    ...tokenize(p.name), ...tokenize(p.name), ...tokenize(p.name),
+    ...tokenize(p.brand), ...tokenize(p.brand),
+    ...tokenize(p.category), ...tokenize(p.category),
+    ...tokenize(p.concerns.join(' ')), ...tokenize(p.concerns.join(' ')),
+    ...tokenize(p.ingredients.join(' ')),
+    ...tokenize(p.skinTypes.join(' ')),
+    ...tokenize(p.hairTypes.join(' ')),
+    ...tokenize(p.description)
+  ];
+}
+
+// Pre-compute term frequencies and document frequencies once per Worker instance
+function buildIndex(products) {
+  const docs = products.map((p) => {
+    const tokens = productTokens(p);
+    const tf = new Map();
+    tokens.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    return { product: p, tf, length: tokens.length };
+  });
+  const df = new Map();
+  docs.forEach((d) => d.tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+}
+
+const INDEX = buildIndex(PRODUCTS);
+
+// Return the `limit` products that best match `query`, best first
+export function searchProducts(query, limit = 5) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  const N = INDEX.docs.length;
+  const scored = INDEX.docs.map((doc) => {
+    let score = 0;
+    terms.forEach((t) => {
+      const f = doc.tf.get(t);
+      if (!f) return;
+      const n = INDEX.df.get(t);
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * doc.length / INDEX.avgLength));
+    });
+    return { product: doc.product, score };
+  });
+
+  return scored
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((s) => s.product);
+}
+
+// Pick the catalog entries for the current turn. Uses the latest user message and
+// falls back to the previous one for short follow-ups like "what about for oily skin?".
+export function retrieveForMessages(messages, limit = 5) {
+  const userTexts = (messages || [])
+    .filter((m) => m && m.role === 'user' && typeof m.content === 'string')
+    .map((m) => m.content);
+  const latest = userTexts[userTexts.length - 1] || '';
+  const results = searchProducts(latest, limit);
+  if (results.length || userTexts.length < 2) return results;
+  return searchProducts(`${userTexts[userTexts.length - 2]} ${latest}`, limit);
+}
+
+// Turn retrieved products into a system message the model can ground its answer on
+export function buildCatalogContext(products) {
+  if (!products.length) {
+    return 'No catalog products matched this question. Do not invent product names or shades; answer generally or ask a clarifying question.';
+  }
+  const lines = products.map((p) => {
+    const suits = [...p.skinTypes, ...p.hairTypes].join(', ') || 'everyone';
+    const ingredients = p.ingredients.join(', ') || 'n/a';
+    return `- ${p.name} (${p.brand}, ${p.category}, ${p.priceTier}): ${p.description} Suits: ${suits}. Key ingredients: ${ingredients}.`;
+  });
+  return [
+    'Relevant products from the L\'Oréal catalog for this question:',
+    ...lines,
+    'Only recommend products from this list and always write their names exactly as shown. If none fit, say so instead of inventing products.'
+  ].join('\n');
+}
+
+// Find which retrieved products the reply mentioned by exact name
+export function findCitedProducts(replyText, candidates) {
+  const reply = tokenize(replyText).join(' ');
+  return candidates.filter((p) => {
+    const name = tokenize(p.name).join(' ');
+    return name && reply.includes(name);
+  });
+}
+
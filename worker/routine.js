@@ -0,0 +1,129 @@
+// Routine builder mode.
+// When the client sends `mode: "routine"`, the Worker asks the model for a structured
+// AM/PM plan instead of a chat answer, following ROUTINE_SCHEMA:
+//   { "title": "...", "summary": "...",
+//     "am": [{ "order": 1, "step": "Cleanse", "product_id": "...", "instructions": "...",
+//              "frequency": "daily" }],
+//     "pm": [...],
+//     "cautions": ["..."] }
+// `product_id` is limited to the retrieved catalog IDs (or "" for a step without a
+// catalog product). The plan is validated here before it is sent to the client.
+
+import { searchProducts } from './retrieval.js';
+import { sanitizeProfile } from './profile.js';
+
+export const FREQUENCIES = ['daily', 'every other day', '2-3 times a week', 'weekly', 'as needed'];
+
+// Longest plan we accept: enough for a thorough routine, short enough to render
+const MAX_STEPS = 8;
+const MAX_CAUTIONS = 5;
+
+// More catalog candidates than a normal turn, since a routine covers several steps
+const ROUTINE_CANDIDATES = 10;
+
+export const ROUTINE_INSTRUCTIONS = `Build a personalized routine as JSON. Put morning steps in "am" and evening steps in "pm", in the order they should be applied (cleanse, treat, moisturize, protect...). Use a product from the catalog list for a step when one fits and set "product_id" to its ID, otherwise use "" and describe the kind of product in "instructions". Keep each instruction to one or two sentences. Add "cautions" for ingredients that should not be combined, sun sensitivity, patch testing, or when to see a dermatologist. Use the user's beauty profile when there is one.`;
+
+function stepSchema(productIds) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      order: { type: 'integer', description: 'Position in the routine, starting at 1.' },
+      step: { type: 'string', description: 'Short step name, e.g. "Cleanse" or "Vitamin C serum".' },
+      product_id: { type: 'string', enum: ['', ...productIds] },
+      instructions: { type: 'string', description: 'How to use it, in one or two sentences.' },
+      frequency: { type: 'string', enum: FREQUENCIES }
+    },
+    required: ['order', 'step', 'product_id', 'instructions', 'frequency']
+  };
+}
+
+// Build the `response_format` for OpenAI's structured outputs
+export function routineResponseFormat(candidates) {
+  const productIds = candidates.map((p) => p.id);
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'skincare_routine',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', description: 'Short name for the routine.' },
+          summary: { type: 'string', description: 'Two or three sentences explaining the plan.' },
+          am: { type: 'array', items: stepSchema(productIds) },
+          pm: { type: 'array', items: stepSchema(productIds) },
+          cautions: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['title', 'summary', 'am', 'pm', 'cautions']
+      }
+    }
+  };
+}
+
+const clean = (value, max) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '');
+
+// Validate and normalize one part of the day. Steps are sorted by `order` and
+// renumbered; product IDs outside the catalog candidates are dropped.
+function validateSteps(steps, byId) {
+  if (!Array.isArray(steps)) return null;
+  return steps
+    .filter((s) => s && clean(s.step, 80))
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0))
+    .slice(0, MAX_STEPS)
+    .map((s, i) => {
+      const product = byId.get(s.product_id);
+      return {
+        order: i + 1,
+        step: clean(s.step, 80),
+        product: product ? { id: product.id, name: product.name, brand: product.brand, url: product.url } : null,
+        instructions: clean(s.instructions, 400),
+        frequency: FREQUENCIES.includes(s.frequency) ? s.frequency : 'daily'
+      };
+    });
+}
+
+// Parse the model's JSON plan. Returns the routine the client renders, or null when
+// the reply is not a usable plan (invalid JSON, wrong shape, or no steps at all).
+export function parseRoutine(content, candidates) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (e) {
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const byId = new Map(candidates.map((p) => [p.id, p]));
+  const am = validateSteps(parsed.am, byId);
+  const pm = validateSteps(parsed.pm, byId);
+  if (!am || !pm || (!am.length && !pm.length)) return null;
+
+  return {
+    title: clean(parsed.title, 80) || 'Your routine',
+    summary: clean(parsed.summary, 600),
+    am,
+    pm,
+    cautions: Array.isArray(parsed.cautions) ? parsed.cautions.map((c) => clean(c, 300)).filter(Boolean).slice(0, MAX_CAUTIONS) : []
+  };
+}
+
+// Catalog products used by the routine, as recommendations for toRecommendationCards()
+export function routineRecommendations(routine) {
+  const steps = [...routine.am.map((s) => [s, 'AM']), ...routine.pm.map((s) => [s, 'PM'])];
+  return steps
+    .filter(([s]) => s.product)
+    .map(([s, time]) => ({ product_id: s.product.id, reason: `${time}: ${s.step}` }));
+}
+
+// Catalog search for a routine: the latest question plus the user's profile, since
+// requests like "build me a routine" say little about skin type or concerns.
+export function retrieveForRoutine(messages, profile) {
+  const latest = [...(messages || [])].reverse().find((m) => m && m.role === 'user');
+  const known = sanitizeProfile(profile);
+  const profileTerms = known
+    ? [known.skinType && `${known.skinType} skin`, known.hairType && `${known.hairType} hair`, ...known.concerns].filter(Boolean)
+    : [];
+  return searchProducts([latest ? latest.content : '', ...profileTerms].join(' '), ROUTINE_CANDIDATES);
+}
@@ -0,0 +1,64 @@
+// Key-value storage for Worker features that keep records between requests.
+// In production this is a KV namespace binding (wrangler.toml); `wrangler dev` keeps a
+// local copy of it on disk. Without a binding, records are kept in memory, which is
+// per Worker instance and lost on restart but good enough for development and tests.
+//
+// Only the part of the KV API the Worker uses is needed: get, put (with `metadata`
+// and `expirationTtl`), list (with `prefix` and `cursor`) and delete.
+
+// Stand-in for a KV namespace, kept in memory
+export function createMemoryStore() {
+  const entries = new Map(); // key -> { value, metadata, expires }
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async put(key, value, { metadata = null, expirationTtl } = {}) {
+      const expires = expirationTtl ? Date.now() + expirationTtl * 1000 : Infinity;
+      entries.set(key, { value: String(value), metadata, expires });
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...entries.keys()]
+        .filter((key) => key.startsWith(prefix) && live(key))
+        .sort()
+        .map((name) => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// The KV binding called `binding` in env, or an in-memory store shared by this Worker instance
+const memoryStores = new Map();
+export function storeFrom(env, binding) {
+  if (env && env[binding]) return env[binding];
+  if (!memoryStores.has(binding)) memoryStores.set(binding, createMemoryStore());
+  return memoryStores.get(binding);
+}
+
+// Every key under `prefix` with its metadata. KV lists 1000 keys per page; `maxPages`
+// bounds how much one request reads.
+export async function listAll(store, prefix, maxPages = 10) {
+  const keys = [];
+  let cursor;
+  for (let page = 0; page < maxPages; page++) {
+    const result = await store.list({ prefix, cursor });
+    keys.push(...result.keys);
+    if (result.list_complete || !result.cursor) break;
+    cursor = result.cursor;
+  }
+  return keys;
+}
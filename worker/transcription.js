@@ -0,0 +1,48 @@
+// Voice input for browsers without speech recognition.
+// The client records a short clip (MediaRecorder) and posts it as the raw request
+// body to POST /transcribe, with the clip's type as Content-Type:
+//   Content-Type: audio/webm;codecs=opus
+// The Worker checks it here and passes it to the provider's transcription endpoint
+// (providers.js), then answers with { "text": "..." }. The text only fills the message
+// box: it goes through the normal guardrails when the user sends it.
+//
+//   MAX_AUDIO_BYTES  largest clip accepted (limits.js, default 2000000, about two minutes)
+
+import { limitFrom } from './limits.js';
+
+// Types MediaRecorder and phones produce, with the file extension the transcription
+// API uses to detect the format
+export const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+// Content-Type without parameters ("audio/webm;codecs=opus" -> "audio/webm")
+export function audioTypeOf(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Check a clip before sending it on (`size` is null while only the type is known).
+// Returns { status, code, message } or null.
+export function checkAudio(type, size, env) {
+  if (!AUDIO_TYPES[type]) {
+    return { status: 415, code: 'invalid_audio', message: 'Unsupported audio format. Please try again or type your question.' };
+  }
+  if (size === 0) {
+    return { status: 400, code: 'invalid_audio', message: 'No audio was recorded. Please try again.' };
+  }
+  const max = limitFrom(env, 'MAX_AUDIO_BYTES');
+  if (size > max) {
+    return { status: 413, code: 'payload_too_large', message: `Recording is too long (max ${max} bytes). Please keep it shorter.` };
+  }
+  return null;
+}
+
+// Transcript from the provider's JSON answer ({ text }), tidied for the message box
+export function transcriptFrom(data) {
+  return typeof data?.text === 'string' ? data.text.replace(/\s+/g, ' ').trim() : '';
+}
@@ -0,0 +1,138 @@
+// Calling the model API reliably: timeouts, bounded retries with backoff, and
+// turning upstream failures into the Worker's error envelope.
+//
+//   UPSTREAM_TIMEOUT_MS      how long to wait for the model API to start answering
+//   UPSTREAM_MAX_RETRIES     extra attempts after a transient failure (0 disables retries)
+//   UPSTREAM_RETRY_BASE_MS   first backoff delay; it doubles on every retry
+//   UPSTREAM_IDLE_TIMEOUT_MS longest pause inside a streamed reply before it is given up
+//                            (0 waits as long as the platform allows)
+//
+// Transient failures are timeouts, network errors, 429 and 5xx responses. Anything
+// else (bad key, unknown model, invalid request) fails straight away.
+
+const DEFAULTS = {
+  UPSTREAM_TIMEOUT_MS: 20000,
+  UPSTREAM_MAX_RETRIES: 2,
+  UPSTREAM_RETRY_BASE_MS: 500,
+  UPSTREAM_IDLE_TIMEOUT_MS: 20000
+};
+
+// Never wait longer than this for a Retry-After before retrying (the Worker would time out)
+const MAX_RETRY_WAIT_MS = 5000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Read a setting from env vars (wrangler vars are strings); 0 is a valid value here
+function numberFrom(env, name) {
+  const raw = env && env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isFinite(value) && value >= 0 ? value : DEFAULTS[name];
+}
+
+export function retrySettingsFrom(env) {
+  return {
+    timeoutMs: numberFrom(env, 'UPSTREAM_TIMEOUT_MS'),
+    maxRetries: numberFrom(env, 'UPSTREAM_MAX_RETRIES'),
+    retryBaseMs: numberFrom(env, 'UPSTREAM_RETRY_BASE_MS'),
+    idleTimeoutMs: numberFrom(env, 'UPSTREAM_IDLE_TIMEOUT_MS')
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Seconds from a Retry-After header (null when missing or a date we don't parse)
+function retryAfterSeconds(response) {
+  const value = Number(response.headers.get('Retry-After'));
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Backoff before the next attempt: Retry-After when the API sent one, else exponential with jitter
+function backoffMs(attempt, settings, response) {
+  const retryAfter = response ? retryAfterSeconds(response) : null;
+  if (retryAfter !== null) return retryAfter * 1000;
+  const base = settings.retryBaseMs * 2 ** attempt;
+  return base + Math.random() * base * 0.25;
+}
+
+// One request with a timeout. The timer only covers the wait for the response
+// headers, so a streamed reply can keep flowing after that.
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    const failure = new Error(controller.signal.aborted ? 'upstream timeout' : `upstream unreachable: ${err && err.message}`);
+    failure.code = controller.signal.aborted ? 'upstream_timeout' : 'upstream_unreachable';
+    throw failure;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// fetch() with a timeout and bounded retries. Resolves to the last Response (which may
+// still be an error status) or throws an Error whose `code` is upstream_timeout or
+// upstream_unreachable once the retries are used up.
+export async function fetchWithRetry(url, init, settings) {
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < settings.maxRetries;
+    let response;
+    try {
+      response = await fetchWithTimeout(url, init, settings.timeoutMs);
+    } catch (err) {
+      if (!canRetry) throw err;
+      await sleep(backoffMs(attempt, settings));
+      continue;
+    }
+
+    if (!canRetry || !RETRYABLE_STATUSES.includes(response.status)) return response;
+    const wait = backoffMs(attempt, settings, response);
+    if (wait > MAX_RETRY_WAIT_MS) return response;
+    // Free the connection before trying again
+    try { await response.body?.cancel(); } catch (e) {}
+    await sleep(wait);
+  }
+}
+
+// —— Error envelope ——
+// Every failure the client sees has the shape { code, message, retryable }.
+
+// Map a failed upstream response to { status, code, message, retryable, retryAfter, detail }.
+// `detail` is the provider's own error message, for the Worker's logs only: it can name
+// the model, deployment or request fields, so it never goes into `message`.
+export async function describeUpstreamFailure(response) {
+  let detail = '';
+  let upstreamCode = '';
+  try {
+    const data = await response.json();
+    detail = data?.error?.message || '';
+    upstreamCode = data?.error?.code || '';
+  } catch (e) {
+    // not JSON (proxies and gateways often answer with HTML)
+  }
+  const status = response.status;
+  const retryAfter = retryAfterSeconds(response);
+
+  if (status === 429) {
+    return { status: 429, code: 'upstream_rate_limited', message: 'The assistant is busy right now. Please try again in a moment.', retryable: true, retryAfter, detail };
+  }
+  if (status === 400 && upstreamCode === 'context_length_exceeded') {
+    return { status: 413, code: 'payload_too_large', message: 'This conversation is too long for the assistant. Please start a new chat.', retryable: false, detail };
+  }
+  if (status === 401 || status === 403 || status === 404) {
+    // Bad key, missing model or deployment: a Worker configuration problem, not the user's
+    return { status: 502, code: 'upstream_config', message: 'The assistant is not configured correctly. Please contact the site owner.', retryable: false, detail };
+  }
+  if (status >= 500 || status === 408) {
+    return { status: status === 503 ? 503 : 502, code: 'upstream_unavailable', message: 'The assistant is temporarily unavailable. Please try again.', retryable: true, retryAfter, detail };
+  }
+  return { status: 502, code: 'upstream_error', message: 'The assistant could not answer this request.', retryable: false, detail };
+}
+
+// Map an error thrown by fetchWithRetry (or any other exception) to the same shape
+export function describeUpstreamException(err) {
+  if (err && err.code === 'upstream_timeout') {
+    return { status: 504, code: 'upstream_timeout', message: 'The assistant took too long to answer. Please try again.', retryable: true };
+  }
+  return { status: 502, code: 'upstream_unreachable', message: 'Could not reach the assistant. Please try again.', retryable: true };
+}